@@ -0,0 +1,30 @@
+// Collects microphone input into fixed-size frames for the ggwave decoder (AudioWorklet renders 128 samples at a time)
+const FRAME = 1024;
+
+class GgwaveCapture extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.frame = new Float32Array(FRAME);
+    this.filled = 0;
+  }
+
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+    if (!channel) return true;
+    let off = 0;
+    while (off < channel.length) {
+      const n = Math.min(channel.length - off, FRAME - this.filled);
+      this.frame.set(channel.subarray(off, off + n), this.filled);
+      this.filled += n;
+      off += n;
+      if (this.filled === FRAME) {
+        this.port.postMessage(this.frame, [this.frame.buffer]);
+        this.frame = new Float32Array(FRAME);
+        this.filled = 0;
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor("ggwave-capture", GgwaveCapture);
@@ -0,0 +1,106 @@
+// Helpers for the debug console (see DebugConsole in main.jsx): latency series for its charts, microphone
+// chunks kept for replay, and the zip bundle it exports for bug reports.
+import { floatToWav } from "./localModem.js";
+import { createZip } from "./zip.js";
+
+// Log entries carrying a latency in `ms`, by type, with their chart labels
+export const LATENCY_TYPES = {
+  http_encode_ms: "Server encode",
+  http_decode_ms: "Server decode (upload)",
+  decode_webm_ms: "Server decode (mic chunk)",
+  local_encode_ms: "Local encode",
+  local_decode_ms: "Local decode (upload)",
+  replay_ms: "Replay",
+};
+
+// Most entries the console keeps (older ones are dropped) and renders at once
+export const LOG_LIMIT = 1000;
+export const SHOWN_LIMIT = 200;
+// Seconds of audio per kept chunk in PCM modes, matching the WebM recorder's timeslice
+export const CHUNK_SECONDS = 2;
+export const MAX_KEPT_CHUNKS = 50;
+
+// Event types in the log with their counts, most frequent first
+export function eventTypes(entries) {
+  const counts = new Map();
+  for (const e of entries) counts.set(e.type, (counts.get(e.type) ?? 0) + 1);
+  return [...counts].sort((a, b) => b[1] - a[1]);
+}
+
+// One series per latency type present: { type, label, points: [{ t, ms }], median, max }
+export function latencySeries(entries, limit = 50) {
+  return Object.entries(LATENCY_TYPES)
+    .map(([type, label]) => {
+      const points = entries
+        .filter((e) => e.type === type && typeof e.ms === "number")
+        .slice(-limit)
+        .map((e) => ({ t: e.t, ms: e.ms }));
+      const sorted = points.map((p) => p.ms).sort((a, b) => a - b);
+      return {
+        type,
+        label,
+        points,
+        median: sorted[Math.floor(sorted.length / 2)],
+        max: sorted[sorted.length - 1],
+      };
+    })
+    .filter((s) => s.points.length);
+}
+
+// Groups AudioWorklet frames into CHUNK_SECONDS WAV blobs, passed to onChunk(blob, sampleRate)
+export function createPcmChunker(onChunk) {
+  let frames = [];
+  let length = 0;
+  return (frame, sampleRate) => {
+    frames.push(Float32Array.from(frame));
+    length += frame.length;
+    if (length < CHUNK_SECONDS * sampleRate) return;
+    const samples = new Float32Array(length);
+    let offset = 0;
+    for (const f of frames) {
+      samples.set(f, offset);
+      offset += f.length;
+    }
+    frames = [];
+    length = 0;
+    onChunk(floatToWav(samples, sampleRate), sampleRate);
+  };
+}
+
+// File name of a kept chunk inside the bundle and for downloads
+export const chunkFileName = (chunk) =>
+  `chunk-${String(chunk.id).padStart(3, "0")}-${chunk.source}.${chunk.blob.type.includes("wav") ? "wav" : "webm"}`;
+
+// Zip with log.json (every entry), chunks.json (metadata and replay results), the chunk audio under chunks/
+// and environment.json
+export async function debugBundle({ entries, chunks, replays, environment }) {
+  const files = [
+    { name: "log.json", data: JSON.stringify(entries, null, 2) },
+    { name: "environment.json", data: JSON.stringify(environment, null, 2) },
+    {
+      name: "chunks.json",
+      data: JSON.stringify(
+        chunks.map((c) => ({
+          id: c.id,
+          file: `chunks/${chunkFileName(c)}`,
+          source: c.source,
+          recordedAt: new Date(c.t).toISOString(),
+          bytes: c.blob.size,
+          type: c.blob.type,
+          sampleRate: c.sampleRate ?? null,
+          replay: replays[c.id] ?? null,
+        })),
+        null,
+        2
+      ),
+    },
+  ];
+  for (const c of chunks) {
+    files.push({
+      name: `chunks/${chunkFileName(c)}`,
+      data: new Uint8Array(await c.blob.arrayBuffer()),
+      date: new Date(c.t),
+    });
+  }
+  return createZip(files);
+}
@@ -0,0 +1,98 @@
+// Files sent over sound. A file becomes one text message that travels like a long text message (framed,
+// checksummed per chunk and optionally encrypted as a whole):
+//   @file1:<name>:<type>:<size>:<sha256:8 hex>:<z|r>:<data>
+// name and type are URI-encoded, size is the original byte count, and data is the file as base64url,
+// deflate-compressed (z) unless that would not make it smaller (r). The hash covers the original bytes.
+
+export const FILE_PREFIX = "@file1:";
+// Cap on the packed (compressed) size: over five minutes of audio at the fastest audible protocol
+export const MAX_FILE_BYTES = 6 * 1024;
+const MAX_NAME_LENGTH = 64;
+const FILE_RE = /^@file1:([^:]*):([^:]*):(\d+):([0-9a-f]{8}):([zr]):([A-Za-z0-9_-]*)$/;
+
+function toBase64Url(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const b64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+const pipe = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+
+async function hash(bytes) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+  return [...digest.slice(0, 4)].map((b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+export const formatBytes = (n) =>
+  n < 1024 ? `${n} B` : n < 1024 * 1024 ? `${(n / 1024).toFixed(1)} KB` : `${(n / 1024 / 1024).toFixed(1)} MB`;
+
+// { payload, name, type, size, packedBytes, compressed } for a File or Blob
+export async function packFile(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let data = bytes;
+  let compressed = false;
+  if (typeof CompressionStream !== "undefined") {
+    const deflated = await pipe(bytes, new CompressionStream("deflate-raw"));
+    if (deflated.length < bytes.length) {
+      data = deflated;
+      compressed = true;
+    }
+  }
+  const name = (file.name || "file").slice(-MAX_NAME_LENGTH);
+  const type = file.type || "application/octet-stream";
+  const header = [encodeURIComponent(name), encodeURIComponent(type), bytes.length, await hash(bytes), compressed ? "z" : "r"];
+  return {
+    payload: `${FILE_PREFIX}${header.join(":")}:${toBase64Url(data)}`,
+    name,
+    type,
+    size: bytes.length,
+    packedBytes: data.length,
+    compressed,
+  };
+}
+
+export const isFilePayload = (text) => typeof text === "string" && text.startsWith(FILE_PREFIX);
+
+// The file in a received message: { name, type, size, blob }, or { name, error } when it arrived damaged.
+// Resolves to null for text that is not a file.
+export async function unpackFile(text) {
+  const m = FILE_RE.exec(text);
+  if (!m) return null;
+  const [, rawName, rawType, size, expected, mode, data] = m;
+  let name;
+  let type;
+  try {
+    name = decodeURIComponent(rawName);
+    type = decodeURIComponent(rawType);
+  } catch {
+    return null;
+  }
+  try {
+    let bytes = fromBase64Url(data);
+    if (mode === "z") bytes = await pipe(bytes, new DecompressionStream("deflate-raw"));
+    if (bytes.length !== Number(size) || (await hash(bytes)) !== expected) {
+      return { name, error: "File failed its integrity check" };
+    }
+    return { name, type, size: bytes.length, blob: new Blob([bytes], { type }) };
+  } catch {
+    return { name, error: "File could not be decompressed" };
+  }
+}
+
+// Airtime in seconds of one ggwave transmission of `length` bytes: the payload plus its Reed-Solomon ECC,
+// and in variable-length mode a length prefix (with ECC) and start/end markers of 16 frames each
+export function transmitSeconds(length, protocol, fixedLength = false) {
+  const ecc = length < 4 ? 2 : Math.max(4, 2 * Math.floor(length / 5));
+  const bytes = length + ecc + (fixedLength ? 0 : 3);
+  const toneFrames = Math.ceil(bytes / protocol.bytesPerTx) * protocol.framesPerTx * (protocol.requiresFixedLength ? 2 : 1);
+  return ((toneFrames + (fixedLength ? 0 : 32)) * 1024) / 48000;
+}
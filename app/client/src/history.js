@@ -0,0 +1,171 @@
+// Conversation history. Sessions and their messages are always kept in IndexedDB; in server mode they are
+// also written to the API's /history store, which is then used for listing, search and export so every
+// client of the server sees the same history.
+
+const DB_NAME = "vocrypt-history";
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      db.createObjectStore("sessions", { keyPath: "id" });
+      db.createObjectStore("messages", { keyPath: "id" }).createIndex("sessionId", "sessionId");
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+const done = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+// Same matching as the server: every term must appear in the text
+const matcher = (query) => {
+  const terms = String(query ?? "").toLowerCase().split(/\s+/).filter(Boolean);
+  return (text) => terms.every((t) => text.toLowerCase().includes(t));
+};
+
+const newId = () => crypto.randomUUID();
+
+// Store for one client. `api(path, init)` performs a fetch against the API server; pass null to stay local.
+export function createHistory(api) {
+  let dbPromise = null;
+  const db = () => (dbPromise ??= openDb());
+
+  const tx = async (stores, mode, fn) => {
+    const t = (await db()).transaction(stores, mode);
+    const complete = new Promise((resolve, reject) => {
+      t.oncomplete = resolve;
+      t.onerror = () => reject(t.error);
+    });
+    const [result] = await Promise.all([fn(t), complete]);
+    return result;
+  };
+
+  const remote = async (path, init) => {
+    const r = await api(path, init);
+    if (!r.ok) throw new Error((await r.json().catch(() => ({}))).error || `History request failed (${r.status})`);
+    return r.json();
+  };
+  const postJson = (path, body) =>
+    remote(path, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+
+  const localMessages = (sessionId) =>
+    tx(["messages"], "readonly", (t) =>
+      done(t.objectStore("messages").index("sessionId").getAll(sessionId))
+    ).then((list) => list.sort((a, b) => a.timestamp - b.timestamp));
+
+  const localSessions = async () => {
+    const [sessions, messages] = await tx(["sessions", "messages"], "readonly", (t) =>
+      Promise.all([done(t.objectStore("sessions").getAll()), done(t.objectStore("messages").getAll())])
+    );
+    return sessions.map((s) => {
+      const own = messages.filter((m) => m.sessionId === s.id);
+      return {
+        ...s,
+        updatedAt: Math.max(s.createdAt, ...own.map((m) => m.timestamp)),
+        messageCount: own.length,
+        messages: own,
+      };
+    });
+  };
+
+  return {
+    remote: !!api,
+
+    // Creates the session, or updates the given fields of an existing one
+    async startSession({ id = newId(), title, mode }) {
+      const session = { id, mode, createdAt: Date.now(), ...(title ? { title } : {}) };
+      await tx(["sessions"], "readwrite", async (t) => {
+        const store = t.objectStore("sessions");
+        const existing = await done(store.get(id));
+        store.put({ ...existing, ...session, createdAt: existing?.createdAt ?? session.createdAt });
+      });
+      if (api) await postJson("/history/sessions", session);
+      return id;
+    },
+
+    // Records { direction: "sent" | "received", text, encrypted?, protocol?, at?, latencyMs?, timestamp?, from? }
+    // (from: the room member who sent or decoded the message)
+    async addMessages(sessionId, entries) {
+      const messages = entries.map((e) => ({
+        id: newId(),
+        sessionId,
+        direction: e.direction,
+        text: e.text,
+        encrypted: !!e.encrypted,
+        protocol: e.protocol ?? null,
+        at: e.at ?? null,
+        timestamp: e.timestamp ?? Date.now(),
+        latencyMs: e.latencyMs ?? null,
+        from: e.from ?? null,
+      }));
+      await tx(["messages"], "readwrite", (t) => messages.forEach((m) => t.objectStore("messages").put(m)));
+      if (api) {
+        await postJson(
+          `/history/sessions/${sessionId}/messages`,
+          { messages: messages.map(({ sessionId: _, ...m }) => m) }
+        );
+      }
+    },
+
+    async listSessions(query) {
+      if (api) return (await remote(`/history/sessions?${new URLSearchParams({ q: query ?? "" })}`)).sessions;
+      const matches = matcher(query);
+      return (await localSessions())
+        .filter((s) => !query || matches(s.title ?? "") || s.messages.some((m) => matches(m.text)))
+        .map(({ messages, ...s }) => s)
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+    },
+
+    async loadSession(id) {
+      if (api) return remote(`/history/sessions/${id}`);
+      const session = await tx(["sessions"], "readonly", (t) => done(t.objectStore("sessions").get(id)));
+      return session && { ...session, messages: await localMessages(id) };
+    },
+
+    async search(query) {
+      if (!String(query ?? "").trim()) return [];
+      if (api) return (await remote(`/history/search?${new URLSearchParams({ q: query })}`)).results;
+      const matches = matcher(query);
+      return (await localSessions())
+        .flatMap((s) => s.messages.filter((m) => matches(m.text)).map((m) => ({ ...m, sessionTitle: s.title })))
+        .sort((a, b) => b.timestamp - a.timestamp)
+        .slice(0, 200);
+    },
+
+    async deleteSession(id) {
+      await tx(["sessions", "messages"], "readwrite", async (t) => {
+        t.objectStore("sessions").delete(id);
+        const keys = await done(t.objectStore("messages").index("sessionId").getAllKeys(id));
+        keys.forEach((k) => t.objectStore("messages").delete(k));
+      });
+      if (api) await remote(`/history/sessions/${id}`, { method: "DELETE" }).catch(() => {});
+    },
+  };
+}
+
+const CSV_COLUMNS = ["timestamp", "direction", "from", "text", "encrypted", "protocol", "at", "latencyMs"];
+const csvCell = (value) => {
+  const s = value === null || value === undefined ? "" : String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// Same layout as the server's /history/sessions/:id/export
+export function exportSession(session, format) {
+  if (format === "csv") {
+    const rows = session.messages.map((m) =>
+      CSV_COLUMNS.map((c) => csvCell(c === "timestamp" ? new Date(m.timestamp).toISOString() : m[c])).join(",")
+    );
+    return new Blob([[CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n"], { type: "text/csv" });
+  }
+  return new Blob([JSON.stringify(session, null, 2)], { type: "application/json" });
+}
@@ -0,0 +1,202 @@
+// In-browser ggwave modem built on the Emscripten binding (ggwave/bindings/javascript/ggwave.js),
+// which vite serves as /ggwave.js. Used by "local" mode so encode/decode work without the API server.
+
+let modulePromise = null;
+
+// ggwave.js is a UMD script defining the global ggwave_factory, like the ggwave-js example loads it
+export function loadGgwave() {
+  if (!modulePromise) {
+    modulePromise = new Promise((resolve, reject) => {
+      const script = document.createElement("script");
+      script.src = `${import.meta.env.BASE_URL}ggwave.js`;
+      script.onload = () => resolve(window.ggwave_factory());
+      script.onerror = () => reject(new Error("Failed to load ggwave.js"));
+      document.head.appendChild(script);
+    }).then((ggwave) => {
+      ggwave.disableLog();
+      return ggwave;
+    });
+    modulePromise.catch(() => { modulePromise = null; });
+  }
+  return modulePromise;
+}
+
+export const SAMPLES_PER_FRAME = 1024;
+// ggwave does not recognise transmissions at 44.1 kHz, the default rate of many audio devices, so audio is
+// captured, encoded and decoded at 48 kHz
+export const MODEM_SAMPLE_RATE = 48000;
+
+export async function createLocalModem() {
+  const ggwave = await loadGgwave();
+
+  // instances are tied to their payload length and DSS setting and always run at MODEM_SAMPLE_RATE;
+  // ggwave.init returns -1 once the wasm module has no room for another one
+  const init = ({ rx, payloadLength, dss }) => {
+    const p = ggwave.getDefaultParameters();
+    if (rx) {
+      p.sampleRateInp = MODEM_SAMPLE_RATE;
+      p.sampleFormatInp = ggwave.SampleFormat.GGWAVE_SAMPLE_FORMAT_F32;
+      p.operatingMode = ggwave.GGWAVE_OPERATING_MODE_RX;
+    } else {
+      p.sampleRateOut = MODEM_SAMPLE_RATE;
+      p.sampleFormatOut = ggwave.SampleFormat.GGWAVE_SAMPLE_FORMAT_F32;
+      p.operatingMode = ggwave.GGWAVE_OPERATING_MODE_TX;
+    }
+    if (payloadLength) p.payloadLength = payloadLength;
+    if (dss) p.operatingMode |= ggwave.GGWAVE_OPERATING_MODE_USE_DSS;
+    const id = ggwave.init(p);
+    if (id < 0) throw new Error(`Failed to create a ggwave ${rx ? "decoder" : "encoder"}`);
+    return id;
+  };
+
+  // encoding keeps no state between calls, so a single encoder is kept for the last settings used
+  let encoder = null;
+  const encoderFor = (payloadLength, dss) => {
+    const key = JSON.stringify([payloadLength, dss]);
+    if (encoder?.key !== key) {
+      if (encoder) ggwave.free(encoder.id);
+      // nothing is kept if the new one cannot be created
+      encoder = null;
+      encoder = { key, id: init({ rx: false, payloadLength, dss }) };
+    }
+    return encoder.id;
+  };
+
+  return {
+    // Float32 waveform for one frame of text at MODEM_SAMPLE_RATE
+    encode(text, { protocol = 1, volume = 50, payloadLength = null, dss = false } = {}) {
+      const tx = encoderFor(payloadLength, dss);
+      const waveform = ggwave.encode(tx, new TextEncoder().encode(text), ggwave.ProtocolId.values[protocol], volume);
+      if (!waveform.length) throw new Error("Failed to generate waveform");
+      // copy out of wasm memory before the next call reuses it
+      const bytes = Uint8Array.from(waveform);
+      return new Float32Array(bytes.buffer);
+    },
+
+    // Returns a function taking SAMPLES_PER_FRAME float samples at sampleRate and returning null, or the
+    // decoded payload with the length of its transmission in samples. Audio at other rates is resampled to
+    // MODEM_SAMPLE_RATE first. Each decoder has its own rx instance, since decoding is stateful; close()
+    // frees it.
+    createDecoder(sampleRate, { payloadLength = null, dss = false } = {}) {
+      const rx = init({ rx: true, payloadLength, dss });
+      const toRate = sampleRate === MODEM_SAMPLE_RATE ? null : createResampler(sampleRate, MODEM_SAMPLE_RATE);
+      // resampled audio waiting for a whole frame
+      let pending = new Float32Array(0);
+      const textDecoder = new TextDecoder("utf-8");
+      // fixed-length payloads are decoded again on the frames right after the first detection
+      let last = null;
+      let frames = 0;
+      let closed = false;
+      const decodeFrame = (frame) => {
+        const res = ggwave.decode(rx, new Int8Array(frame.buffer, frame.byteOffset, frame.byteLength));
+        frames++;
+        if (!res || !res.length) return null;
+        // fixed-length payloads are zero-padded
+        const payload = textDecoder.decode(Uint8Array.from(res)).replace(/\0+$/, "");
+        if (payloadLength) {
+          const repeat = last?.payload === payload && frames - last.frames <= 2;
+          last = { payload, frames };
+          if (repeat) return null;
+        }
+        return {
+          payload,
+          samples: Math.round((ggwave.rxDurationFrames(rx) * SAMPLES_PER_FRAME * sampleRate) / MODEM_SAMPLE_RATE),
+        };
+      };
+      const decode = (frame) => {
+        if (closed) return null;
+        if (!toRate) return decodeFrame(frame);
+        const resampled = toRate(frame);
+        const input = new Float32Array(pending.length + resampled.length);
+        input.set(pending);
+        input.set(resampled, pending.length);
+        let found = null;
+        let off = 0;
+        for (; off + SAMPLES_PER_FRAME <= input.length; off += SAMPLES_PER_FRAME) {
+          found = decodeFrame(input.subarray(off, off + SAMPLES_PER_FRAME)) ?? found;
+        }
+        pending = input.slice(off);
+        return found;
+      };
+      decode.close = () => {
+        if (closed) return;
+        closed = true;
+        ggwave.free(rx);
+      };
+      return decode;
+    },
+  };
+}
+
+// Windowed-sinc resampler for a stream, the same filter as the server's dsp.createResampler: each call takes
+// the next block of input and returns the output samples it completes
+function createResampler(from, to, halfTaps = 16) {
+  const ratio = to / from;
+  const cutoff = Math.min(1, ratio) * 0.95;
+  const width = Math.ceil(halfTaps / cutoff);
+  // input kept for windows still to come; it starts at input index `offset`
+  let kept = new Float32Array(0);
+  let offset = 0;
+  let produced = 0;
+  return (samples) => {
+    const input = new Float32Array(kept.length + samples.length);
+    input.set(kept);
+    input.set(samples, kept.length);
+    const available = offset + input.length;
+    const out = [];
+    for (let center = produced / ratio; center + width < available; center = produced / ratio) {
+      const first = Math.max(offset, Math.ceil(center - width));
+      const lastTap = Math.min(available - 1, Math.floor(center + width));
+      let sum = 0;
+      for (let j = first; j <= lastTap; j++) {
+        const x = j - center;
+        const sinc = x === 0 ? 1 : Math.sin(Math.PI * cutoff * x) / (Math.PI * cutoff * x);
+        const window = 0.5 + 0.5 * Math.cos((Math.PI * x) / (width + 1));
+        sum += input[j - offset] * sinc * window;
+      }
+      out.push(sum * cutoff);
+      produced++;
+    }
+    const keepFrom = Math.max(offset, Math.ceil(produced / ratio - width));
+    kept = input.slice(keepFrom - offset);
+    offset = keepFrom;
+    return Float32Array.from(out);
+  };
+}
+
+// Run a whole recording through a decoder, with trailing silence so a final transmission completes
+export function decodeSamples(decode, samples, sampleRate) {
+  const padded = new Float32Array(samples.length + 3 * sampleRate);
+  padded.set(samples);
+  const found = [];
+  for (let off = 0; off + SAMPLES_PER_FRAME <= padded.length; off += SAMPLES_PER_FRAME) {
+    const res = decode(padded.subarray(off, off + SAMPLES_PER_FRAME));
+    if (!res) continue;
+    const end = Math.min(off + SAMPLES_PER_FRAME, samples.length);
+    found.push({ payload: res.payload, at: Math.max(0, end - res.samples) / sampleRate });
+  }
+  return found;
+}
+
+// 16-bit mono WAV, for downloading locally generated audio
+export function floatToWav(samples, sampleRate) {
+  const view = new DataView(new ArrayBuffer(44 + samples.length * 2));
+  const ascii = (off, s) => [...s].forEach((c, i) => view.setUint8(off + i, c.charCodeAt(0)));
+  ascii(0, "RIFF");
+  view.setUint32(4, 36 + samples.length * 2, true);
+  ascii(8, "WAVE");
+  ascii(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  ascii(36, "data");
+  view.setUint32(40, samples.length * 2, true);
+  for (let i = 0; i < samples.length; i++) {
+    view.setInt16(44 + i * 2, Math.max(-32768, Math.min(32767, Math.round(samples[i] * 32768))), true);
+  }
+  return new Blob([view], { type: "audio/wav" });
+}
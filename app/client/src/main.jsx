@@ -1,6 +1,41 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { createRoot } from "react-dom/client";
 import axios from "axios";
+import {
+  MODEM_SAMPLE_RATE,
+  createLocalModem,
+  decodeSamples,
+  floatToWav,
+} from "./localModem.js";
+import {
+  FALLBACK_PROTOCOLS,
+  MAX_FRAME_LENGTH,
+  byteLength,
+  createReassembler,
+  openMessage,
+  prepareFrames,
+} from "./protocol.js";
+import { createHistory, exportSession } from "./history.js";
+import {
+  MAX_FILE_BYTES,
+  formatBytes,
+  isFilePayload,
+  packFile,
+  transmitSeconds,
+  unpackFile,
+} from "./fileTransfer.js";
+import { createAcknowledger, createReliableSender, frameId, parseAck } from "./reliable.js";
+import { drawMarker, drawRow, frequencyX, snapshot } from "./spectrogram.js";
+import {
+  LOG_LIMIT,
+  MAX_KEPT_CHUNKS,
+  SHOWN_LIMIT,
+  chunkFileName,
+  createPcmChunker,
+  debugBundle,
+  eventTypes,
+  latencySeries,
+} from "./debugConsole.js";
 
 // In production, prefer same-origin requests. Allow override via VITE_API_BASE / VITE_WS_BASE
 const API_BASE = (import.meta.env?.VITE_API_BASE ?? "");
@@ -9,11 +44,39 @@ const buildApiUrl = (path) => {
   if (API_BASE) return `${API_BASE}${path}`;
   return path;
 };
+// API key for servers that require one (see /health `auth`); WebSockets carry it as ?token=
+const apiKey = () => localStorage.getItem("vocrypt.apiKey") || "";
+const apiHeaders = () => (apiKey() ? { "X-API-Key": apiKey() } : {});
+const withToken = (path) =>
+  apiKey() ? `${path}${path.includes("?") ? "&" : "?"}token=${encodeURIComponent(apiKey())}` : path;
 const buildWsUrl = (path) => {
-  if (WS_BASE) return `${WS_BASE}${path}`;
-  if (typeof window !== 'undefined') return `${window.location.origin.replace(/^http/, 'ws')}${path}`;
-  return `ws://localhost:5055${path}`;
+  if (WS_BASE) return `${WS_BASE}${withToken(path)}`;
+  if (typeof window !== 'undefined') return `${window.location.origin.replace(/^http/, 'ws')}${withToken(path)}`;
+  return `ws://localhost:5055${withToken(path)}`;
 };
+const apiFetch = (path, init = {}) =>
+  fetch(buildApiUrl(path), { ...init, headers: { ...apiHeaders(), ...init.headers } });
+// Id the server gave a request (X-Request-Id), which its log lines carry; debug entries include it
+const requestIdOf = (resp) => resp.headers.get("X-Request-Id") ?? undefined;
+
+// Readable text for an API error response { error, code, ... } (codes are listed in /openapi.json)
+const ERROR_TEXT = {
+  INVALID_REQUEST: (j) => `Invalid ${j.field}: ${j.error}`,
+  MESSAGE_TOO_LONG: (j) =>
+    j.maxLength !== undefined
+      ? `Message too long: ${j.currentLength} ${j.unit ?? "characters"}, at most ${j.maxLength} fit`
+      : j.error,
+  NO_SIGNAL: () => "No ggwave transmission found in the recording",
+  UNSUPPORTED_FORMAT: (j) => `Unsupported audio format${j.format ? ` (${j.format})` : ""}`,
+  BINARY_MISSING: () => "The server is missing its ggwave binaries",
+  FFMPEG_UNAVAILABLE: () => "The server cannot convert this audio: ffmpeg is not installed",
+  UNAUTHORIZED: () => "This server needs a valid API key (enter it on the start screen)",
+  QUOTA_EXCEEDED: (j) => `Usage quota reached, try again in ${j.retryAfter} s`,
+  CLIENT_LIMIT: (j) => `Too many requests at once, try again in ${j.retryAfter} s`,
+  QUEUE_FULL: (j) => `The server is busy, try again in ${j.retryAfter} s`,
+  JOB_TIMEOUT: () => "The server took too long to process the audio",
+};
+const describeError = (j, fallback) => ERROR_TEXT[j?.code]?.(j) ?? j?.error ?? fallback;
 
 function useAudioRecorder() {
   const mediaStream = useRef(null);
@@ -21,11 +84,15 @@ function useAudioRecorder() {
   const chunks = useRef([]);
   const listeners = useRef([]);
   const levelListeners = useRef([]);
+  const spectrumListeners = useRef([]);
   const audioCtx = useRef(null);
   const analyser = useRef(null);
   const levelTimer = useRef(null);
+  const frameListeners = useRef([]);
+  const capture = useRef(null);
 
-  const start = async () => {
+  // pcm: deliver raw 1024-sample frames through onFrame (AudioWorklet) instead of webm chunks through onChunk
+  const start = async ({ pcm = false } = {}) => {
     mediaStream.current = await navigator.mediaDevices.getUserMedia({
       audio: {
         echoCancellation: false,
@@ -33,29 +100,56 @@ function useAudioRecorder() {
         autoGainControl: false,
       },
     });
-    const mime = MediaRecorder.isTypeSupported("audio/webm;codecs=opus")
-      ? "audio/webm;codecs=opus"
-      : undefined;
-    mediaRecorder.current = new MediaRecorder(
-      mediaStream.current,
-      mime ? { mimeType: mime } : undefined
-    );
-    chunks.current = [];
-    mediaRecorder.current.ondataavailable = (e) => {
-      if (e.data.size) {
-        chunks.current.push(e.data);
-        listeners.current.forEach((fn) => fn(e.data));
-      }
-    };
-    // analyser for mic level
-    audioCtx.current = new (window.AudioContext || window.webkitAudioContext)();
-    const source = audioCtx.current.createMediaStreamSource(
-      mediaStream.current
-    );
+    if (!pcm) {
+      const mime = MediaRecorder.isTypeSupported("audio/webm;codecs=opus")
+        ? "audio/webm;codecs=opus"
+        : undefined;
+      mediaRecorder.current = new MediaRecorder(
+        mediaStream.current,
+        mime ? { mimeType: mime } : undefined
+      );
+      chunks.current = [];
+      mediaRecorder.current.ondataavailable = (e) => {
+        if (e.data.size) {
+          chunks.current.push(e.data);
+          listeners.current.forEach((fn) => fn(e.data));
+        }
+      };
+    }
+    // analyser for mic level, and PCM frames at MODEM_SAMPLE_RATE whatever the device rate
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    audioCtx.current = new AudioContextClass({ sampleRate: MODEM_SAMPLE_RATE });
+    let source;
+    try {
+      source = audioCtx.current.createMediaStreamSource(mediaStream.current);
+    } catch {
+      // some browsers cannot connect a microphone to a context at another rate; frames then come at the
+      // device rate, which /ws/decode resamples
+      audioCtx.current.close();
+      audioCtx.current = new AudioContextClass();
+      source = audioCtx.current.createMediaStreamSource(mediaStream.current);
+    }
     analyser.current = audioCtx.current.createAnalyser();
+    // 1024 at 48 kHz gives ggwave's own 46.875 Hz bins
     analyser.current.fftSize = 1024;
+    analyser.current.smoothingTimeConstant = 0.2;
     source.connect(analyser.current);
+    if (pcm) {
+      await audioCtx.current.audioWorklet.addModule(
+        `${import.meta.env.BASE_URL}capture.worklet.js`
+      );
+      capture.current = new AudioWorkletNode(
+        audioCtx.current,
+        "ggwave-capture"
+      );
+      capture.current.port.onmessage = (e) =>
+        frameListeners.current.forEach((fn) =>
+          fn(e.data, audioCtx.current.sampleRate)
+        );
+      source.connect(capture.current);
+    }
     const data = new Uint8Array(analyser.current.fftSize);
+    const bins = new Uint8Array(analyser.current.frequencyBinCount);
     const tick = () => {
       if (!analyser.current) return;
       analyser.current.getByteTimeDomainData(data);
@@ -67,18 +161,32 @@ function useAudioRecorder() {
       }
       const rms = Math.sqrt(sum / data.length);
       levelListeners.current.forEach((fn) => fn(rms));
+      if (spectrumListeners.current.length) {
+        analyser.current.getByteFrequencyData(bins);
+        spectrumListeners.current.forEach((fn) => fn(bins, audioCtx.current.sampleRate));
+      }
     };
     levelTimer.current = setInterval(tick, 50);
 
     // pass a timeslice so ondataavailable fires periodically (larger chunk aids decoding)
-    mediaRecorder.current.start(2000);
+    mediaRecorder.current?.start(2000);
   };
   const stop = async () => {
-    if (!mediaRecorder.current) return null;
-    await new Promise((r) => {
-      mediaRecorder.current.onstop = r;
-      mediaRecorder.current.stop();
-    });
+    if (!mediaRecorder.current && !capture.current) return null;
+    const recorder = mediaRecorder.current;
+    mediaRecorder.current = null;
+    if (recorder) {
+      await new Promise((r) => {
+        recorder.onstop = r;
+        recorder.stop();
+      });
+    }
+    if (capture.current) {
+      frameListeners.current = [];
+      capture.current.port.onmessage = null;
+      capture.current.disconnect();
+      capture.current = null;
+    }
     mediaStream.current?.getTracks().forEach((t) => t.stop());
     if (levelTimer.current) {
       clearInterval(levelTimer.current);
@@ -91,6 +199,7 @@ function useAudioRecorder() {
       audioCtx.current = null;
       analyser.current = null;
     }
+    if (!recorder) return null;
     const blob = new Blob(chunks.current, { type: "audio/webm" });
     const arrayBuffer = await blob.arrayBuffer();
     return new Uint8Array(arrayBuffer);
@@ -106,16 +215,30 @@ function useAudioRecorder() {
       listeners.current = listeners.current.filter((f) => f !== fn);
     };
   };
+  const onFrame = (fn) => {
+    frameListeners.current.push(fn);
+    return () => {
+      frameListeners.current = frameListeners.current.filter((f) => f !== fn);
+    };
+  };
   const onLevel = (fn) => {
     levelListeners.current.push(fn);
     return () => {
       levelListeners.current = levelListeners.current.filter((f) => f !== fn);
     };
   };
-  return { start, stop, onChunk, onLevel, requestPermission };
+  // fn(bins, sampleRate): magnitudes (0-255) of frequencyBinCount bins from 0 Hz to Nyquist, every 50 ms
+  const onSpectrum = (fn) => {
+    spectrumListeners.current.push(fn);
+    return () => {
+      spectrumListeners.current = spectrumListeners.current.filter((f) => f !== fn);
+    };
+  };
+  return { start, stop, onChunk, onFrame, onLevel, onSpectrum, requestPermission };
 }
 
 function ConfigModal({ open, initial, onClose, onSave }) {
+  const [enabled, setEnabled] = useState(initial.enabled);
   const [greeting, setGreeting] = useState(initial.greeting);
   const [goal, setGoal] = useState(initial.goal);
   const [model, setModel] = useState(initial.model);
@@ -125,6 +248,15 @@ function ConfigModal({ open, initial, onClose, onSave }) {
       <div className="modal">
         <h3 style={{ marginTop: 0 }}>Set your robot</h3>
         <div style={{ display: "grid", gap: 10 }}>
+          <label style={{ display: "flex", gap: 8, alignItems: "center" }}>
+            <input
+              type="checkbox"
+              checked={enabled}
+              onChange={(e) => setEnabled(e.target.checked)}
+              style={{ width: "auto" }}
+            />
+            Answer received messages automatically (server mode)
+          </label>
           <div>
             <label>Greeting message (optional)</label>
             <input
@@ -158,7 +290,7 @@ function ConfigModal({ open, initial, onClose, onSave }) {
             </button>
             <button
               className="btn primary"
-              onClick={() => onSave({ greeting, goal, model })}
+              onClick={() => onSave({ enabled, greeting, goal, model })}
             >
               Save
             </button>
@@ -171,71 +303,515 @@ function ConfigModal({ open, initial, onClose, onSave }) {
 
 function App() {
   const [health, setHealth] = useState(null);
+  // /ready self-test report: which features work (null until loaded, or for servers without /ready)
+  const [readiness, setReadiness] = useState(null);
   const [listening, setListening] = useState(false);
   const [inSession, setInSession] = useState(false);
   const [modalOpen, setModalOpen] = useState(false);
-  const [config, setConfig] = useState({
+  // Robot settings; when enabled the server's responder greets and answers decoded messages
+  const [config, setConfig] = useState(() => ({
+    enabled: false,
     greeting: "Hello, world!",
     goal: "",
     model: "Llama 4 Maverick",
-  });
+    ...JSON.parse(localStorage.getItem("vocrypt.robot") || "{}"),
+  }));
   const [leftMsgs, setLeftMsgs] = useState([]);
   const [rightMsgs, setRightMsgs] = useState([]);
   const [script, setScript] = useState("hiiiiiii\nhellooooo");
   const recorder = useAudioRecorder();
   const [status, setStatus] = useState("Idle");
+  // { id, received, total } of the framed message being received, for the progress bar
+  const [receiving, setReceiving] = useState(null);
+  // Live waterfall in the listening panel; markRef.current(label, color) marks its newest row while shown
+  const [showSpectrogram, setShowSpectrogram] = useState(false);
+  const markRef = useRef(null);
+  const lastMarkRef = useRef("");
   const wsRef = useRef(null);
   const [showDebug, setShowDebug] = useState(false);
   const [micLevel, setMicLevel] = useState(0);
   const [debug, setDebug] = useState([]);
+  // The last keepChunks mic chunks ({ id, t, blob, source, sampleRate? }) for replay and the debug bundle, and
+  // the result of replaying each by id
+  const [micChunks, setMicChunks] = useState([]);
+  const [keepChunks, setKeepChunks] = useState(
+    () => Number(localStorage.getItem("vocrypt.debug.keepChunks") ?? 10)
+  );
+  const keepChunksRef = useRef(keepChunks);
+  const chunkIdRef = useRef(0);
+  const [replays, setReplays] = useState({});
+  // Optional shared keys: sendKey encrypts outgoing audio, listenKey decrypts what we hear
+  const [sendKey, setSendKey] = useState("");
+  const [listenKey, setListenKey] = useState("");
+  const listenKeyRef = useRef("");
+  // Lets the server reassemble long messages split across consecutive mic chunks
+  const listenSessionRef = useRef("");
+  // "server" uses the API for encode/decode, "local" runs ggwave in the browser
+  const [mode, setMode] = useState(
+    () => localStorage.getItem("vocrypt.mode") || "server"
+  );
+  const modemRef = useRef(null);
+  const listenAssemblerRef = useRef(null);
+  // Protocol, fixed payload length and DSS; sender and listener must use the same payloadLength/dss
+  const [protocols, setProtocols] = useState(FALLBACK_PROTOCOLS);
+  const [modulation, setModulation] = useState(() => ({
+    protocol: 1,
+    payloadLength: "",
+    dss: false,
+    // reliable delivery: frame, wait for ACKs and retransmit up to `attempts` times (see reliable.js)
+    reliable: false,
+    attempts: 3,
+    ...JSON.parse(localStorage.getItem("vocrypt.modulation") || "{}"),
+  }));
+  const txOptions = {
+    protocol: modulation.protocol,
+    payloadLength: modulation.payloadLength ? Number(modulation.payloadLength) : null,
+    dss: modulation.dss,
+  };
+  const modulationQuery = () =>
+    new URLSearchParams({
+      protocol: txOptions.protocol,
+      ...(txOptions.payloadLength ? { payloadLength: txOptions.payloadLength } : {}),
+      ...(txOptions.dss ? { dss: "1" } : {}),
+    }).toString();
+  // ggwave-cli audio devices for /ws/cli sessions, as listed by the server once a session starts
+  const [cliDevices, setCliDevices] = useState(null);
+  const [audioDevices, setAudioDevices] = useState(() => ({
+    capture: 0,
+    playback: 0,
+    ...JSON.parse(localStorage.getItem("vocrypt.cliDevices") || "{}"),
+  }));
+  const appendRxFields = (form) => {
+    if (txOptions.payloadLength) form.append("payloadLength", txOptions.payloadLength);
+    if (txOptions.dss) form.append("dss", "true");
+  };
+  // /ws/decode connection carrying raw mic PCM while listening in server mode
+  const streamRef = useRef(null);
+  // in-browser decoder fed by the microphone while listening in local mode
+  const localDecoderRef = useRef(null);
+  // Current history session: { id, ready } where ready resolves once the session is stored
+  const sessionRef = useRef(null);
+  const [historyOpen, setHistoryOpen] = useState(false);
 
   useEffect(() => {
     axios
       .get(buildApiUrl(`/health`))
       .then((r) => setHealth(r.data))
       .catch(() => setHealth({ ok: false }));
+    // 503 still carries the report
+    axios
+      .get(buildApiUrl(`/ready`), { validateStatus: () => true })
+      .then((r) => setReadiness(r.data?.features ? r.data : null))
+      .catch(() => setReadiness(null));
+    axios
+      .get(buildApiUrl(`/protocols`))
+      .then((r) => setProtocols(r.data.protocols))
+      .catch(() => {});
   }, []);
 
+  useEffect(() => {
+    localStorage.setItem("vocrypt.modulation", JSON.stringify(modulation));
+  }, [modulation]);
+  useEffect(() => {
+    localStorage.setItem("vocrypt.cliDevices", JSON.stringify(audioDevices));
+  }, [audioDevices]);
+  // an open /ws/cli session restarts ggwave-cli with the new settings
+  useEffect(() => {
+    const ws = wsRef.current;
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ type: "config", ...txOptions, ...audioDevices }));
+    }
+  }, [modulation, audioDevices]);
+  // the server can decode a live PCM stream over /ws/decode (wasm engine)
+  const streaming = !!health?.streaming;
+  // server status for the indicator: red when down or its self-test failed, amber when features are unavailable
+  const serverOk = !!health?.ok && readiness?.ready !== false;
+  const unavailable = readiness ? readiness.degraded.map((name) => readiness.features[name]) : [];
+  const statusColor = !serverOk ? "#ef4444" : unavailable.length ? "#f59e0b" : "#10b981";
+  const history = useMemo(
+    () =>
+      createHistory(
+        mode === "server" && health?.ok ? apiFetch : null
+      ),
+    [mode, health?.ok]
+  );
+
   const log = (entry) =>
-    setDebug((d) => [...d.slice(-199), { t: Date.now(), ...entry }]);
+    setDebug((d) => [...d.slice(-(LOG_LIMIT - 1)), { t: Date.now(), ...entry }]);
+
+  useEffect(() => {
+    keepChunksRef.current = keepChunks;
+    localStorage.setItem("vocrypt.debug.keepChunks", String(keepChunks));
+    setMicChunks((c) => (keepChunks ? c.slice(-keepChunks) : []));
+  }, [keepChunks]);
+  // source: decode-webm (chunks posted there), stream (PCM sent to /ws/decode) or local (decoded in the browser)
+  const keepChunk = (blob, source, sampleRate) => {
+    const keep = keepChunksRef.current;
+    if (!keep) return;
+    const chunk = { id: ++chunkIdRef.current, t: Date.now(), blob, source, sampleRate };
+    setMicChunks((c) => [...c, chunk].slice(-keep));
+  };
+
+  // Store messages of the current session; history failures never interrupt the conversation
+  const recordHistory = (entries) => {
+    const session = sessionRef.current;
+    if (!session || !entries.length) return;
+    session.ready
+      .then(() => history.addMessages(session.id, entries))
+      .catch((e) => log({ type: "history_err", error: e.message }));
+  };
+
+  // Show decoded messages in the left panel and record them
+  const addReceived = async (entries, extra = {}) => {
+    // ACK/NACK transmissions of reliable delivery are not messages
+    entries = entries.filter((e) => {
+      const ack = parseAck(e.text);
+      if (ack) {
+        log({ type: "ack_heard", ...ack });
+        senderRef.current.handle(ack);
+      }
+      return !ack;
+    });
+    if (!entries.length) return;
+    setReceiving(null);
+    const stamped = await Promise.all(
+      entries.map(async (e) => ({ timestamp: Date.now(), ...extra, ...e, ...(await receivedFile(e.text)) }))
+    );
+    setLeftMsgs((m) => [...m, ...stamped]);
+    if (stamped.some((e) => e.source === "mic")) markRef.current?.("decoded", "#10b981");
+    // the text (the packed file itself) is what history keeps, not the object URL
+    recordHistory(stamped.map(({ file, ...e }) => ({ direction: "received", ...e })));
+    shareWithRoom(stamped, "received");
+  };
+
+  // { file } for a message carrying a file (see fileTransfer.js), with the blob to preview and save it
+  const receivedFile = async (text) => {
+    if (!isFilePayload(text)) return {};
+    const f = await unpackFile(text);
+    if (!f) return {};
+    if (f.error) {
+      log({ type: "file_damaged", name: f.name, error: f.error });
+      return { file: { name: f.name, error: f.error } };
+    }
+    log({ type: "file_received", name: f.name, size: f.size });
+    return { file: { name: f.name, type: f.type, size: f.size, blob: f.blob } };
+  };
+
+  // Status line and progress bar for partially received framed messages
+  const showIncomplete = (incomplete) => {
+    const last = incomplete[incomplete.length - 1];
+    setReceiving(last ? { id: last.id, received: last.received.length, total: last.total } : null);
+    if (!last) return;
+    setStatus(`Receiving ${describeIncomplete(incomplete)}`);
+    // progress is reported again on every decode; mark each new chunk once
+    const mark = `${last.id}:${last.received.length}`;
+    if (mark !== lastMarkRef.current) markRef.current?.(`chunk ${last.received.length}/${last.total}`, "#fbbf24");
+    lastMarkRef.current = mark;
+  };
+
+  // One left-panel entry per message in a /decode or /decode-webm response; source: "upload" or "mic"
+  const decodedEntries = (j, source) =>
+    (j.messages ?? (j.message ? [{ message: j.message }] : [])).map((d) =>
+      d.error
+        ? { role: "user", text: `(could not decrypt: ${d.error})` }
+        : {
+            role: "user",
+            text: d.message,
+            encrypted: !!d.encrypted,
+            at: d.start,
+            protocol: d.protocol?.name,
+            source,
+          }
+    );
+
+  const describeIncomplete = (incomplete) =>
+    incomplete
+      .map(
+        (p) =>
+          `message ${p.id}: ${p.received.length}/${p.total} chunks, missing ${p.missing
+            .map((i) => i + 1)
+            .join(", ")}`
+      )
+      .join("; ");
+
+  const [apiKeyValue, setApiKeyValue] = useState(apiKey);
+  useEffect(() => {
+    if (apiKeyValue) localStorage.setItem("vocrypt.apiKey", apiKeyValue);
+    else localStorage.removeItem("vocrypt.apiKey");
+  }, [apiKeyValue]);
+
+  // Room shared with other clients over /ws/room (server mode): { name, you, members } once joined
+  const [roomName, setRoomName] = useState(() => localStorage.getItem("vocrypt.room") || "");
+  const [memberName, setMemberName] = useState(() => localStorage.getItem("vocrypt.name") || "");
+  const [room, setRoom] = useState(null);
+  const roomRef = useRef(null);
+  useEffect(() => {
+    localStorage.setItem("vocrypt.room", roomName);
+    localStorage.setItem("vocrypt.name", memberName);
+  }, [roomName, memberName]);
+
+  // Messages sent or decoded here (entries with a source) go to the room; those from the room carry `from`.
+  // Encrypted ones stay here: only their plaintext is at hand, and the server and members without the key
+  // must not see it.
+  const shareWithRoom = (entries, direction) => {
+    const ws = roomRef.current;
+    if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    for (const e of entries) {
+      if (!e.source || e.from || e.encrypted) continue;
+      ws.send(
+        JSON.stringify({
+          type: "message",
+          direction,
+          text: e.text,
+          protocol: e.protocol,
+          at: e.at,
+          source: e.source,
+        })
+      );
+    }
+  };
+
+  const onRoomEvent = async (msg) => {
+    if (msg.type === "joined") {
+      setRoom({ name: msg.room, you: msg.you, members: msg.members });
+      setStatus(`Joined room ${msg.room}`);
+    } else if (msg.type === "presence") {
+      setRoom((r) => r && { ...r, members: msg.members });
+      setStatus(`${msg.member.name} ${msg.event === "join" ? "joined" : "left"} the room`);
+    } else if (msg.type === "message") {
+      const entry = {
+        role: msg.direction === "sent" ? "bot" : "user",
+        text: msg.text,
+        encrypted: msg.encrypted,
+        protocol: msg.protocol ?? undefined,
+        at: msg.at ?? undefined,
+        timestamp: msg.timestamp,
+        from: msg.from.name,
+        ...(await receivedFile(msg.text)),
+      };
+      (msg.direction === "sent" ? setRightMsgs : setLeftMsgs)((m) => [...m, entry]);
+      recordHistory([{ direction: msg.direction, ...entry }]);
+    }
+  };
+
+  const joinRoom = () => {
+    if (roomRef.current || !roomName) return;
+    const query = new URLSearchParams({ room: roomName, ...(memberName ? { name: memberName } : {}) });
+    const ws = new WebSocket(buildWsUrl(`/ws/room?${query}`));
+    ws.onmessage = (ev) => {
+      try {
+        const msg = JSON.parse(ev.data);
+        log({ type: "room_msg", msg });
+        onRoomEvent(msg);
+      } catch {
+        log({ type: "room_raw", data: ev.data });
+      }
+    };
+    ws.onclose = (ev) => {
+      log({ type: "room", msg: "closed", code: ev.code, reason: ev.reason });
+      if (roomRef.current !== ws) return;
+      roomRef.current = null;
+      setRoom(null);
+      setStatus(`Left room: ${ev.reason || "connection closed"}`);
+    };
+    roomRef.current = ws;
+  };
 
-  const startSession = async () => {
+  const leaveRoom = () => {
+    const ws = roomRef.current;
+    roomRef.current = null;
+    setRoom(null);
+    ws?.close();
+  };
+
+  useEffect(() => {
+    localStorage.setItem("vocrypt.mode", mode);
+  }, [mode]);
+  useEffect(() => {
+    localStorage.setItem("vocrypt.robot", JSON.stringify(config));
+  }, [config]);
+
+  // The robot runs on /ws/cli when the server can transmit through ggwave-cli, otherwise on /ws/decode
+  // while listening, with its replies transmitted here. greetedRef avoids greeting again on reconnect.
+  const robotOnCliRef = useRef(false);
+  const greetedRef = useRef(false);
+  const startRobot = (ws, extra = {}) => {
+    if (!config.enabled || mode !== "server") return false;
+    ws.send(
+      JSON.stringify({
+        type: "responder",
+        greeting: config.greeting,
+        goal: config.goal,
+        model: config.model,
+        greet: !greetedRef.current,
+        ...extra,
+      })
+    );
+    greetedRef.current = true;
+    return true;
+  };
+  const onRobotEvent = (msg) => {
+    if (msg.type === "reply") {
+      log({ type: "robot_reply", text: msg.text, transmitted: msg.transmitted });
+      if (msg.transmitted) {
+        const entry = { role: "bot", text: msg.text, encrypted: !!sendKey, timestamp: Date.now(), source: "robot" };
+        setRightMsgs((m) => [...m, entry]);
+        recordHistory([{ direction: "sent", ...entry }]);
+        shareWithRoom([entry], "sent");
+      } else {
+        sendRight(msg.text, { viaCli: false });
+      }
+    } else if (msg.type === "responder_error") {
+      setStatus(`Robot settings rejected: ${msg.error}`);
+    }
+  };
+
+  const getModem = () => {
+    if (!modemRef.current) {
+      modemRef.current = createLocalModem();
+      modemRef.current.catch(() => (modemRef.current = null));
+    }
+    return modemRef.current;
+  };
+
+  // Local-mode counterpart of the server's reassemble + openMessages for one decoded payload.
+  // Resolves to a left-panel entry, or null while a framed message is still incomplete.
+  const receiveLocal = async (payload, assembler, extra = {}) => {
+    const r = assembler.push(payload);
+    if (extra.source === "mic") acknowledge(r);
+    if (r.corrupt) {
+      log({ type: "local_bad_checksum", id: r.id, index: r.index });
+      return null;
+    }
+    if (!r.complete) {
+      if (!r.duplicate) showIncomplete([r]);
+      return null;
+    }
+    const key = listenKeyRef.current;
+    if (!key) return { role: "user", text: r.message, ...extra };
+    try {
+      const text = await openMessage(r.message, key);
+      return { role: "user", text, encrypted: true, ...extra };
+    } catch (e) {
+      return { role: "user", text: `(could not decrypt: ${e.message})` };
+    }
+  };
+
+  useEffect(() => {
+    listenKeyRef.current = listenKey;
+    for (const ws of [wsRef.current, streamRef.current]) {
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type: "key", key: listenKey }));
+      }
+    }
+  }, [listenKey]);
+
+  // Starts a new history session, or continues `resume` (a stored session with its messages)
+  const startSession = async (resume = null) => {
+    const id = resume?.id ?? crypto.randomUUID();
+    const ready = history.startSession(
+      resume ? { id, mode } : { id, mode, title: new Date().toLocaleString() }
+    );
+    ready.catch((e) => log({ type: "history_err", error: e.message }));
+    sessionRef.current = { id, ready };
+    greetedRef.current = false;
+    const panelEntry = (m) => ({
+      role: m.direction === "sent" ? "bot" : "user",
+      text: m.text,
+      encrypted: m.encrypted,
+      at: m.at ?? undefined,
+      protocol: m.protocol ?? undefined,
+      timestamp: m.timestamp,
+      from: m.from ?? undefined,
+    });
+    const previous = resume?.messages ?? [];
+    setLeftMsgs(previous.filter((m) => m.direction === "received").map(panelEntry));
+    setRightMsgs(previous.filter((m) => m.direction === "sent").map(panelEntry));
     setInSession(true);
-    openWs();
+    if (mode === "local") {
+      getModem().catch((e) => setStatus(e.message));
+      setStatus("Local mode");
+    } else {
+      openWs();
+      joinRoom();
+    }
   };
+  const stopListening = async () => {
+    await recorder.stop();
+    if (streamRef.current) {
+      streamRef.current.close();
+      streamRef.current = null;
+    }
+    if (localDecoderRef.current) {
+      localDecoderRef.current.close();
+      localDecoderRef.current = null;
+    }
+  };
+
   const endSession = async () => {
     if (listening) {
-      await recorder.stop();
+      await stopListening();
       setListening(false);
     }
     setInSession(false);
+    sessionRef.current = null;
+    leaveRoom();
     if (wsRef.current) {
       wsRef.current.close();
       wsRef.current = null;
     }
   };
 
+  // decoded / partial / decode_error events pushed by /ws/cli (source "cli") and /ws/decode ("mic")
+  const onDecodeEvent = (msg, source) => {
+    // reliable delivery answers what the browser's microphone hears; ggwave-cli sessions transmit on their own
+    if (source === "mic") {
+      if (msg.type === "decoded") acknowledge({ complete: true, id: msg.id });
+      else if (msg.type === "partial") acknowledge(msg);
+      else if (msg.type === "duplicate") acknowledge({ duplicate: true, id: msg.id });
+    }
+    if (msg.type === "decoded" && msg.message) {
+      addReceived([
+        {
+          role: "user",
+          text: msg.message,
+          encrypted: !!msg.encrypted,
+          at: msg.start,
+          protocol: msg.protocol?.name,
+          source,
+        },
+      ]);
+    } else if (msg.type === "partial") {
+      showIncomplete([msg]);
+    } else if (msg.type === "decode_error") {
+      addReceived([{ role: "user", text: `(could not decrypt: ${msg.error})` }]);
+    }
+  };
+
   // WS control using ggwave-cli (sender side real-time)
   const openWs = () => {
     if (wsRef.current) return;
-    const ws = new WebSocket(buildWsUrl(`/ws/cli`));
+    const devices = new URLSearchParams(audioDevices).toString();
+    const ws = new WebSocket(buildWsUrl(`/ws/cli?${modulationQuery()}&${devices}`));
     ws.onopen = () => {
       setStatus("WS connected (CLI mode)");
       log({ type: "ws", msg: "connected" });
+      if (listenKeyRef.current) {
+        ws.send(JSON.stringify({ type: "key", key: listenKeyRef.current }));
+      }
+      if (health?.cli) robotOnCliRef.current = startRobot(ws, { key: sendKey });
     };
     ws.onmessage = (ev) => {
       try {
         const msg = JSON.parse(ev.data);
         log({ type: "ws_msg", msg });
-        if (msg.type === "decoded" && msg.message) {
-          setLeftMsgs((m) => [...m, { role: "user", text: msg.message }]);
-        } else if (msg.type === "stderr" && typeof msg.data === "string") {
-          const m = msg.data.match(
-            /Received sound data successfully:\s*'([^']+)'/
-          );
-          if (m && m[1]) {
-            setLeftMsgs((v) => [...v, { role: "user", text: m[1] }]);
-          }
+        onRobotEvent(msg);
+        if (msg.type === "devices") {
+          setCliDevices({ capture: msg.capture, playback: msg.playback });
+        } else if (msg.type === "config_error") {
+          setStatus(`CLI settings rejected: ${msg.error}`);
+        } else {
+          onDecodeEvent(msg, "cli");
         }
       } catch {
         log({ type: "ws_raw", data: ev.data });
@@ -246,30 +822,78 @@ function App() {
       log({ type: "ws", msg: "error" });
     };
     ws.onclose = () => {
+      robotOnCliRef.current = false;
+      setCliDevices(null);
       setStatus("WS closed");
       log({ type: "ws", msg: "closed" });
     };
     wsRef.current = ws;
   };
 
-  const sendRight = async (text) => {
-    setRightMsgs((m) => [...m, { role: "bot", text }]);
-    if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
-      wsRef.current.send(JSON.stringify({ type: "send", text }));
-      log({ type: "ws_send", text });
+  // viaCli: false for robot replies, which must not be sent through ggwave-cli again.
+  // file: a packed file (see FileSender) whose payload is `text`; files are only sent as audio.
+  // In reliable mode messages are played by the browser and retransmitted until acknowledged.
+  const sendRight = async (text, { viaCli = true, file = null } = {}) => {
+    let frames = null;
+    if (modulation.reliable) {
+      try {
+        frames = await prepareFrames(text, sendKey, txOptions.payloadLength, { framed: true });
+      } catch (e) {
+        setStatus(e.message);
+        return;
+      }
+    }
+    const entry = {
+      role: "bot",
+      text,
+      encrypted: !!sendKey,
+      protocol: protocols.find((p) => p.id === txOptions.protocol)?.name,
+      timestamp: Date.now(),
+      source: file ? "file" : viaCli ? "composer" : "robot",
+    };
+    const delivery = frames && {
+      id: frameId(frames[0]),
+      state: "sending",
+      attempts: 0,
+      maxAttempts: Number(modulation.attempts) || 3,
+    };
+    setRightMsgs((m) => [...m, { ...entry, ...(file ? { file } : {}), ...(delivery ? { delivery } : {}) }]);
+    shareWithRoom([entry], "sent");
+    // recorded once encoded, with the time encoding took
+    const recordSent = (latencyMs = null) =>
+      recordHistory([{ direction: "sent", ...entry, latencyMs }]);
+    if (frames) {
+      recordSent();
+      return sendReliable(delivery.id, frames);
+    }
+    if (file) viaCli = false;
+    if (viaCli && wsRef.current && wsRef.current.readyState === WebSocket.OPEN) {
+      wsRef.current.send(JSON.stringify({ type: "send", text, key: sendKey }));
+      log({ type: "ws_send", text, encrypted: !!sendKey });
       // Do not return; still do local encode so audio plays client-side
     }
+    if (mode === "local") return recordSent(await sendLocal(text, file?.name));
     const started = performance.now();
-    const resp = await fetch(buildApiUrl(`/encode-long`), {
+    const resp = await apiFetch(`/encode-long`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ message: text }),
+      body: JSON.stringify({
+        message: text,
+        key: sendKey || undefined,
+        ...txOptions,
+      }),
     });
+    if (!resp.ok) {
+      const j = await resp.json().catch(() => ({}));
+      log({ type: "http_encode_err", status: resp.status, code: j.code, error: j.error, requestId: requestIdOf(resp) });
+      setStatus(describeError(j, "Encode failed"));
+      recordSent();
+      return;
+    }
     const wav = await resp.arrayBuffer();
-    log({
-      type: "http_encode_ms",
-      ms: Math.round(performance.now() - started),
-    });
+    const latencyMs = Math.round(performance.now() - started);
+    log({ type: "http_encode_ms", ms: latencyMs, requestId: requestIdOf(resp) });
+    recordSent(latencyMs);
 
     // Play the audio
     const audio = new Audio(
@@ -279,9 +903,179 @@ function App() {
       audio.onended = resolve;
       audio.play();
     });
+    URL.revokeObjectURL(audio.src);
 
     // Download the audio file
-    downloadAudioFile(wav, text);
+    downloadAudioFile(wav, file?.name ?? text);
+  };
+
+  // Same frames /encode-long would produce, encoded in the browser
+  // at MODEM_SAMPLE_RATE
+  const encodeLocal = async (text, key) => {
+    const modem = await getModem();
+    const frames = await prepareFrames(text, key, txOptions.payloadLength);
+    const parts = frames.map((f) => modem.encode(f, txOptions));
+    const samples = new Float32Array(parts.reduce((n, p) => n + p.length, 0));
+    parts.reduce((off, p) => (samples.set(p, off), off + p.length), 0);
+    return { samples, frames: frames.length };
+  };
+
+  // Resolves to the encoding time in ms, or null when encoding failed
+  const sendLocal = async (text, label = text) => {
+    const started = performance.now();
+    let samples;
+    let latencyMs;
+    const ctx = new (window.AudioContext || window.webkitAudioContext)();
+    try {
+      const encoded = await encodeLocal(text, sendKey);
+      samples = encoded.samples;
+      latencyMs = Math.round(performance.now() - started);
+      log({ type: "local_encode_ms", ms: latencyMs, frames: encoded.frames });
+    } catch (e) {
+      ctx.close();
+      log({ type: "local_encode_err", error: e.message });
+      setStatus(e.message || "Encode failed");
+      return null;
+    }
+
+    // the context plays the 48 kHz buffer at the device rate
+    const buffer = ctx.createBuffer(1, samples.length, MODEM_SAMPLE_RATE);
+    buffer.getChannelData(0).set(samples);
+    const source = ctx.createBufferSource();
+    source.buffer = buffer;
+    source.connect(ctx.destination);
+    await new Promise((resolve) => {
+      source.onended = resolve;
+      source.start(0);
+    });
+    ctx.close();
+
+    downloadAudioFile(floatToWav(samples, buffer.sampleRate), label);
+    return latencyMs;
+  };
+
+  // Plays ready-made payloads (frames, ACKs) with the current settings. Transmissions share the speaker, so
+  // each one waits for the previous to finish.
+  const speakerRef = useRef(Promise.resolve());
+  const playPayloads = (payloads) => {
+    const run = speakerRef.current.then(() =>
+      mode === "local" ? playPayloadsLocal(payloads) : playPayloadsServer(payloads)
+    );
+    speakerRef.current = run.catch(() => {});
+    return run;
+  };
+
+  const playPayloadsLocal = async (payloads) => {
+    const modem = await getModem();
+    const ctx = new (window.AudioContext || window.webkitAudioContext)();
+    try {
+      const parts = payloads.map((f) => modem.encode(f, txOptions));
+      const buffer = ctx.createBuffer(1, parts.reduce((n, p) => n + p.length, 0), MODEM_SAMPLE_RATE);
+      parts.reduce((off, p) => (buffer.getChannelData(0).set(p, off), off + p.length), 0);
+      const source = ctx.createBufferSource();
+      source.buffer = buffer;
+      source.connect(ctx.destination);
+      await new Promise((resolve) => {
+        source.onended = resolve;
+        source.start(0);
+      });
+    } finally {
+      ctx.close();
+    }
+  };
+
+  const playPayloadsServer = async (payloads) => {
+    for (const payload of payloads) {
+      const resp = await apiFetch(`/encode`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ message: payload, ...txOptions }),
+      });
+      if (!resp.ok) throw new Error(describeError(await resp.json().catch(() => null), "Encode failed"));
+      const audio = new Audio(URL.createObjectURL(await resp.blob()));
+      await new Promise((resolve, reject) => {
+        audio.onended = resolve;
+        audio.onerror = () => reject(new Error("Playback failed"));
+        audio.play().catch(reject);
+      });
+      URL.revokeObjectURL(audio.src);
+    }
+  };
+
+  // Airtime of one full frame with the current settings, which paces ACK waits
+  const frameSeconds = () => {
+    const protocol = protocols.find((p) => p.id === Number(txOptions.protocol));
+    if (!protocol) return 10;
+    return txOptions.payloadLength
+      ? transmitSeconds(txOptions.payloadLength, protocol, true)
+      : transmitSeconds(MAX_FRAME_LENGTH, protocol);
+  };
+
+  // Reliable delivery (see reliable.js). The sender and acknowledger outlive renders, so they reach the
+  // current settings through linkRef.
+  const linkRef = useRef(null);
+  linkRef.current = {
+    reliable: !!modulation.reliable,
+    play: playPayloads,
+    log,
+    // time for the next chunk to arrive before the receiver asks for missing ones
+    quietMs: () => (1.5 * frameSeconds() + 1) * 1000,
+    // the receiver's wait plus its NACK (at most one frame) and decoding delays
+    ackTimeoutMs: () => (2.5 * frameSeconds() + 4) * 1000,
+    maxLength: () => txOptions.payloadLength || MAX_FRAME_LENGTH,
+  };
+  const senderRef = useRef(null);
+  senderRef.current ??= createReliableSender({
+    transmit: (frames) => linkRef.current.play(frames),
+    ackTimeoutMs: () => linkRef.current.ackTimeoutMs(),
+    onState: (id, state) => {
+      linkRef.current.log({ type: "delivery", id, ...state });
+      setRightMsgs((m) =>
+        m.map((e) => (e.delivery?.id === id ? { ...e, delivery: { ...e.delivery, ...state } } : e))
+      );
+    },
+  });
+  const ackerRef = useRef(null);
+  ackerRef.current ??= createAcknowledger({
+    transmit: (text) => {
+      linkRef.current.log({ type: "ack_send", text });
+      linkRef.current.play([text]).catch((e) => linkRef.current.log({ type: "ack_err", error: e.message }));
+    },
+    quietMs: () => linkRef.current.quietMs(),
+    maxLength: () => linkRef.current.maxLength(),
+    isOwn: (id) => senderRef.current.owns(id),
+  });
+  // Reassembly state of a chunk heard live; answered only in reliable mode
+  const acknowledge = (result) => linkRef.current.reliable && ackerRef.current.frame(result);
+
+  const sendReliable = async (id, frames) => {
+    if (!listening) setStatus("Reliable delivery hears acknowledgements only while listening");
+    const state = await senderRef.current.send(id, frames, { attempts: Number(modulation.attempts) || 3 });
+    setStatus(`Message ${id} ${state}`);
+  };
+
+  // Re-encode a message (unencrypted) with the current modulation settings and save it
+  const downloadMessage = async (text) => {
+    try {
+      if (mode === "local") {
+        const { samples } = await encodeLocal(text, "");
+        downloadAudioFile(floatToWav(samples, MODEM_SAMPLE_RATE), text);
+        return;
+      }
+      const resp = await apiFetch(`/encode-long`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ message: text, ...txOptions }),
+      });
+      if (!resp.ok) {
+        setStatus(describeError(await resp.json().catch(() => null), "Encode failed"));
+        return;
+      }
+      const wav = await resp.arrayBuffer();
+      downloadAudioFile(wav, text);
+    } catch (error) {
+      console.error("Error downloading audio:", error);
+    }
   };
 
   const downloadAudioFile = (audioBuffer, text) => {
@@ -314,21 +1108,231 @@ function App() {
     }
   };
 
+  // Stream AudioWorklet frames to the server's persistent decoder; the socket opens on the first
+  // frame, once the capture sample rate is known
+  const listenStream = () => {
+    const queue = [];
+    recorder.onFrame((frame, sampleRate) => {
+      let ws = streamRef.current;
+      if (!ws) {
+        ws = new WebSocket(
+          buildWsUrl(
+            `/ws/decode?sampleRate=${sampleRate}&format=f32&${modulationQuery()}`
+          )
+        );
+        ws.onopen = () => {
+          if (listenKeyRef.current) {
+            ws.send(JSON.stringify({ type: "key", key: listenKeyRef.current }));
+          }
+          if (!robotOnCliRef.current) startRobot(ws);
+          queue.splice(0).forEach((f) => ws.send(f));
+        };
+        ws.onmessage = (ev) => {
+          try {
+            const msg = JSON.parse(ev.data);
+            log({ type: "stream_msg", msg });
+            onRobotEvent(msg);
+            if (msg.type === "decoded") setStatus("Listening...");
+            onDecodeEvent(msg, "mic");
+          } catch {
+            log({ type: "stream_raw", data: ev.data });
+          }
+        };
+        ws.onclose = (ev) => {
+          log({ type: "stream", msg: "closed", code: ev.code, reason: ev.reason });
+          if (ev.code !== 1000 && ev.code !== 1005) {
+            setStatus(`Stream closed: ${ev.reason || ev.code}`);
+          }
+        };
+        streamRef.current = ws;
+      }
+      if (ws.readyState === WebSocket.OPEN) ws.send(frame);
+      else if (ws.readyState === WebSocket.CONNECTING) queue.push(frame);
+    });
+  };
+
+  // Feed AudioWorklet frames from the microphone straight into an in-browser decoder
+  const listenLocal = async () => {
+    const modem = await getModem();
+    listenAssemblerRef.current = createReassembler({ ttlMs: 10 * 60 * 1000 });
+    let failed = false;
+    recorder.onFrame(async (frame, sampleRate) => {
+      if (failed) return;
+      try {
+        localDecoderRef.current ??= modem.createDecoder(sampleRate, txOptions);
+      } catch (e) {
+        failed = true;
+        setStatus(e.message);
+        return;
+      }
+      const res = localDecoderRef.current(frame);
+      if (!res) return;
+      log({ type: "local_decoded", payload: res.payload });
+      const entry = await receiveLocal(res.payload, listenAssemblerRef.current, { source: "mic" });
+      if (entry) {
+        setStatus("Listening...");
+        addReceived([entry]);
+      }
+    });
+  };
+
+  const uploadForDecodeLocal = async (file) => {
+    const started = performance.now();
+    const ctx = new (window.AudioContext || window.webkitAudioContext)();
+    let found;
+    try {
+      const modem = await getModem();
+      const audio = await ctx.decodeAudioData(await file.arrayBuffer());
+      const decode = modem.createDecoder(audio.sampleRate, txOptions);
+      try {
+        found = decodeSamples(decode, audio.getChannelData(0), audio.sampleRate);
+      } finally {
+        decode.close();
+      }
+    } catch (e) {
+      log({ type: "local_decode_err", error: e.message });
+      addReceived([{ role: "user", text: `(could not decode: ${e.message})` }]);
+      return;
+    } finally {
+      ctx.close();
+    }
+    const latencyMs = Math.round(performance.now() - started);
+    log({ type: "local_decode_ms", ms: latencyMs, count: found.length });
+    const assembler = createReassembler();
+    const entries = [];
+    for (const { payload, at } of found) {
+      const entry = await receiveLocal(payload, assembler, { at, source: "upload" });
+      if (entry) entries.push(entry);
+    }
+    if (assembler.incomplete().length)
+      entries.push({
+        role: "user",
+        text: `(incomplete: ${describeIncomplete(assembler.incomplete())})`,
+      });
+    if (!entries.length)
+      entries.push({ role: "user", text: "(no message detected)" });
+    addReceived(entries, { latencyMs });
+  };
+
+  // Decode a kept mic chunk again on its own, outside the listening session (POST /decode, or the local modem
+  // for chunks recorded in local mode). The result goes to the debug log and the console, not the conversation.
+  const replayChunk = async (chunk) => {
+    setReplays((r) => ({ ...r, [chunk.id]: { pending: true } }));
+    const started = performance.now();
+    let result;
+    try {
+      if (chunk.source === "local") {
+        const ctx = new (window.AudioContext || window.webkitAudioContext)();
+        try {
+          const modem = await getModem();
+          const audio = await ctx.decodeAudioData(await chunk.blob.arrayBuffer());
+          const decode = modem.createDecoder(audio.sampleRate, txOptions);
+          try {
+            const found = decodeSamples(decode, audio.getChannelData(0), audio.sampleRate);
+            result = { messages: found.map((f) => f.payload) };
+          } finally {
+            decode.close();
+          }
+        } finally {
+          ctx.close();
+        }
+      } else {
+        let file = chunk.blob;
+        // PCM captured at other rates goes up as 48 kHz, the rate /decode would resample it to;
+        // decodeAudioData resamples to its context's rate
+        if (chunk.sampleRate && chunk.sampleRate !== MODEM_SAMPLE_RATE) {
+          const audio = await new OfflineAudioContext(1, 1, MODEM_SAMPLE_RATE).decodeAudioData(await file.arrayBuffer());
+          file = floatToWav(audio.getChannelData(0), MODEM_SAMPLE_RATE);
+        }
+        const form = new FormData();
+        if (listenKey) form.append("key", listenKey);
+        appendRxFields(form);
+        form.append("file", file, chunkFileName(chunk));
+        const r = await apiFetch(`/decode`, { method: "POST", body: form });
+        const j = await r.json().catch(() => ({}));
+        result = {
+          status: r.status,
+          requestId: requestIdOf(r),
+          messages: (j.messages ?? []).map((m) => m.message),
+          code: j.code,
+          error: j.error,
+          reason: j.diagnostics?.reason,
+          snrDb: j.diagnostics?.snrDb,
+        };
+      }
+      result.ms = Math.round(performance.now() - started);
+      log({ type: "replay_ms", chunk: chunk.id, ...result });
+    } catch (e) {
+      result = { error: e.message };
+      log({ type: "replay_err", chunk: chunk.id, error: e.message });
+    }
+    setReplays((r) => ({ ...r, [chunk.id]: result }));
+  };
+
+  // Zip of the whole debug log, the kept chunks with their replay results and the client's settings
+  const exportDebugBundle = async () => {
+    const blob = await debugBundle({
+      entries: debug,
+      chunks: micChunks,
+      replays,
+      environment: {
+        exportedAt: new Date().toISOString(),
+        userAgent: navigator.userAgent,
+        mode,
+        api: API_BASE || window.location.origin,
+        health,
+        readiness,
+        modulation: txOptions,
+        streaming,
+        keepChunks,
+      },
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `vocrypt-debug-${Date.now()}.zip`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
   const uploadForDecode = async (file) => {
+    if (mode === "local") return uploadForDecodeLocal(file);
     const form = new FormData();
+    if (listenKey) form.append("key", listenKey);
+    appendRxFields(form);
     form.append("file", file);
     const started = performance.now();
-    const r = await fetch(buildApiUrl(`/decode`), { method: "POST", body: form });
-    const j = await r.json();
+    const r = await apiFetch(`/decode`, { method: "POST", body: form });
+    const j = await r.json().catch(() => ({}));
+    const latencyMs = Math.round(performance.now() - started);
     log({
       type: "http_decode_ms",
-      ms: Math.round(performance.now() - started),
+      ms: latencyMs,
+      requestId: requestIdOf(r),
       message: j.message,
+      count: j.messages?.length,
+      code: j.code,
+      error: j.error,
+      diagnostics: j.diagnostics,
     });
-    setLeftMsgs((m) => [
-      ...m,
-      { role: "user", text: j.message || "(no message detected)" },
-    ]);
+    const nothing = j.diagnostics?.reason
+      ? `(no message detected: ${j.diagnostics.reason})`
+      : "(no message detected)";
+    if (!r.ok && !j.messages?.length) {
+      if (j.code !== "NO_SIGNAL") setStatus(describeError(j, "Decode failed"));
+      const text =
+        j.code === "NO_SIGNAL" ? nothing : `(${describeError(j, "decode failed")})`;
+      addReceived([{ role: "user", text }]);
+      return;
+    }
+    const entries = decodedEntries(j, "upload");
+    if (j.incomplete?.length)
+      entries.push({
+        role: "user",
+        text: `(incomplete: ${describeIncomplete(j.incomplete)})`,
+      });
+    if (!entries.length) entries.push({ role: "user", text: nothing });
+    addReceived(entries, { latencyMs });
   };
 
   return (
@@ -475,9 +1479,34 @@ function App() {
               >
                 Configure
               </button>
+              <button
+                className="btn"
+                onClick={() => setHistoryOpen(true)}
+                style={{
+                  background: "rgba(139, 92, 246, 0.1)",
+                  border: "1px solid rgba(139, 92, 246, 0.3)",
+                  color: "#a855f7",
+                  padding: "12px 24px",
+                  borderRadius: "12px",
+                  fontSize: "14px",
+                  fontWeight: "500",
+                  transition: "all 0.3s ease",
+                  outline: "none",
+                }}
+                onMouseEnter={(e) => {
+                  e.target.style.background = "rgba(139, 92, 246, 0.2)";
+                  e.target.style.transform = "translateY(-2px)";
+                }}
+                onMouseLeave={(e) => {
+                  e.target.style.background = "rgba(139, 92, 246, 0.1)";
+                  e.target.style.transform = "translateY(0)";
+                }}
+              >
+                History
+              </button>
               <button
                 className="btn primary"
-                onClick={startSession}
+                onClick={() => startSession()}
                 // onClick={}
                 style={{
                   background: "linear-gradient(135deg, #8b5cf6, #a855f7)",
@@ -506,6 +1535,116 @@ function App() {
               </button>
             </div>
 
+            <div
+              style={{
+                display: "flex",
+                gap: "8px",
+                justifyContent: "center",
+                alignItems: "center",
+                color: "#a1a1aa",
+                fontSize: "14px",
+              }}
+            >
+              Audio processing
+              <select
+                value={mode}
+                onChange={(e) => setMode(e.target.value)}
+                title="Local mode encodes and decodes in the browser and works without the API server"
+                style={{
+                  background: "rgba(20, 20, 30, 0.8)",
+                  border: "1px solid rgba(139, 92, 246, 0.3)",
+                  borderRadius: "8px",
+                  color: "#ffffff",
+                  padding: "6px 10px",
+                  outline: "none",
+                  fontSize: "14px",
+                }}
+              >
+                <option value="server">Server</option>
+                <option value="local">Local (offline)</option>
+              </select>
+            </div>
+
+            {mode === "server" && (
+              <div
+                style={{
+                  marginTop: "12px",
+                  display: "flex",
+                  gap: "8px",
+                  justifyContent: "center",
+                  alignItems: "center",
+                  color: "#a1a1aa",
+                  fontSize: "14px",
+                }}
+                title="Join a room to share sent and decoded messages with everyone in it"
+              >
+                Room
+                <input
+                  value={roomName}
+                  onChange={(e) => setRoomName(e.target.value.replace(/[^\w.-]/g, "").slice(0, 64))}
+                  placeholder="none"
+                  style={{
+                    width: "140px",
+                    background: "rgba(20, 20, 30, 0.8)",
+                    border: "1px solid rgba(139, 92, 246, 0.3)",
+                    borderRadius: "8px",
+                    color: "#ffffff",
+                    padding: "6px 10px",
+                    outline: "none",
+                    fontSize: "14px",
+                  }}
+                />
+                Your name
+                <input
+                  value={memberName}
+                  onChange={(e) => setMemberName(e.target.value.slice(0, 40))}
+                  placeholder="Guest"
+                  style={{
+                    width: "140px",
+                    background: "rgba(20, 20, 30, 0.8)",
+                    border: "1px solid rgba(139, 92, 246, 0.3)",
+                    borderRadius: "8px",
+                    color: "#ffffff",
+                    padding: "6px 10px",
+                    outline: "none",
+                    fontSize: "14px",
+                  }}
+                />
+              </div>
+            )}
+
+            {mode === "server" && health?.auth && (
+              <div
+                style={{
+                  marginTop: "12px",
+                  display: "flex",
+                  gap: "8px",
+                  justifyContent: "center",
+                  alignItems: "center",
+                  color: "#a1a1aa",
+                  fontSize: "14px",
+                }}
+              >
+                API key
+                <input
+                  type="password"
+                  value={apiKeyValue}
+                  onChange={(e) => setApiKeyValue(e.target.value.trim())}
+                  placeholder="Required by this server"
+                  style={{
+                    width: "240px",
+                    background: "rgba(20, 20, 30, 0.8)",
+                    border: "1px solid rgba(139, 92, 246, 0.3)",
+                    borderRadius: "8px",
+                    color: "#ffffff",
+                    padding: "6px 10px",
+                    outline: "none",
+                    fontSize: "14px",
+                  }}
+                />
+              </div>
+            )}
+
             <div
               style={{
                 marginTop: "20px",
@@ -517,7 +1656,7 @@ function App() {
             >
               <div
                 style={{
-                  color: health?.ok ? "#10b981" : "#ef4444",
+                  color: statusColor,
                   fontSize: "14px",
                   fontWeight: "500",
                   display: "flex",
@@ -531,16 +1670,36 @@ function App() {
                     width: "8px",
                     height: "8px",
                     borderRadius: "50%",
-                    background: health?.ok ? "#10b981" : "#ef4444",
-                    animation: health?.ok ? "pulse 2s infinite" : "none",
+                    background: statusColor,
+                    animation: serverOk ? "pulse 2s infinite" : "none",
                   }}
                 ></div>
                 {health
-                  ? health.ok
-                    ? "Server Ready"
+                  ? serverOk
+                    ? `Server Ready${health.engine ? ` (${health.engine} engine)` : ""}${
+                        unavailable.length ? ", some features unavailable" : ""
+                      }`
                     : "Server Not Ready"
                   : "Checking..."}
               </div>
+              {unavailable.length > 0 && (
+                <ul
+                  style={{
+                    margin: "8px 0 0",
+                    padding: 0,
+                    listStyle: "none",
+                    fontSize: "12px",
+                    color: "#9ca3af",
+                    textAlign: "center",
+                  }}
+                >
+                  {unavailable.map((f) => (
+                    <li key={f.label}>
+                      {f.label}: {f.reason}
+                    </li>
+                  ))}
+                </ul>
+              )}
             </div>
           </div>
         </div>
@@ -610,9 +1769,28 @@ function App() {
                   </h3>
                 </div>
                 <div>
+                  <input
+                    type="password"
+                    value={listenKey}
+                    onChange={(e) => setListenKey(e.target.value)}
+                    placeholder="Shared key (optional)"
+                    title="Key used to decrypt received messages"
+                    autoComplete="off"
+                    style={{
+                      background: "rgba(20, 20, 30, 0.8)",
+                      border: "1px solid rgba(139, 92, 246, 0.3)",
+                      borderRadius: "12px",
+                      color: "#ffffff",
+                      padding: "10px 16px",
+                      outline: "none",
+                      fontSize: "14px",
+                      width: "180px",
+                      marginRight: "12px",
+                    }}
+                  />
                   <input
                     type="file"
-                    accept="audio/wav"
+                    accept="audio/*"
                     onChange={(e) =>
                       e.target.files?.[0] && uploadForDecode(e.target.files[0])
                     }
@@ -667,8 +1845,17 @@ function App() {
                           setStatus("Requesting microphone permission...");
                           await recorder.requestPermission();
                           setStatus("Listening...");
-                          await recorder.start();
+                          listenSessionRef.current = Math.random()
+                            .toString(36)
+                            .slice(2, 12);
+                          await recorder.start({ pcm: mode === "local" || streaming });
                           recorder.onLevel((lvl) => setMicLevel(lvl));
+                          if (mode === "local" || streaming) {
+                            const source = mode === "local" ? "local" : "stream";
+                            recorder.onFrame(
+                              createPcmChunker((wav, rate) => keepChunk(wav, source, rate))
+                            );
+                          }
                         } catch (e) {
                           setStatus(
                             "Microphone permission denied or unavailable"
@@ -678,33 +1865,60 @@ function App() {
                           );
                           return;
                         }
+                        if (mode === "local") {
+                          listenLocal().catch((e) => setStatus(e.message));
+                          setListening(true);
+                          return;
+                        }
+                        if (streaming) {
+                          listenStream();
+                          setListening(true);
+                          return;
+                        }
+                        // Servers without streaming decode get 2-second WebM chunks instead
                         recorder.onChunk(async (blob) => {
+                          keepChunk(blob, "decode-webm");
                           const form = new FormData();
+                          if (listenKeyRef.current)
+                            form.append("key", listenKeyRef.current);
+                          appendRxFields(form);
+                          form.append("session", listenSessionRef.current);
                           form.append("file", blob, "chunk.webm");
                           try {
                             const t0 = performance.now();
-                            const r = await fetch(`${API_BASE}/decode-webm`, {
+                            const r = await apiFetch(`/decode-webm`, {
                               method: "POST",
                               body: form,
                             });
-                            const j = await r.json();
+                            const j = await r.json().catch(() => ({}));
+                            const latencyMs = Math.round(performance.now() - t0);
                             log({
                               type: "decode_webm_ms",
-                              ms: Math.round(performance.now() - t0),
+                              ms: latencyMs,
+                              requestId: requestIdOf(r),
                               message: j.message,
+                              code: j.code,
+                              error: j.error,
+                              diagnostics: j.diagnostics,
                             });
-                            if (j.message)
-                              setLeftMsgs((m) => [
-                                ...m,
-                                { role: "user", text: j.message },
-                              ]);
+                            setStatus(
+                              !r.ok && !j.messages?.length
+                                ? describeError(j, "Decode failed")
+                                : "Listening..."
+                            );
+                            showIncomplete(j.incomplete ?? []);
+                            for (const m of j.messages ?? []) acknowledge({ complete: true, id: m.id });
+                            for (const p of j.incomplete ?? []) acknowledge(p);
+                            for (const id of j.duplicates ?? []) acknowledge({ duplicate: true, id });
+                            const entries = decodedEntries(j, "mic");
+                            if (entries.length) addReceived(entries, { latencyMs });
                           } catch (err) {
                             log({ type: "decode_webm_err", err: String(err) });
                           }
                         });
                         setListening(true);
                       } else {
-                        await recorder.stop();
+                        await stopListening();
                         setStatus("Stopped");
                         setListening(false);
                       }
@@ -712,9 +1926,36 @@ function App() {
                   >
                     {listening ? "Stop Listening" : "Start Listening"}
                   </button>
+                  <button
+                    className="btn"
+                    style={{
+                      marginLeft: "12px",
+                      marginTop: "5px",
+                      outline: "none",
+                      border: "1px solid rgba(139, 92, 246, 0.3)",
+                      borderRadius: "12px",
+                      background: showSpectrogram ? "rgba(139, 92, 246, 0.25)" : "rgba(139, 92, 246, 0.1)",
+                      color: "#a855f7",
+                      padding: "10px 16px",
+                      fontSize: "14px",
+                      cursor: "pointer",
+                    }}
+                    title="Live spectrogram of the microphone while listening"
+                    onClick={() => setShowSpectrogram((v) => !v)}
+                  >
+                    📈
+                  </button>
                 </div>
               </div>
             </div>
+            {showSpectrogram && (
+              <Spectrogram
+                recorder={recorder}
+                listening={listening}
+                protocol={protocols.find((p) => p.id === Number(txOptions.protocol))}
+                markRef={markRef}
+              />
+            )}
             <div
               style={{
                 flex: 1,
@@ -723,7 +1964,8 @@ function App() {
                 background: "rgba(10, 10, 15, 0.3)",
               }}
             >
-              {leftMsgs.length === 0 ? (
+              {receiving && <ReceiveProgress {...receiving} />}
+              {leftMsgs.length === 0 && !receiving ? (
                 <div
                   style={{
                     display: "flex",
@@ -780,7 +2022,20 @@ function App() {
                         flex: 1,
                       }}
                     >
-                      {m.text}
+                      {m.encrypted && (
+                        <span title="Encrypted over the air">🔒 </span>
+                      )}
+                      {m.from && (
+                        <span style={{ color: "#a1a1aa", fontWeight: "600" }}>{m.from}: </span>
+                      )}
+                      {m.file ? <FilePreview file={m.file} /> : m.text}
+                      {m.at != null && (
+                        <span style={{ color: "#6b7280", fontSize: "12px" }}>
+                          {" "}
+                          @ {m.at.toFixed(2)}s
+                          {m.protocol ? ` · ${m.protocol}` : ""}
+                        </span>
+                      )}
                     </span>
                     <button
                       className="btn"
@@ -794,19 +2049,7 @@ function App() {
                         color: "#a855f7",
                         transition: "all 0.3s ease",
                       }}
-                      onClick={async () => {
-                        try {
-                          const resp = await fetch(`${API_BASE}/encode-long`, {
-                            method: "POST",
-                            headers: { "Content-Type": "application/json" },
-                            body: JSON.stringify({ message: m.text }),
-                          });
-                          const wav = await resp.arrayBuffer();
-                          downloadAudioFile(wav, m.text);
-                        } catch (error) {
-                          console.error("Error downloading audio:", error);
-                        }
-                      }}
+                      onClick={() => downloadMessage(m.text)}
                       onMouseEnter={(e) => {
                         e.target.style.background = "rgba(139, 92, 246, 0.3)";
                         e.target.style.transform = "scale(1.05)";
@@ -909,6 +2152,14 @@ function App() {
                   }}
                 ></div>
                 Status: {status}
+                {room && (
+                  <span title={room.members.map((m) => m.name).join(", ")}>
+                    {" "}
+                    · Room {room.name}: {room.members.length} member
+                    {room.members.length === 1 ? "" : "s"} (
+                    {room.members.map((m) => (m.id === room.you.id ? `${m.name} (you)` : m.name)).join(", ")})
+                  </span>
+                )}
               </div>
             </div>
             {showDebug && (
@@ -948,38 +2199,22 @@ function App() {
                     }}
                   />
                 </div>
-                <div
-                  style={{
-                    marginTop: "16px",
-                    maxHeight: "200px",
-                    overflow: "auto",
-                    fontSize: "12px",
-                    background: "rgba(20, 20, 30, 0.6)",
-                    border: "1px solid rgba(139, 92, 246, 0.2)",
-                    borderRadius: "8px",
-                    padding: "12px",
+                <DebugConsole
+                  entries={debug}
+                  chunks={micChunks}
+                  replays={replays}
+                  keepChunks={keepChunks}
+                  setKeepChunks={setKeepChunks}
+                  onReplay={replayChunk}
+                  onExport={() =>
+                    exportDebugBundle().catch((e) => setStatus(`Export failed: ${e.message}`))
+                  }
+                  onClear={() => {
+                    setDebug([]);
+                    setMicChunks([]);
+                    setReplays({});
                   }}
-                >
-                  {debug
-                    .slice()
-                    .reverse()
-                    .map((e, i) => (
-                      <div
-                        key={i}
-                        style={{
-                          marginBottom: "6px",
-                          padding: "4px 8px",
-                          background: "rgba(139, 92, 246, 0.05)",
-                          borderRadius: "4px",
-                          border: "1px solid rgba(139, 92, 246, 0.1)",
-                        }}
-                      >
-                        <code style={{ color: "#e5e7eb" }}>
-                          {JSON.stringify(e)}
-                        </code>
-                      </div>
-                    ))}
-                </div>
+                />
               </div>
             )}
           </div>
@@ -1132,7 +2367,14 @@ function App() {
                         flex: 1,
                       }}
                     >
-                      {m.text}
+                      {m.encrypted && (
+                        <span title="Encrypted over the air">🔒 </span>
+                      )}
+                      {m.from && (
+                        <span style={{ color: "#a1a1aa", fontWeight: "600" }}>{m.from}: </span>
+                      )}
+                      {m.file ? <FilePreview file={m.file} /> : m.text}
+                      {m.delivery && <DeliveryState {...m.delivery} />}
                     </span>
                     <button
                       className="btn"
@@ -1146,19 +2388,7 @@ function App() {
                         color: "#34d399",
                         transition: "all 0.3s ease",
                       }}
-                      onClick={async () => {
-                        try {
-                          const resp = await fetch(`${API_BASE}/encode-long`, {
-                            method: "POST",
-                            headers: { "Content-Type": "application/json" },
-                            body: JSON.stringify({ message: m.text }),
-                          });
-                          const wav = await resp.arrayBuffer();
-                          downloadAudioFile(wav, m.text);
-                        } catch (error) {
-                          console.error("Error downloading audio:", error);
-                        }
-                      }}
+                      onClick={() => downloadMessage(m.text)}
                       onMouseEnter={(e) => {
                         e.target.style.background = "rgba(16, 185, 129, 0.3)";
                         e.target.style.transform = "scale(1.05)";
@@ -1185,7 +2415,29 @@ function App() {
                 gap: "16px",
               }}
             >
-              <Composer onSend={sendRight} />
+              <Composer
+                onSend={sendRight}
+                secret={sendKey}
+                onSecretChange={setSendKey}
+              />
+              <FileSender
+                onSend={(file) => sendRight(file.payload, { file })}
+                secret={sendKey}
+                protocol={protocols.find((p) => p.id === Number(txOptions.protocol))}
+                payloadLength={txOptions.payloadLength}
+              />
+              <ModulationSettings
+                protocols={protocols}
+                value={modulation}
+                onChange={setModulation}
+              />
+              {cliDevices && (
+                <CliDeviceSettings
+                  devices={cliDevices}
+                  value={audioDevices}
+                  onChange={setAudioDevices}
+                />
+              )}
               <div>
                 <label
                   style={{
@@ -1269,14 +2521,346 @@ function App() {
           setModalOpen(false);
         }}
       />
+      <HistoryModal
+        open={historyOpen}
+        history={history}
+        onClose={() => setHistoryOpen(false)}
+        onResume={(session) => {
+          setHistoryOpen(false);
+          startSession(session);
+        }}
+      />
+    </div>
+  );
+}
+
+const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+// Past sessions: search across all messages, read a transcript, export it or continue the session
+function HistoryModal({ open, history, onClose, onResume }) {
+  const [query, setQuery] = useState("");
+  const [sessions, setSessions] = useState([]);
+  const [results, setResults] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      Promise.all([history.listSessions(query), history.search(query)])
+        .then(([s, r]) => {
+          if (cancelled) return;
+          setSessions(s);
+          setResults(r);
+          setError("");
+        })
+        .catch((e) => !cancelled && setError(e.message));
+    }, 200);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [open, query, history]);
+
+  if (!open) return null;
+  const select = (id) =>
+    history
+      .loadSession(id)
+      .then(setSelected)
+      .catch((e) => setError(e.message));
+  const time = (ms) => new Date(ms).toLocaleString();
+  const row = {
+    padding: "8px 10px",
+    margin: "6px 0",
+    background: "#1a1a1d",
+    borderRadius: "8px",
+    cursor: "pointer",
+    fontSize: "13px",
+  };
+
+  return (
+    <div className="modal-backdrop">
+      <div className="modal" style={{ width: "560px", maxHeight: "80vh", display: "flex", flexDirection: "column" }}>
+        <div className="header">
+          <h3 style={{ margin: 0 }}>{selected ? selected.title || selected.id : "History"}</h3>
+          <span style={{ color: "#6b7280", fontSize: "12px" }}>
+            {history.remote ? "Server" : "This browser"}
+          </span>
+        </div>
+        {error && <div style={{ color: "#f87171", fontSize: "13px" }}>{error}</div>}
+        {selected ? (
+          <>
+            <div className="messages" style={{ minHeight: "200px" }}>
+              {selected.messages.map((m) => (
+                <div key={m.id} className="msg" style={{ fontSize: "13px" }}>
+                  <div style={{ color: m.direction === "sent" ? "#a855f7" : "#10b981", fontSize: "11px" }}>
+                    {m.direction} · {time(m.timestamp)}
+                    {m.protocol ? ` · ${m.protocol}` : ""}
+                    {m.latencyMs !== null && m.latencyMs !== undefined ? ` · ${m.latencyMs} ms` : ""}
+                    {m.encrypted ? " · encrypted" : ""}
+                  </div>
+                  {m.text}
+                </div>
+              ))}
+            </div>
+            <div style={{ display: "flex", gap: 8, justifyContent: "flex-end", flexWrap: "wrap", marginTop: 8 }}>
+              <button className="btn" onClick={() => setSelected(null)}>
+                Back
+              </button>
+              <button
+                className="btn"
+                onClick={() =>
+                  history
+                    .deleteSession(selected.id)
+                    .then(() => {
+                      setSelected(null);
+                      setSessions((s) => s.filter((x) => x.id !== selected.id));
+                    })
+                    .catch((e) => setError(e.message))
+                }
+              >
+                Delete
+              </button>
+              {["json", "csv"].map((format) => (
+                <button
+                  key={format}
+                  className="btn"
+                  onClick={() => downloadBlob(exportSession(selected, format), `session-${selected.id}.${format}`)}
+                >
+                  Export {format.toUpperCase()}
+                </button>
+              ))}
+              <button className="btn primary" onClick={() => onResume(selected)}>
+                Continue
+              </button>
+            </div>
+          </>
+        ) : (
+          <>
+            <input
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search sent and received messages"
+              autoFocus
+            />
+            <div className="messages" style={{ minHeight: "200px" }}>
+              {query.trim() &&
+                results.map((m) => (
+                  <div key={m.id} style={row} onClick={() => select(m.sessionId)}>
+                    <div style={{ color: "#6b7280", fontSize: "11px" }}>
+                      {m.sessionTitle || m.sessionId} · {m.direction} · {time(m.timestamp)}
+                    </div>
+                    {m.text}
+                  </div>
+                ))}
+              {!query.trim() &&
+                sessions.map((s) => (
+                  <div key={s.id} style={row} onClick={() => select(s.id)}>
+                    {s.title || s.id}
+                    <div style={{ color: "#6b7280", fontSize: "11px" }}>
+                      {s.messageCount} messages · {s.mode ?? ""} · last activity {time(s.updatedAt)}
+                    </div>
+                  </div>
+                ))}
+              {(query.trim() ? results : sessions).length === 0 && (
+                <div style={{ color: "#6b7280", fontSize: "13px", padding: "8px" }}>
+                  {query.trim() ? "No matching messages" : "No sessions yet"}
+                </div>
+              )}
+            </div>
+            <div style={{ display: "flex", justifyContent: "flex-end", marginTop: 8 }}>
+              <button className="btn" onClick={onClose}>
+                Close
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Protocol / fixed payload length / DSS pickers. Mono-tone protocols only work with a fixed length.
+function ModulationSettings({ protocols, value, onChange }) {
+  const selected = protocols.find((p) => p.id === Number(value.protocol));
+  const needsLength = selected?.requiresFixedLength && !value.payloadLength;
+  const field = {
+    background: "rgba(20, 20, 30, 0.8)",
+    border: "1px solid rgba(139, 92, 246, 0.3)",
+    borderRadius: "8px",
+    color: "#ffffff",
+    padding: "6px 10px",
+    outline: "none",
+    fontSize: "13px",
+    fontFamily: "inherit",
+  };
+  return (
+    <div
+      style={{
+        display: "flex",
+        gap: "12px",
+        alignItems: "center",
+        flexWrap: "wrap",
+        color: "#a1a1aa",
+        fontSize: "13px",
+      }}
+    >
+      <label style={{ display: "flex", gap: "6px", alignItems: "center" }}>
+        Protocol
+        <select
+          value={value.protocol}
+          onChange={(e) => onChange({ ...value, protocol: Number(e.target.value) })}
+          style={field}
+        >
+          {protocols.map((p) => (
+            <option key={p.id} value={p.id}>
+              {p.name}
+              {p.bytesPerSecond ? ` · ${p.bytesPerSecond} B/s` : ""}
+              {p.frequencyHz
+                ? ` · ${(p.frequencyHz[0] / 1000).toFixed(1)}-${(p.frequencyHz[1] / 1000).toFixed(1)} kHz`
+                : ""}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label
+        style={{ display: "flex", gap: "6px", alignItems: "center" }}
+        title="Fixed payload length in bytes (1-64). Leave empty for variable length."
+      >
+        Payload length
+        <input
+          type="number"
+          min={1}
+          max={64}
+          value={value.payloadLength}
+          placeholder="variable"
+          onChange={(e) => onChange({ ...value, payloadLength: e.target.value })}
+          style={{
+            ...field,
+            width: "90px",
+            border: needsLength ? "1px solid #ef4444" : field.border,
+          }}
+        />
+      </label>
+      <label
+        style={{ display: "flex", gap: "6px", alignItems: "center" }}
+        title="Direct Sequence Spread: more robust to narrow-band noise"
+      >
+        <input
+          type="checkbox"
+          checked={value.dss}
+          onChange={(e) => onChange({ ...value, dss: e.target.checked })}
+        />
+        DSS
+      </label>
+      <label
+        style={{ display: "flex", gap: "6px", alignItems: "center" }}
+        title="Wait for the receiver to acknowledge each message and retransmit missing chunks. Both sides need it on and must be listening."
+      >
+        <input
+          type="checkbox"
+          checked={!!value.reliable}
+          onChange={(e) => onChange({ ...value, reliable: e.target.checked })}
+        />
+        Reliable
+      </label>
+      {value.reliable && (
+        <label style={{ display: "flex", gap: "6px", alignItems: "center" }}>
+          Attempts
+          <input
+            type="number"
+            min={1}
+            max={10}
+            value={value.attempts}
+            onChange={(e) => onChange({ ...value, attempts: e.target.value })}
+            style={{ ...field, width: "60px" }}
+          />
+        </label>
+      )}
+      {needsLength && (
+        <span style={{ color: "#f87171" }}>{selected.name} needs a payload length</span>
+      )}
+    </div>
+  );
+}
+
+// Capture/playback device pickers for the server's ggwave-cli session
+function CliDeviceSettings({ devices, value, onChange }) {
+  const field = {
+    background: "rgba(20, 20, 30, 0.8)",
+    border: "1px solid rgba(139, 92, 246, 0.3)",
+    borderRadius: "8px",
+    color: "#ffffff",
+    padding: "6px 10px",
+    outline: "none",
+    fontSize: "13px",
+    fontFamily: "inherit",
+  };
+  return (
+    <div
+      style={{
+        display: "flex",
+        gap: "12px",
+        alignItems: "center",
+        flexWrap: "wrap",
+        color: "#a1a1aa",
+        fontSize: "13px",
+      }}
+    >
+      {["capture", "playback"].map((kind) => (
+        <label key={kind} style={{ display: "flex", gap: "6px", alignItems: "center" }}>
+          {kind === "capture" ? "CLI microphone" : "CLI speaker"}
+          <select
+            value={value[kind]}
+            onChange={(e) => onChange({ ...value, [kind]: Number(e.target.value) })}
+            style={field}
+          >
+            {devices[kind].length === 0 && <option value={value[kind]}>Default</option>}
+            {devices[kind].map((d) => (
+              <option key={d.id} value={d.id}>
+                {d.name}
+              </option>
+            ))}
+          </select>
+        </label>
+      ))}
     </div>
   );
 }
 
-function Composer({ onSend }) {
+function Composer({ onSend, secret, onSecretChange }) {
   const [text, setText] = useState("hiiiiiii");
   return (
     <div style={{ display: "flex", gap: "12px" }}>
+      <input
+        type="password"
+        value={secret}
+        onChange={(e) => onSecretChange(e.target.value)}
+        placeholder="Shared key (optional)"
+        title="Key used to encrypt sent messages"
+        autoComplete="off"
+        style={{
+          background: "rgba(20, 20, 30, 0.8)",
+          border: "1px solid rgba(139, 92, 246, 0.3)",
+          borderRadius: "12px",
+          color: "#ffffff",
+          padding: "12px 16px",
+          outline: "none",
+          fontSize: "14px",
+          width: "180px",
+          fontFamily: "inherit",
+        }}
+      />
       <input
         value={text}
         onChange={(e) => setText(e.target.value)}
@@ -1344,6 +2928,526 @@ function Composer({ onSend }) {
   );
 }
 
+// Pick a file, see what sending it costs (packed size, frames, airtime) and send it as one track
+function FileSender({ onSend, secret, protocol, payloadLength }) {
+  const [file, setFile] = useState(null);
+  const [estimate, setEstimate] = useState(null);
+  const [error, setError] = useState("");
+  const inputRef = useRef(null);
+
+  const pick = async (picked) => {
+    setFile(null);
+    setError("");
+    if (!picked) return;
+    try {
+      setFile({ ...(await packFile(picked)), source: picked });
+    } catch (e) {
+      setError(e.message || "Could not read file");
+    }
+  };
+
+  // Frames and airtime with the current key and modulation
+  useEffect(() => {
+    setEstimate(null);
+    if (!file || !protocol || file.packedBytes > MAX_FILE_BYTES) return;
+    let cancelled = false;
+    prepareFrames(file.payload, secret, payloadLength)
+      .then((frames) => {
+        if (cancelled) return;
+        const seconds = frames.reduce(
+          (sum, f) =>
+            sum +
+            (payloadLength
+              ? transmitSeconds(payloadLength, protocol, true)
+              : transmitSeconds(byteLength(f), protocol)),
+          0
+        );
+        setEstimate({ frames: frames.length, seconds });
+      })
+      .catch((e) => !cancelled && setError(e.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [file, secret, protocol, payloadLength]);
+
+  const clear = () => {
+    pick(null);
+    if (inputRef.current) inputRef.current.value = "";
+  };
+  const tooBig = file && file.packedBytes > MAX_FILE_BYTES;
+  const button = {
+    background: "rgba(139, 92, 246, 0.2)",
+    border: "1px solid rgba(139, 92, 246, 0.3)",
+    borderRadius: "8px",
+    color: "#a855f7",
+    padding: "6px 12px",
+    fontSize: "13px",
+    cursor: "pointer",
+  };
+  return (
+    <div
+      style={{
+        display: "flex",
+        gap: "12px",
+        alignItems: "center",
+        flexWrap: "wrap",
+        color: "#a1a1aa",
+        fontSize: "13px",
+      }}
+    >
+      <label style={{ display: "flex", gap: "6px", alignItems: "center" }}>
+        📎 File
+        <input
+          ref={inputRef}
+          type="file"
+          onChange={(e) => pick(e.target.files?.[0])}
+          style={{ fontSize: "13px", color: "#a1a1aa", maxWidth: "220px" }}
+        />
+      </label>
+      {file && (
+        <span>
+          {formatBytes(file.size)}
+          {file.compressed ? `, ${formatBytes(file.packedBytes)} compressed` : ""}
+          {estimate &&
+            ` · ${estimate.frames} frame${estimate.frames === 1 ? "" : "s"} · ~${Math.ceil(estimate.seconds)} s`}
+        </span>
+      )}
+      {tooBig && (
+        <span style={{ color: "#f87171" }}>
+          Too large: files are limited to {formatBytes(MAX_FILE_BYTES)} after compression
+        </span>
+      )}
+      {error && <span style={{ color: "#f87171" }}>{error}</span>}
+      {file && (
+        <>
+          <button
+            className="btn"
+            style={{ ...button, opacity: tooBig || !estimate ? 0.5 : 1 }}
+            disabled={tooBig || !estimate}
+            onClick={() => {
+              const { payload, name, type, size, source } = file;
+              onSend({ payload, name, type, size, blob: source });
+              clear();
+            }}
+          >
+            🚀 Send file
+          </button>
+          <button className="btn" style={button} onClick={clear}>
+            Cancel
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
+
+// A sent or received file: a thumbnail for images and a link to save it. The object URL lives as long as the
+// preview, so files of cleared messages are not kept alive by it.
+function FilePreview({ file }) {
+  const [url, setUrl] = useState(null);
+  useEffect(() => {
+    if (!file.blob) return;
+    const objectUrl = URL.createObjectURL(file.blob);
+    setUrl(objectUrl);
+    return () => URL.revokeObjectURL(objectUrl);
+  }, [file.blob]);
+  if (file.error) {
+    return (
+      <span style={{ color: "#f87171" }}>
+        📎 {file.name}: {file.error}
+      </span>
+    );
+  }
+  return (
+    <span style={{ display: "inline-flex", flexDirection: "column", gap: "8px" }}>
+      <span>
+        📎 {file.name}{" "}
+        <span style={{ color: "#6b7280", fontSize: "12px" }}>{formatBytes(file.size)}</span>
+      </span>
+      {file.type?.startsWith("image/") && (
+        <img
+          src={url}
+          alt={file.name}
+          style={{ maxWidth: "240px", maxHeight: "180px", borderRadius: "8px" }}
+        />
+      )}
+      <a href={url} download={file.name} style={{ color: "#a855f7", fontSize: "13px" }}>
+        💾 Save file
+      </a>
+    </span>
+  );
+}
+
+// Waterfall of the microphone input (newest row on top) with the selected protocol's band. Rows are marked
+// through markRef when chunks arrive and messages decode; Freeze keeps the picture for a snapshot.
+function Spectrogram({ recorder, listening, protocol, markRef }) {
+  const canvasRef = useRef(null);
+  const [frozen, setFrozen] = useState(false);
+  const frozenRef = useRef(false);
+  frozenRef.current = frozen;
+  const [sampleRate, setSampleRate] = useState(48000);
+  const marks = useRef([]);
+
+  useEffect(() => {
+    const ctx = canvasRef.current.getContext("2d");
+    ctx.fillStyle = "#000";
+    ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+    markRef.current = (label, color) => marks.current.push({ label, color });
+    const off = recorder.onSpectrum((bins, rate) => {
+      if (frozenRef.current) {
+        marks.current = [];
+        return;
+      }
+      setSampleRate(rate);
+      drawRow(ctx, bins);
+      for (const { label, color } of marks.current.splice(0)) drawMarker(ctx, label, color);
+    });
+    return () => {
+      off();
+      markRef.current = null;
+    };
+  }, []);
+
+  const bands = protocol?.frequencyHz
+    ? [
+        {
+          from: protocol.frequencyHz[0],
+          to: protocol.frequencyHz[1],
+          color: protocol.family === "ultrasound" ? "#22d3ee" : "#a855f7",
+          label: `${protocol.name} (${protocol.family ?? "band"})`,
+        },
+      ]
+    : [];
+  const ticks = [];
+  for (let khz = 0; khz * 1000 < sampleRate / 2; khz += 2) ticks.push(khz);
+
+  const save = async () => {
+    const blob = await snapshot(canvasRef.current, { sampleRate, bands });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `spectrogram_${Date.now()}.png`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const button = {
+    background: "rgba(139, 92, 246, 0.1)",
+    border: "1px solid rgba(139, 92, 246, 0.3)",
+    borderRadius: "8px",
+    color: "#a855f7",
+    padding: "4px 10px",
+    fontSize: "12px",
+    cursor: "pointer",
+  };
+  return (
+    <div
+      style={{
+        padding: "12px 20px",
+        borderBottom: "1px solid rgba(139, 92, 246, 0.1)",
+        background: "rgba(10, 10, 15, 0.5)",
+      }}
+    >
+      <div style={{ position: "relative" }}>
+        <canvas
+          ref={canvasRef}
+          width={512}
+          height={140}
+          style={{ width: "100%", height: "140px", display: "block", borderRadius: "8px" }}
+        />
+        {bands.map((b) => (
+          <div
+            key={b.label}
+            style={{
+              position: "absolute",
+              top: 0,
+              bottom: 0,
+              left: `${frequencyX(b.from, sampleRate) * 100}%`,
+              width: `${(frequencyX(b.to, sampleRate) - frequencyX(b.from, sampleRate)) * 100}%`,
+              background: `${b.color}22`,
+              borderLeft: `1px dashed ${b.color}`,
+              borderRight: `1px dashed ${b.color}`,
+              pointerEvents: "none",
+            }}
+          >
+            <span style={{ position: "absolute", bottom: "2px", left: "2px", fontSize: "10px", color: b.color, whiteSpace: "nowrap" }}>
+              {b.label}
+            </span>
+          </div>
+        ))}
+      </div>
+      <div style={{ position: "relative", height: "14px", fontSize: "10px", color: "#6b7280" }}>
+        {ticks.map((khz) => (
+          <span key={khz} style={{ position: "absolute", left: `${frequencyX(khz * 1000, sampleRate) * 100}%` }}>
+            {khz}k
+          </span>
+        ))}
+      </div>
+      <div style={{ display: "flex", gap: "8px", alignItems: "center", marginTop: "6px", fontSize: "12px", color: "#6b7280" }}>
+        <button className="btn" style={button} onClick={() => setFrozen((f) => !f)}>
+          {frozen ? "▶ Resume" : "❄ Freeze"}
+        </button>
+        <button className="btn" style={button} onClick={save}>
+          📷 Snapshot
+        </button>
+        {!listening && <span>Start listening to see the microphone</span>}
+      </div>
+    </div>
+  );
+}
+
+// Sparkline of the latest latencies of one kind, scaled to the slowest of them
+function LatencyChart({ series }) {
+  const width = 200;
+  const height = 44;
+  const max = Math.max(series.max, 1);
+  // a single measurement is drawn as a flat line
+  const values = series.points.length === 1 ? [series.points[0], series.points[0]] : series.points;
+  const step = width / (values.length - 1);
+  const points = values
+    .map((p, i) => `${(i * step).toFixed(1)},${(height - 2 - (p.ms / max) * (height - 4)).toFixed(1)}`)
+    .join(" ");
+  return (
+    <div
+      style={{
+        flex: "1 1 180px",
+        padding: "6px 8px",
+        background: "rgba(139, 92, 246, 0.05)",
+        border: "1px solid rgba(139, 92, 246, 0.1)",
+        borderRadius: "6px",
+      }}
+    >
+      <div style={{ fontSize: "11px", color: "#a855f7" }}>{series.label}</div>
+      <svg
+        viewBox={`0 0 ${width} ${height}`}
+        preserveAspectRatio="none"
+        style={{ width: "100%", height: `${height}px`, display: "block" }}
+      >
+        <polyline points={points} fill="none" stroke="#a855f7" strokeWidth="1.5" />
+      </svg>
+      <div style={{ fontSize: "11px", color: "#9ca3af" }}>
+        {series.points.length} × · median {series.median} ms · max {series.max} ms
+      </div>
+    </div>
+  );
+}
+
+// Body of the debug panel: the event log filtered by type and text, latency charts, and the kept mic chunks
+// to play, replay through decode or download. Export zips all of it for a bug report.
+function DebugConsole({ entries, chunks, replays, keepChunks, setKeepChunks, onReplay, onExport, onClear }) {
+  const [hidden, setHidden] = useState(() => new Set());
+  const [text, setText] = useState("");
+  const needle = text.trim().toLowerCase();
+  const shown = entries
+    .filter((e) => !hidden.has(e.type))
+    .map((e) => [e, JSON.stringify(e)])
+    .filter(([, json]) => !needle || json.toLowerCase().includes(needle))
+    .slice(-SHOWN_LIMIT)
+    .reverse();
+  const series = latencySeries(entries);
+
+  const toggle = (type) =>
+    setHidden((h) => {
+      const next = new Set(h);
+      if (!next.delete(type)) next.add(type);
+      return next;
+    });
+  const play = (chunk) => {
+    const audio = new Audio(URL.createObjectURL(chunk.blob));
+    audio.onended = () => URL.revokeObjectURL(audio.src);
+    audio.play().catch(() => URL.revokeObjectURL(audio.src));
+  };
+  const download = (chunk) => {
+    const url = URL.createObjectURL(chunk.blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = chunkFileName(chunk);
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+  const describeReplay = (r) => {
+    if (r.pending) return "replaying...";
+    if (r.messages?.length) return `→ ${r.messages.map((m) => JSON.stringify(m)).join(", ")}`;
+    const why = r.error ?? r.reason ?? r.code ?? "nothing decoded";
+    return `→ (${why})`;
+  };
+
+  const button = {
+    background: "rgba(139, 92, 246, 0.1)",
+    border: "1px solid rgba(139, 92, 246, 0.3)",
+    borderRadius: "8px",
+    color: "#a855f7",
+    padding: "4px 10px",
+    fontSize: "12px",
+    cursor: "pointer",
+  };
+  const heading = { fontSize: "14px", color: "#a855f7", margin: "16px 0 8px", fontWeight: "500" };
+  const box = {
+    fontSize: "12px",
+    background: "rgba(20, 20, 30, 0.6)",
+    border: "1px solid rgba(139, 92, 246, 0.2)",
+    borderRadius: "8px",
+    padding: "12px",
+  };
+  return (
+    <div>
+      {series.length > 0 && (
+        <>
+          <div style={heading}>Latency</div>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "8px" }}>
+            {series.map((s) => (
+              <LatencyChart key={s.type} series={s} />
+            ))}
+          </div>
+        </>
+      )}
+
+      <div style={{ ...heading, display: "flex", alignItems: "center", gap: "8px" }}>
+        Mic chunks
+        <label style={{ fontSize: "12px", color: "#9ca3af", fontWeight: "normal" }}>
+          keep last{" "}
+          <input
+            type="number"
+            min={0}
+            max={MAX_KEPT_CHUNKS}
+            value={keepChunks}
+            onChange={(e) =>
+              setKeepChunks(Math.max(0, Math.min(MAX_KEPT_CHUNKS, Number(e.target.value) || 0)))
+            }
+            style={{ width: "48px" }}
+          />
+        </label>
+      </div>
+      <div style={{ ...box, maxHeight: "160px", overflow: "auto" }}>
+        {!chunks.length && (
+          <div style={{ color: "#6b7280" }}>
+            {keepChunks ? "Chunks appear here while listening" : "Not keeping chunks"}
+          </div>
+        )}
+        {chunks
+          .slice()
+          .reverse()
+          .map((c) => (
+            <div key={c.id} style={{ display: "flex", alignItems: "center", gap: "6px", marginBottom: "4px" }}>
+              <code style={{ color: "#e5e7eb" }}>
+                #{c.id} {new Date(c.t).toLocaleTimeString()} {c.source} {formatBytes(c.blob.size)}
+              </code>
+              <button className="btn" style={button} onClick={() => play(c)}>
+                ▶
+              </button>
+              <button
+                className="btn"
+                style={button}
+                disabled={replays[c.id]?.pending}
+                onClick={() => onReplay(c)}
+              >
+                Replay
+              </button>
+              <button className="btn" style={button} onClick={() => download(c)}>
+                ⬇
+              </button>
+              {replays[c.id] && (
+                <span style={{ color: replays[c.id].error ? "#ef4444" : "#9ca3af" }}>
+                  {describeReplay(replays[c.id])}
+                </span>
+              )}
+            </div>
+          ))}
+      </div>
+
+      <div style={{ ...heading, display: "flex", alignItems: "center", gap: "8px" }}>
+        Events
+        <input
+          placeholder="Filter..."
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          style={{ flex: 1, fontSize: "12px" }}
+        />
+        <button className="btn" style={button} onClick={onExport}>
+          Export .zip
+        </button>
+        <button className="btn" style={button} onClick={onClear}>
+          Clear
+        </button>
+      </div>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: "4px", marginBottom: "8px" }}>
+        {eventTypes(entries).map(([type, count]) => (
+          <button
+            key={type}
+            className="btn"
+            style={{ ...button, padding: "2px 8px", opacity: hidden.has(type) ? 0.4 : 1 }}
+            onClick={() => toggle(type)}
+          >
+            {type} {count}
+          </button>
+        ))}
+      </div>
+      <div style={{ ...box, maxHeight: "200px", overflow: "auto" }}>
+        {shown.map(([e, json], i) => (
+          <div
+            key={`${e.t}-${i}`}
+            style={{
+              marginBottom: "6px",
+              padding: "4px 8px",
+              background: "rgba(139, 92, 246, 0.05)",
+              borderRadius: "4px",
+              border: "1px solid rgba(139, 92, 246, 0.1)",
+            }}
+          >
+            <code style={{ color: "#e5e7eb" }}>{json}</code>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// Delivery of a message sent in reliable mode
+const DELIVERY_STYLES = {
+  sending: { color: "#fbbf24", icon: "⏳" },
+  delivered: { color: "#10b981", icon: "✓" },
+  failed: { color: "#f87171", icon: "✗" },
+};
+
+function DeliveryState({ state, attempts, maxAttempts, error }) {
+  const { color, icon } = DELIVERY_STYLES[state];
+  return (
+    <span style={{ color, fontSize: "12px" }} title={error}>
+      {" "}
+      {icon} {state}
+      {state === "sending" && attempts > 1 ? ` (attempt ${attempts}/${maxAttempts})` : ""}
+      {state !== "sending" && attempts > 1 ? ` after ${attempts} attempts` : ""}
+    </span>
+  );
+}
+
+// Chunks received so far of the framed message being reassembled
+function ReceiveProgress({ id, received, total }) {
+  return (
+    <div style={{ marginBottom: "12px", color: "#a1a1aa", fontSize: "13px" }}>
+      Receiving message {id}: {received}/{total} chunks
+      <div
+        style={{
+          marginTop: "6px",
+          height: "6px",
+          borderRadius: "3px",
+          background: "rgba(139, 92, 246, 0.15)",
+          overflow: "hidden",
+        }}
+      >
+        <div
+          style={{
+            width: `${(100 * received) / total}%`,
+            height: "100%",
+            background: "linear-gradient(135deg, #8b5cf6, #a855f7)",
+            transition: "width 0.3s ease",
+          }}
+        />
+      </div>
+    </div>
+  );
+}
+
 // Add CSS animations
 const style = document.createElement("style");
 style.textContent = `
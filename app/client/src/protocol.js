@@ -0,0 +1,246 @@
+import { scrypt } from "scrypt-js";
+
+// Browser implementation of the wire format used by the server (app/server/src/envelope.js and
+// framing.js), so audio produced in local mode decodes on the server and vice versa.
+
+export const MAX_FRAME_LENGTH = 140;
+
+// --- envelope: [version:1][keyHint:2][nonce:12][ciphertext:n][tag:16] as base64url ---
+
+const VERSION = 1;
+const HINT_LEN = 2;
+const NONCE_LEN = 12;
+const TAG_LEN = 16;
+const HEADER_LEN = 1 + HINT_LEN;
+const ENVELOPE_OVERHEAD = HEADER_LEN + NONCE_LEN + TAG_LEN;
+export const sealedCapacity = (frameLength) =>
+  Math.floor(frameLength / 4) * 3 - ENVELOPE_OVERHEAD;
+export const MAX_SEALED_PLAINTEXT = sealedCapacity(MAX_FRAME_LENGTH);
+
+const KDF_SALT = "vocrypt-envelope-v1";
+const encoder = new TextEncoder();
+const decoder = new TextDecoder("utf-8");
+const keyCache = new Map();
+
+export class EnvelopeError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "EnvelopeError";
+    this.code = code;
+  }
+}
+
+export const byteLength = (text) => encoder.encode(text).length;
+
+function toBase64Url(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const b64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const bin = atob(b64 + "=".repeat((4 - (b64.length % 4)) % 4));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+// A 64-char hex string is used as a raw 256-bit shared key, anything else is a passphrase
+function deriveKey(secret) {
+  if (!keyCache.has(secret)) {
+    keyCache.set(
+      secret,
+      (async () => {
+        const raw = /^[0-9a-f]{64}$/i.test(secret)
+          ? Uint8Array.from(secret.match(/../g), (h) => parseInt(h, 16))
+          : await scrypt(encoder.encode(secret), encoder.encode(KDF_SALT), 16384, 8, 1, 32);
+        const digest = new Uint8Array(
+          await crypto.subtle.digest("SHA-256", new Uint8Array([...encoder.encode("hint"), ...raw]))
+        );
+        const key = await crypto.subtle.importKey("raw", raw, "AES-GCM", false, ["encrypt", "decrypt"]);
+        return { key, hint: digest.slice(0, HINT_LEN) };
+      })()
+    );
+  }
+  return keyCache.get(secret);
+}
+
+export async function sealMessage(text, secret) {
+  const { key, hint } = await deriveKey(secret);
+  const header = new Uint8Array([VERSION, ...hint]);
+  const nonce = crypto.getRandomValues(new Uint8Array(NONCE_LEN));
+  // WebCrypto appends the tag to the ciphertext, matching the envelope layout
+  const body = new Uint8Array(
+    await crypto.subtle.encrypt(
+      { name: "AES-GCM", iv: nonce, additionalData: header, tagLength: TAG_LEN * 8 },
+      key,
+      encoder.encode(text)
+    )
+  );
+  return toBase64Url(new Uint8Array([...header, ...nonce, ...body]));
+}
+
+export async function openMessage(frame, secret) {
+  const buf = /^[A-Za-z0-9_-]+$/.test(frame) ? fromBase64Url(frame) : null;
+  if (!buf || buf.length < ENVELOPE_OVERHEAD || buf[0] !== VERSION) {
+    throw new EnvelopeError("NOT_ENCRYPTED", "Decoded frame is not an encrypted envelope");
+  }
+  const { key, hint } = await deriveKey(secret);
+  const header = buf.slice(0, HEADER_LEN);
+  if (header[1] !== hint[0] || header[2] !== hint[1]) {
+    throw new EnvelopeError("WRONG_KEY", "Frame was encrypted with a different key");
+  }
+  try {
+    const plain = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: buf.slice(HEADER_LEN, HEADER_LEN + NONCE_LEN), additionalData: header, tagLength: TAG_LEN * 8 },
+      key,
+      buf.slice(HEADER_LEN + NONCE_LEN)
+    );
+    return decoder.decode(plain);
+  } catch {
+    throw new EnvelopeError("TAMPERED", "Frame failed authentication (corrupted or tampered)");
+  }
+}
+
+// --- framing: ~ <id:4> <index:2> <total:2> <crc:4> <payload> ---
+
+const FRAME_HEADER_LENGTH = 13;
+const MAX_FRAMES = 36 * 36 - 1;
+const FRAME_RE = /^~([0-9A-Z]{4})([0-9A-Z]{2})([0-9A-Z]{2})([0-9a-f]{4})([\s\S]*)$/;
+
+function crc16(text) {
+  let crc = 0xffff;
+  for (const byte of encoder.encode(text)) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc;
+}
+
+const base36 = (n, width) => n.toString(36).toUpperCase().padStart(width, "0");
+
+// Split text into pieces whose UTF-8 encoding fits maxBytes, never cutting a code point
+function splitByBytes(text, maxBytes) {
+  const pieces = [];
+  let current = "";
+  let size = 0;
+  for (const ch of text) {
+    const n = byteLength(ch);
+    if (size + n > maxBytes && current) {
+      pieces.push(current);
+      current = "";
+      size = 0;
+    }
+    current += ch;
+    size += n;
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+export function frameMessage(text, maxFrameLength = MAX_FRAME_LENGTH) {
+  const id = base36(crypto.getRandomValues(new Uint32Array(1))[0] % 36 ** 4, 4);
+  const pieces = splitByBytes(text, maxFrameLength - FRAME_HEADER_LENGTH);
+  if (pieces.length > MAX_FRAMES) {
+    throw new Error(`Message needs ${pieces.length} frames, maximum is ${MAX_FRAMES}`);
+  }
+  return pieces.map((payload, i) => {
+    const fields = `${id}${base36(i, 2)}${base36(pieces.length, 2)}`;
+    const crc = crc16(fields + payload).toString(16).padStart(4, "0");
+    return `~${fields}${crc}${payload}`;
+  });
+}
+
+// The payloads to transmit for a message, following the same rules as /encode and /encode-long.
+// payloadLength switches to ggwave's fixed-length mode, where every frame carries that many bytes.
+// framed: frame even messages that fit one frame, so they have an id (reliable delivery, see reliable.js).
+export async function prepareFrames(text, key, payloadLength = null, { framed = false } = {}) {
+  const maxFrameLength = payloadLength || MAX_FRAME_LENGTH;
+  const length = payloadLength ? byteLength(text) : text.length;
+  if (!framed && (key ? byteLength(text) <= sealedCapacity(maxFrameLength) : length <= maxFrameLength)) {
+    return [key ? await sealMessage(text, key) : text];
+  }
+  if (maxFrameLength <= FRAME_HEADER_LENGTH) {
+    throw new Error(`payloadLength must be above ${FRAME_HEADER_LENGTH} to split long messages`);
+  }
+  return frameMessage(key ? await sealMessage(text, key) : text, maxFrameLength);
+}
+
+function parseFrame(text) {
+  const m = FRAME_RE.exec(text);
+  if (!m) return null;
+  const [, id, idx, tot, crc, payload] = m;
+  const index = parseInt(idx, 36);
+  const total = parseInt(tot, 36);
+  if (total === 0 || index >= total) return null;
+  const valid = crc16(id + idx + tot + payload) === parseInt(crc, 16);
+  return { id, index, total, payload, valid };
+}
+
+// Same contract as the server's createReassembler()
+export function createReassembler({ ttlMs = 5 * 60 * 1000 } = {}) {
+  const pending = new Map();
+  const completed = new Map();
+
+  const prune = (now) => {
+    for (const [id, entry] of pending) {
+      if (now - entry.updated > ttlMs) pending.delete(id);
+    }
+    for (const [id, at] of completed) {
+      if (now - at > ttlMs) completed.delete(id);
+    }
+  };
+
+  const progress = (id, entry) => {
+    const received = [];
+    const missing = [];
+    for (let i = 0; i < entry.total; i++) (entry.parts[i] !== undefined ? received : missing).push(i);
+    return { complete: false, id, total: entry.total, received, missing };
+  };
+
+  const push = (text) => {
+    const frame = parseFrame(text);
+    if (!frame) return { complete: true, message: text };
+    if (!frame.valid) return { complete: false, corrupt: true, id: frame.id, index: frame.index, total: frame.total };
+
+    const now = Date.now();
+    prune(now);
+    if (completed.has(frame.id)) return { complete: false, duplicate: true, id: frame.id, index: frame.index, total: frame.total };
+    let entry = pending.get(frame.id);
+    if (!entry || entry.total !== frame.total) {
+      entry = { total: frame.total, parts: new Array(frame.total), updated: now };
+      pending.set(frame.id, entry);
+    }
+    entry.parts[frame.index] = frame.payload;
+    entry.updated = now;
+
+    const state = progress(frame.id, entry);
+    if (state.missing.length) return state;
+    pending.delete(frame.id);
+    completed.set(frame.id, now);
+    return { complete: true, id: frame.id, total: frame.total, message: entry.parts.join("") };
+  };
+
+  const incomplete = () => [...pending].map(([id, entry]) => progress(id, entry));
+
+  return { push, incomplete };
+}
+
+// Protocol ids, names, bands and timing for when /protocols is unreachable (local mode without a server);
+// the same values as the server's PROTOCOLS (ggwave's 46.875 Hz bins, 16 bins per tone)
+export const FALLBACK_PROTOCOLS = ["", "[U] ", "[DT] ", "[MT] "].flatMap((prefix, family) =>
+  ["Normal", "Fast", "Fastest"].map((speed, i) => {
+    const freqStart = [40, 320, 24, 24][family];
+    const tones = [6, 6, 2, 1][family];
+    return {
+      id: family * 3 + i,
+      name: prefix + speed,
+      family: ["audible", "ultrasound", "dual-tone", "mono-tone"][family],
+      frequencyHz: [freqStart * 46.875, (freqStart + tones * 16) * 46.875],
+      framesPerTx: [9, 6, 3][i],
+      bytesPerTx: family < 2 ? 3 : 1,
+      requiresFixedLength: family === 3,
+    };
+  })
+);
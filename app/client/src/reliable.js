@@ -0,0 +1,152 @@
+// Reliable delivery over the acoustic link. The sender frames every message (so it has an id, see protocol.js)
+// and waits for the receiver to answer with a short unframed transmission:
+//   #A<id>             every chunk arrived (also repeated when chunks of a finished message arrive again)
+//   #N<id><index:2>... chunks still missing once no new chunk has arrived for a while (base36 indexes)
+// Without an answer the whole message is sent again; after a NACK only the missing chunks. Both give up
+// after `maxAttempts` transmissions.
+
+const ACK_RE = /^#A([0-9A-Z]{4})$/;
+const NACK_RE = /^#N([0-9A-Z]{4})((?:[0-9A-Z]{2})+)$/;
+// repeated ACKs for the same message are at most this often, so a burst of duplicate chunks gets one answer
+const ACK_DEBOUNCE_MS = 3000;
+
+const base36 = (n, width) => n.toString(36).toUpperCase().padStart(width, "0");
+
+export const ackMessage = (id) => `#A${id}`;
+
+// As many missing indexes as fit in maxLength bytes; the rest are asked for again after the retransmission
+export function nackMessage(id, missing, maxLength = 140) {
+  const room = Math.max(1, Math.floor((maxLength - 6) / 2));
+  return `#N${id}${missing.slice(0, room).map((i) => base36(i, 2)).join("")}`;
+}
+
+// { id, missing } for an ACK (missing is empty) or NACK, null for any other text
+export function parseAck(text) {
+  const ack = ACK_RE.exec(text ?? "");
+  if (ack) return { id: ack[1], missing: [] };
+  const nack = NACK_RE.exec(text ?? "");
+  if (!nack) return null;
+  return { id: nack[1], missing: nack[2].match(/../g).map((i) => parseInt(i, 36)) };
+}
+
+// Id of a framed payload (see frameMessage), or null
+export const frameId = (payload) => (/^~([0-9A-Z]{4})/.exec(payload) ?? [])[1] ?? null;
+
+// Sender side. transmit(frames) plays payloads and resolves once they were played; onState(id, { state,
+// attempts, error? }) reports "sending", "delivered" and "failed". ackTimeoutMs() is read at each attempt and
+// counts from the end of its playback. A NACK heard while the message is still playing is answered once it ends.
+export function createReliableSender({ transmit, ackTimeoutMs, maxAttempts = 3, onState }) {
+  const pending = new Map();
+
+  const finish = (id, state, error) => {
+    const p = pending.get(id);
+    if (!p) return;
+    clearTimeout(p.timer);
+    pending.delete(id);
+    onState(id, { state, attempts: p.attempts, ...(error ? { error } : {}) });
+    p.resolve(state);
+  };
+
+  const attempt = async (id, indexes = null) => {
+    const p = pending.get(id);
+    if (!p) return;
+    clearTimeout(p.timer);
+    p.timer = null;
+    if (p.playing) {
+      // the chunks asked for, sent after the current transmission (which may carry some of them yet)
+      p.missing = [...new Set([...(p.missing ?? []), ...(indexes ?? p.frames.keys())])];
+      return;
+    }
+    p.attempts++;
+    p.playing = true;
+    onState(id, { state: "sending", attempts: p.attempts });
+    try {
+      await transmit(indexes ? indexes.map((i) => p.frames[i]).filter(Boolean) : p.frames);
+    } catch (e) {
+      return finish(id, "failed", e.message);
+    } finally {
+      p.playing = false;
+    }
+    // an answer may have arrived while the frames were playing
+    if (pending.get(id) !== p) return;
+    if (p.missing) {
+      const missing = p.missing;
+      p.missing = null;
+      return retry(id, missing);
+    }
+    p.timer = setTimeout(() => retry(id, null), ackTimeoutMs());
+  };
+
+  const retry = (id, indexes) => {
+    const p = pending.get(id);
+    if (!p) return;
+    if (p.attempts >= p.maxAttempts) return finish(id, "failed", "No acknowledgement");
+    attempt(id, indexes);
+  };
+
+  return {
+    // Resolves to "delivered" or "failed"
+    send(id, frames, { attempts = maxAttempts } = {}) {
+      return new Promise((resolve) => {
+        pending.set(id, { frames, attempts: 0, maxAttempts: attempts, timer: null, resolve });
+        attempt(id);
+      });
+    },
+    // Handles a parsed ACK/NACK; false when it is not for a message this sender is waiting on
+    handle({ id, missing }) {
+      if (!pending.has(id)) return false;
+      if (!missing.length) finish(id, "delivered");
+      else retry(id, missing);
+      return true;
+    },
+    owns: (id) => pending.has(id),
+  };
+}
+
+// Receiver side. frame(result) takes the reassembly state of each received chunk: { complete, id },
+// { duplicate, id } or { id, received, missing } as returned by createReassembler and reported by the server.
+// transmit(text) sends an answer; quietMs() is how long to wait for more chunks before asking for the missing
+// ones, and isOwn(id) skips messages this client is sending itself (its microphone hears them too). Messages
+// are forgotten after `ttlMs`, as the reassembler forgets them.
+export function createAcknowledger({ transmit, quietMs, maxLength = () => 140, isOwn = () => false, ttlMs = 5 * 60 * 1000 }) {
+  const watched = new Map();
+  const acked = new Map();
+
+  const prune = (now) => {
+    for (const [id, w] of watched) {
+      if (now - w.updated <= ttlMs) continue;
+      clearTimeout(w.timer);
+      watched.delete(id);
+    }
+    for (const [id, at] of acked) {
+      if (now - at > ttlMs) acked.delete(id);
+    }
+  };
+
+  const ack = (id, now) => {
+    clearTimeout(watched.get(id)?.timer);
+    watched.delete(id);
+    if (now - (acked.get(id) ?? 0) < ACK_DEBOUNCE_MS) return;
+    acked.set(id, now);
+    transmit(ackMessage(id));
+  };
+
+  return {
+    frame(result) {
+      const { id } = result;
+      if (!id || isOwn(id)) return;
+      const now = Date.now();
+      prune(now);
+      if (result.complete || result.duplicate) return ack(id, now);
+      if (!result.missing?.length) return;
+      // progress events repeat every unfinished message; only new chunks restart the wait
+      const w = watched.get(id) ?? { received: -1, timer: null };
+      if (w.received === result.received.length) return;
+      clearTimeout(w.timer);
+      w.received = result.received.length;
+      w.updated = now;
+      w.timer = setTimeout(() => transmit(nackMessage(id, result.missing, maxLength())), quietMs());
+      watched.set(id, w);
+    },
+  };
+}
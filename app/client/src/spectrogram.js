@@ -0,0 +1,76 @@
+// Drawing for the live waterfall (see Spectrogram in main.jsx): one row per analyser frame, newest on top,
+// frequency from 0 Hz on the left to Nyquist on the right, like ggwave/examples/spectrogram.
+
+// 256-entry black → purple → orange → white color map for byte magnitudes
+const PALETTE = (() => {
+  const stops = [
+    [0, 0, 0, 0],
+    [64, 40, 10, 90],
+    [128, 140, 40, 160],
+    [192, 245, 120, 40],
+    [255, 255, 255, 220],
+  ];
+  const lut = new Uint8ClampedArray(256 * 3);
+  for (let v = 0; v < 256; v++) {
+    const i = stops.findIndex(([at]) => at >= v);
+    const [a, ...from] = stops[Math.max(0, i - 1)];
+    const [b, ...to] = stops[i];
+    const t = b === a ? 0 : (v - a) / (b - a);
+    for (let c = 0; c < 3; c++) lut[v * 3 + c] = from[c] + (to[c] - from[c]) * t;
+  }
+  return lut;
+})();
+
+// Scrolls the waterfall down one row and draws `bins` (getByteFrequencyData output) as the new top row
+export function drawRow(ctx, bins) {
+  const { width, height } = ctx.canvas;
+  ctx.drawImage(ctx.canvas, 0, 0, width, height - 1, 0, 1, width, height - 1);
+  const row = ctx.createImageData(width, 1);
+  for (let x = 0; x < width; x++) {
+    const v = bins[Math.floor((x * bins.length) / width)];
+    row.data.set([PALETTE[v * 3], PALETTE[v * 3 + 1], PALETTE[v * 3 + 2], 255], x * 4);
+  }
+  ctx.putImageData(row, 0, 0);
+}
+
+// Marks the newest row (a transmission detected or decoded); the label scrolls away with it
+export function drawMarker(ctx, label, color) {
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, ctx.canvas.width, 1);
+  ctx.font = "10px sans-serif";
+  ctx.textBaseline = "top";
+  ctx.fillText(label, 4, 2);
+}
+
+// Position of a frequency as a fraction of the width, for band overlays and axis ticks
+export const frequencyX = (hz, sampleRate) => Math.min(1, Math.max(0, hz / (sampleRate / 2)));
+
+// PNG of the waterfall with band overlays and a frequency axis, as shown on screen
+export function snapshot(canvas, { sampleRate, bands }) {
+  const axis = 16;
+  const out = document.createElement("canvas");
+  out.width = canvas.width;
+  out.height = canvas.height + axis;
+  const ctx = out.getContext("2d");
+  ctx.fillStyle = "#0a0a0f";
+  ctx.fillRect(0, 0, out.width, out.height);
+  ctx.drawImage(canvas, 0, 0);
+  for (const { from, to, color, label } of bands) {
+    const x0 = frequencyX(from, sampleRate) * out.width;
+    const x1 = frequencyX(to, sampleRate) * out.width;
+    ctx.fillStyle = color;
+    ctx.globalAlpha = 0.2;
+    ctx.fillRect(x0, 0, x1 - x0, canvas.height);
+    ctx.globalAlpha = 1;
+    ctx.font = "10px sans-serif";
+    ctx.textBaseline = "top";
+    ctx.fillText(label, x0 + 2, canvas.height - 12);
+  }
+  ctx.fillStyle = "#a1a1aa";
+  ctx.font = "10px sans-serif";
+  ctx.textBaseline = "top";
+  for (let khz = 0; khz * 1000 < sampleRate / 2; khz += 2) {
+    ctx.fillText(`${khz}k`, frequencyX(khz * 1000, sampleRate) * out.width + 1, canvas.height + 3);
+  }
+  return new Promise((resolve) => out.toBlob(resolve, "image/png"));
+}
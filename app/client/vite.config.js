@@ -1,9 +1,28 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import fs from 'fs'
+import { fileURLToPath } from 'url'
+
+// ggwave's Emscripten build (wasm inlined), loaded by local mode as /ggwave.js. Override with GGWAVE_JS.
+const GGWAVE_JS = process.env.GGWAVE_JS ||
+  fileURLToPath(new URL('../../ggwave/bindings/javascript/ggwave.js', import.meta.url))
+
+function ggwaveJs() {
+  return {
+    name: 'ggwave-js',
+    configureServer(server) {
+      server.middlewares.use('/ggwave.js', (req, res) => {
+        res.setHeader('Content-Type', 'text/javascript')
+        fs.createReadStream(GGWAVE_JS).pipe(res)
+      })
+    },
+    generateBundle() {
+      this.emitFile({ type: 'asset', fileName: 'ggwave.js', source: fs.readFileSync(GGWAVE_JS) })
+    },
+  }
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), ggwaveJs()],
   server: { port: 5173, host: true }
 })
-
-
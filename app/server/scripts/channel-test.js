@@ -0,0 +1,63 @@
+// Loopback robustness table: every protocol through a set of simulated channels (see src/channel.js), run
+// in-process with the configured engine. Prints the decode success rate per protocol and channel.
+//
+//   npm run channel-test -- --trials=10 --volume=30 --scenarios=clean,white-10,reverb-0.6 [--payloadLength=16] [--json]
+
+import { createEngine } from '../src/engine.js';
+import { parseChannel, parseProtocols, simulate } from '../src/channel.js';
+import { parseTxOptions } from '../src/protocols.js';
+
+// Named channels; --scenarios picks some of them
+const SCENARIOS = {
+  clean: {},
+  'white-20': { noise: 'white', snrDb: 20 },
+  'white-10': { noise: 'white', snrDb: 10 },
+  'white-0': { noise: 'white', snrDb: 0 },
+  'white-neg10': { noise: 'white', snrDb: -10 },
+  'pink-0': { noise: 'pink', snrDb: 0 },
+  'reverb-0.3': { reverbSeconds: 0.3 },
+  'reverb-0.8': { reverbSeconds: 0.8 },
+  'clip-20': { clipDb: 20 },
+  '44.1k': { sampleRate: 44100 },
+  '16k': { sampleRate: 16000 },
+  offset: { offsetSeconds: 1.3 },
+  opus: { opus: true, opusBitrate: 32 },
+  room: { offsetSeconds: 0.4, reverbSeconds: 0.4, noise: 'pink', snrDb: 5 },
+};
+
+const args = Object.fromEntries(process.argv.slice(2).map((arg) => {
+  const [key, value = 'true'] = arg.replace(/^--/, '').split('=');
+  return [key, value];
+}));
+
+const tx = parseTxOptions({ volume: args.volume, sampleRate: args.sampleRate, payloadLength: args.payloadLength, dss: args.dss });
+const protocols = parseProtocols(args.protocols, tx);
+const names = args.scenarios ? args.scenarios.split(',') : Object.keys(SCENARIOS).filter((name) => name !== 'opus');
+const unknown = names.filter((name) => !SCENARIOS[name]);
+if (unknown.length) {
+  console.error(`Unknown scenarios: ${unknown.join(', ')}. Known: ${Object.keys(SCENARIOS).join(', ')}`);
+  process.exit(1);
+}
+const trials = Number(args.trials ?? 5);
+const message = args.message ?? 'hello ggwave';
+
+const engine = await createEngine();
+const results = {};
+for (const name of names) {
+  process.stderr.write(`${name}...\n`);
+  const channel = parseChannel({ seed: args.seed, ...SCENARIOS[name] });
+  results[name] = await simulate(engine, { message, tx, protocols, channel, trials });
+}
+
+if (args.json) {
+  console.log(JSON.stringify({ engine: engine.name, message, tx, trials, scenarios: Object.fromEntries(names.map((n) => [n, SCENARIOS[n]])), results }, null, 2));
+} else {
+  const rows = protocols.map((_, i) => [results[names[0]][i].protocol.name, ...names.map((n) => `${Math.round(results[n][i].successRate * 100)}%`)]);
+  const header = ['protocol', ...names];
+  const widths = header.map((h, c) => Math.max(h.length, ...rows.map((r) => r[c].length)));
+  const line = (cells) => `| ${cells.map((cell, c) => (c ? cell.padStart(widths[c]) : cell.padEnd(widths[c]))).join(' | ')} |`;
+  console.log(`${engine.name} engine, ${trials} trials, volume ${tx.volume}, message "${message}"\n`);
+  console.log(line(header));
+  console.log(`|${widths.map((w, c) => (c ? `${'-'.repeat(w + 1)}:` : '-'.repeat(w + 2))).join('|')}|`);
+  for (const row of rows) console.log(line(row));
+}
@@ -0,0 +1,247 @@
+import { execFile, spawn } from 'child_process';
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import { OptionError } from './protocols.js';
+import { WavError, readWav, toInt16, wavDuration, writeWav } from './wav.js';
+import { trackProcess } from './metrics.js';
+import { resample } from './dsp.js';
+
+// Normalizing uploaded recordings to mono 16-bit WAV, the input both engines accept, and producing the
+// output formats of /encode. WAV and raw PCM are handled in-process; everything else goes through ffmpeg.
+
+const FFMPEG = process.env.FFMPEG_PATH || 'ffmpeg';
+const OUTPUT_SAMPLE_RATE = 48000;
+
+export class AudioFormatError extends Error {
+  constructor(code, message, { format = null, details } = {}) {
+    super(message);
+    this.name = 'AudioFormatError';
+    this.code = code;
+    this.format = format;
+    this.details = details;
+  }
+}
+
+const ascii = (buf, start, end) => buf.toString('latin1', start, end);
+
+// Container (and codec where the header tells) from the first bytes of a file, or null when unknown
+export function sniffAudio(buf) {
+  if (buf.length < 12) return null;
+  if (ascii(buf, 0, 4) === 'RIFF' && ascii(buf, 8, 12) === 'WAVE') return 'wav';
+  if (ascii(buf, 0, 4) === 'RF64') return 'wav';
+  if (ascii(buf, 0, 4) === 'OggS') {
+    const head = ascii(buf, 28, 64);
+    if (head.startsWith('OpusHead')) return 'ogg/opus';
+    if (head.startsWith('\x01vorbis')) return 'ogg/vorbis';
+    if (head.startsWith('\x7fFLAC')) return 'ogg/flac';
+    return 'ogg';
+  }
+  if (ascii(buf, 4, 8) === 'ftyp') {
+    const brand = ascii(buf, 8, 12).trim();
+    if (brand.startsWith('3g')) return '3gp';
+    if (brand === 'qt') return 'mov';
+    return brand === 'M4A' || brand === 'M4B' ? 'm4a' : 'mp4';
+  }
+  if (buf.readUInt32BE(0) === 0x1a45dfa3) return ascii(buf, 0, 64).includes('webm') ? 'webm' : 'matroska';
+  if (ascii(buf, 0, 4) === 'fLaC') return 'flac';
+  if (ascii(buf, 0, 3) === 'ID3') return 'mp3';
+  if (ascii(buf, 0, 4) === 'FORM' && ['AIFF', 'AIFC'].includes(ascii(buf, 8, 12))) return 'aiff';
+  if (ascii(buf, 0, 4) === 'caff') return 'caf';
+  if (ascii(buf, 0, 5) === '#!AMR') return 'amr';
+  // MPEG audio frame sync: ADTS AAC has layer bits 00, MP3 does not
+  if (buf[0] === 0xff && (buf[1] & 0xe0) === 0xe0) return (buf[1] & 0x06) === 0 ? 'aac' : 'mp3';
+  return null;
+}
+
+// Run ffmpeg over a file, writing a mono `outExt` file with the given encoder arguments. Aborting `signal`
+// kills ffmpeg. Rejects with { code: 'ENOENT' } when ffmpeg is missing, or an Error carrying ffmpeg's stderr.
+function ffmpegConvert(buffer, inExt, outExt, outputArgs, signal) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ggwave-'));
+  // files are used rather than pipes because MP4/M4A need a seekable input
+  const inPath = path.join(tmpDir, `in.${inExt}`);
+  const outPath = path.join(tmpDir, `out.${outExt}`);
+  fs.writeFileSync(inPath, buffer);
+  const cleanup = () => {
+    try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch {}
+  };
+  return new Promise((resolve, reject) => {
+    const ff = trackProcess(spawn(FFMPEG, ['-y', '-v', 'error', '-i', inPath, '-vn', '-ac', '1', ...outputArgs, outPath], { signal, killSignal: 'SIGKILL' }), FFMPEG);
+    let stderr = '';
+    ff.stderr.on('data', (d) => { stderr += d.toString(); });
+    ff.on('error', (err) => {
+      cleanup();
+      reject(err);
+    });
+    ff.on('close', (code) => {
+      try {
+        if (code !== 0) return reject(Object.assign(new Error('ffmpeg failed'), { stderr: stderr.trim() }));
+        resolve(fs.readFileSync(outPath));
+      } catch (e) {
+        reject(e);
+      } finally {
+        cleanup();
+      }
+    });
+  });
+}
+
+const tooLong = (maxSeconds, format = null) =>
+  new AudioFormatError('AUDIO_TOO_LONG', `Audio is longer than the ${maxSeconds} s limit`, { format });
+
+// Any format ffmpeg reads as mono 16-bit WAV at 48 kHz. With `maxSeconds`, ffmpeg stops writing just past it, so
+// a long recording is never decoded in full, and throws AudioFormatError AUDIO_TOO_LONG when it got that far.
+export async function ffmpegToWav(buffer, ext = 'bin', { signal, maxSeconds } = {}) {
+  const limit = maxSeconds ? ['-t', String(maxSeconds + 0.1)] : [];
+  const wav = await ffmpegConvert(buffer, ext, 'wav', ['-ar', String(OUTPUT_SAMPLE_RATE), '-c:a', 'pcm_s16le', ...limit], signal);
+  if (maxSeconds && wavDuration(wav) > maxSeconds) throw tooLong(maxSeconds);
+  return wav;
+}
+
+// A WAV through Opus in WebM and back, as browser mic chunks reach /decode-webm. Throws AudioFormatError
+// FFMPEG_UNAVAILABLE when ffmpeg is missing.
+export async function opusRoundTrip(wav, { bitrate = 64, signal } = {}) {
+  try {
+    const webm = await ffmpegConvert(wav, 'wav', 'webm', ['-ar', String(OUTPUT_SAMPLE_RATE), '-c:a', 'libopus', '-b:a', `${bitrate}k`], signal);
+    return await ffmpegToWav(webm, 'webm', { signal });
+  } catch (e) {
+    if (e.code === 'ENOENT') throw new AudioFormatError('FFMPEG_UNAVAILABLE', 'The Opus round trip needs ffmpeg, which is not installed', { format: 'webm' });
+    throw e;
+  }
+}
+
+// Sample rates uploads may have. ggwave only decodes rates that divide 48 kHz evenly (44.1 kHz audio is not
+// recognised, 192 kHz crashes the wasm module), so everything is resampled to 48 kHz first.
+export const MIN_INPUT_SAMPLE_RATE = 8000;
+export const MAX_INPUT_SAMPLE_RATE = 192000;
+
+// Mono float samples as the 16-bit 48 kHz WAV the engines decode
+export const decodableWav = (samples, sampleRate) =>
+  writeWav(toInt16(resample(samples, sampleRate, OUTPUT_SAMPLE_RATE)), OUTPUT_SAMPLE_RATE);
+
+// Any uploaded recording as mono 16-bit WAV at 48 kHz. Throws AudioFormatError naming the format when it cannot
+// be read:
+//   UNSUPPORTED_FORMAT  the file is not audio ffmpeg (or the WAV reader) understands
+//   INVALID_AUDIO       a WAV with a sample rate outside MIN_INPUT_SAMPLE_RATE-MAX_INPUT_SAMPLE_RATE
+//   FFMPEG_UNAVAILABLE  the file needs ffmpeg, which is not installed
+//   AUDIO_TOO_LONG      the recording lasts longer than `maxSeconds`, found before it is decoded in full
+export async function normalizeAudio(buffer, { mimetype, signal, maxSeconds } = {}) {
+  const format = sniffAudio(buffer);
+  if (format === 'wav') {
+    try {
+      if (maxSeconds && wavDuration(buffer) > maxSeconds) throw tooLong(maxSeconds, format);
+      const wav = readWav(buffer);
+      if (wav.sampleRate < MIN_INPUT_SAMPLE_RATE || wav.sampleRate > MAX_INPUT_SAMPLE_RATE) {
+        throw new AudioFormatError('INVALID_AUDIO',
+          `Sample rate ${wav.sampleRate} Hz is not supported (${MIN_INPUT_SAMPLE_RATE}-${MAX_INPUT_SAMPLE_RATE} Hz)`, { format });
+      }
+      if (wav.channels === 1 && wav.bitsPerSample === 16 && wav.sampleRate === OUTPUT_SAMPLE_RATE) return { wav: buffer, format };
+      return { wav: decodableWav(wav.samples, wav.sampleRate), format };
+    } catch (e) {
+      // compressed WAV encodings (ADPCM, mu-law, ...) are left to ffmpeg
+      if (!(e instanceof WavError)) throw e;
+    }
+  }
+  const name = format ?? mimetype ?? 'unknown';
+  try {
+    return { wav: await ffmpegToWav(buffer, format?.split('/')[0] ?? 'bin', { signal, maxSeconds }), format: name };
+  } catch (e) {
+    if (e instanceof AudioFormatError) throw Object.assign(e, { format: name });
+    if (e.code === 'ENOENT') {
+      throw new AudioFormatError('FFMPEG_UNAVAILABLE', `Decoding ${name} audio needs ffmpeg, which is not installed`, { format: name });
+    }
+    if (e.stderr === undefined) throw e;
+    throw new AudioFormatError('UNSUPPORTED_FORMAT', `Unsupported audio format: ${name}`, { format: name, details: e.stderr });
+  }
+}
+
+// Output formats of /encode. Lossy encoders keep the full band (ultrasound protocols reach 19.5 kHz) and run
+// at 48 kHz, a rate both support; their output is checked to still decode before it is returned.
+export const OUTPUT_FORMATS = {
+  wav: { type: 'audio/wav', ext: 'wav' },
+  mp3: { type: 'audio/mpeg', ext: 'mp3', lossy: true, args: ['-ar', '48000', '-c:a', 'libmp3lame', '-b:a', '192k', '-cutoff', '20000'] },
+  ogg: { type: 'audio/ogg; codecs=opus', ext: 'ogg', lossy: true, args: ['-ar', '48000', '-c:a', 'libopus', '-b:a', '128k', '-application', 'audio', '-cutoff', '20000'] },
+  flac: { type: 'audio/flac', ext: 'flac', args: ['-c:a', 'flac'] },
+  // raw little-endian mono samples, described by X-Sample-Rate / X-Sample-Format headers
+  'pcm-s16': { type: 'application/octet-stream', ext: 'raw' },
+  'pcm-f32': { type: 'application/octet-stream', ext: 'raw' },
+};
+
+// The ffmpeg encoder a compressed output format needs, or null for formats produced in-process
+export function outputEncoder(format) {
+  const args = OUTPUT_FORMATS[format].args ?? [];
+  const i = args.indexOf('-c:a');
+  return i === -1 ? null : args[i + 1];
+}
+
+// ffmpeg's version and the names of the encoders and decoders it was built with. Rejects with { code: 'ENOENT' }
+// when ffmpeg is missing.
+export async function probeFfmpeg({ signal } = {}) {
+  const run = (args) => new Promise((resolve, reject) => {
+    trackProcess(execFile(FFMPEG, ['-hide_banner', ...args], { signal, killSignal: 'SIGKILL' }, (error, stdout) => {
+      if (error) return reject(error);
+      resolve(stdout);
+    }), FFMPEG);
+  });
+  // listing lines look like " A....D libopus              libopus Opus"
+  const names = (listing) => new Set([...listing.matchAll(/^ [A-Z.]{6} (\S+)/gm)].map((m) => m[1]));
+  const version = /ffmpeg version (\S+)/.exec(await run(['-version']))?.[1] ?? 'unknown';
+  return { version, encoders: names(await run(['-encoders'])), decoders: names(await run(['-decoders'])) };
+}
+
+// Media types an Accept header may ask for, when no explicit format is given
+const ACCEPT_TYPES = {
+  'audio/wav': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/ogg': 'ogg',
+  'audio/opus': 'ogg',
+  'audio/flac': 'flac',
+  'audio/x-flac': 'flac',
+  'application/json': 'json',
+};
+
+// `format` (body or query) wins; otherwise an Accept header naming a supported type without a */* wildcard
+// (so generic clients keep getting WAV). 'json' returns base64 audio in `audioFormat` with metadata.
+export function parseOutputFormat(req) {
+  const explicit = req.body?.format ?? req.query?.format;
+  let format = 'wav';
+  if (explicit !== undefined && explicit !== '') {
+    format = String(explicit).toLowerCase();
+  } else if (req.headers.accept && !req.headers.accept.includes('*/*')) {
+    const accepted = req.accepts(Object.keys(ACCEPT_TYPES));
+    if (accepted) format = ACCEPT_TYPES[accepted];
+  }
+  if (format !== 'json' && !OUTPUT_FORMATS[format]) {
+    throw new OptionError('format', `format must be one of ${[...Object.keys(OUTPUT_FORMATS), 'json'].join(', ')}`);
+  }
+  const audioFormat = format === 'json' ? String(req.body?.audioFormat ?? req.query?.audioFormat ?? 'wav').toLowerCase() : format;
+  if (!OUTPUT_FORMATS[audioFormat]) {
+    throw new OptionError('audioFormat', `audioFormat must be one of ${Object.keys(OUTPUT_FORMATS).join(', ')}`);
+  }
+  return { format, audioFormat };
+}
+
+// 16-bit mono samples in an output format. Throws AudioFormatError FFMPEG_UNAVAILABLE for compressed formats
+// when ffmpeg is missing.
+export async function renderAudio(pcm, sampleRate, format, { signal } = {}) {
+  if (format === 'pcm-s16') return Buffer.from(pcm.buffer, pcm.byteOffset, pcm.length * 2);
+  if (format === 'pcm-f32') {
+    const out = Buffer.alloc(pcm.length * 4);
+    for (let i = 0; i < pcm.length; i++) out.writeFloatLE(pcm[i] / 32768, i * 4);
+    return out;
+  }
+  const wav = writeWav(pcm, sampleRate);
+  if (format === 'wav') return wav;
+  const { ext, args } = OUTPUT_FORMATS[format];
+  try {
+    return await ffmpegConvert(wav, 'wav', ext, args, signal);
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      throw new AudioFormatError('FFMPEG_UNAVAILABLE', `Encoding ${format} audio needs ffmpeg, which is not installed`, { format });
+    }
+    throw e;
+  }
+}
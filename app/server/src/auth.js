@@ -0,0 +1,160 @@
+import fs from 'fs';
+import crypto from 'crypto';
+import { log } from './log.js';
+
+// Optional API keys and per-client quotas. Keys live in a JSON file (API_KEYS_FILE):
+//   { "quota": { "requests": 600, "bytes": 104857600, "windowSeconds": 3600 },
+//     "keys": [{ "name": "alice", "key": "...", "quota": { ... }, "disabled": false }] }
+// While the file is missing or lists no keys every request is allowed and clients are told apart by IP.
+// A key's quota overrides the file-wide one, which overrides the RATE_LIMIT_* environment defaults; a limit
+// of 0 (or one left out) is unlimited. Requests and bytes (request bodies, WebSocket messages and response
+// bodies) are counted per fixed window.
+
+export class AuthError extends Error {
+  constructor(status, code, message, { retryAfter } = {}) {
+    super(message);
+    this.name = 'AuthError';
+    // 401 UNAUTHORIZED or 429 QUOTA_EXCEEDED
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const envInt = (name, fallback) => {
+  const value = Number.parseInt(process.env[name] ?? '', 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+const ENV_QUOTA = {
+  requests: envInt('RATE_LIMIT_REQUESTS', 0),
+  bytes: envInt('RATE_LIMIT_BYTES', 0),
+  windowSeconds: envInt('RATE_LIMIT_WINDOW_SECONDS', 60) || 60,
+};
+// how often the key file is checked for changes
+const RELOAD_INTERVAL_MS = 2000;
+
+function parseQuota(source, fallback, where) {
+  if (source === undefined) return fallback;
+  if (typeof source !== 'object' || source === null) throw new Error(`${where}: quota must be an object`);
+  const quota = { ...fallback };
+  for (const field of ['requests', 'bytes', 'windowSeconds']) {
+    if (source[field] === undefined) continue;
+    if (!Number.isInteger(source[field]) || source[field] < 0) throw new Error(`${where}: quota.${field} must be a non-negative integer`);
+    quota[field] = source[field];
+  }
+  quota.windowSeconds ||= ENV_QUOTA.windowSeconds;
+  return quota;
+}
+
+// Keys (key => { id, name, quota }) and the file-wide quota from the key file's contents
+export function parseKeyFile(json) {
+  const quota = parseQuota(json.quota, ENV_QUOTA, 'quota');
+  if (!Array.isArray(json.keys)) throw new Error('keys must be an array');
+  const keys = new Map();
+  json.keys.forEach((entry, i) => {
+    const where = `keys[${i}]`;
+    if (typeof entry?.key !== 'string' || entry.key.length < 16) throw new Error(`${where}: key must be a string of at least 16 characters`);
+    if (entry.disabled) return;
+    const name = typeof entry.name === 'string' && entry.name ? entry.name : `key-${i + 1}`;
+    keys.set(entry.key, { id: `key:${name}`, name, quota: parseQuota(entry.quota, quota, where) });
+  });
+  return { keys, quota };
+}
+
+export const safeEqual = (a, b) => {
+  const x = crypto.createHash('sha256').update(a).digest();
+  const y = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(x, y);
+};
+
+export function createAuth(file) {
+  let loaded = { keys: new Map(), quota: ENV_QUOTA };
+  let mtime = null;
+  let checkedAt = 0;
+  const usage = new Map();
+
+  // The file is re-read when it changes; a broken edit keeps the previous keys
+  const current = () => {
+    const now = Date.now();
+    if (now - checkedAt < RELOAD_INTERVAL_MS) return loaded;
+    checkedAt = now;
+    let stat = null;
+    try {
+      stat = fs.statSync(file);
+    } catch {}
+    if (!stat) {
+      if (mtime !== null) loaded = { keys: new Map(), quota: ENV_QUOTA };
+      mtime = null;
+      return loaded;
+    }
+    if (stat.mtimeMs === mtime) return loaded;
+    mtime = stat.mtimeMs;
+    try {
+      loaded = parseKeyFile(JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (e) {
+      log.error('api keys: ignoring the key file', { file, error: e.message });
+    }
+    return loaded;
+  };
+
+  // Window counters of a client, started afresh when its window has passed
+  const windowOf = (client) => {
+    const now = Date.now();
+    let w = usage.get(client.id);
+    if (!w || now >= w.resetAt) {
+      w = { requests: 0, bytes: 0, resetAt: now + client.quota.windowSeconds * 1000 };
+      usage.set(client.id, w);
+    }
+    return w;
+  };
+
+  // Drop finished windows now and then so idle clients do not accumulate
+  setInterval(() => {
+    const now = Date.now();
+    for (const [id, w] of usage) if (now >= w.resetAt) usage.delete(id);
+  }, 60000).unref();
+
+  return {
+    enabled: () => current().keys.size > 0,
+
+    // The client behind a request, from `Authorization: Bearer <key>`, `X-API-Key` or (for WebSockets, which
+    // browsers cannot give headers) a `token` query parameter. Throws AuthError 401 when keys are required.
+    identify(req, query) {
+      const { keys, quota } = current();
+      if (!keys.size) return { id: `ip:${req.ip ?? req.socket.remoteAddress}`, name: null, quota };
+      const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization ?? '')?.[1];
+      const given = bearer ?? req.headers['x-api-key'] ?? query?.token;
+      if (!given) throw new AuthError(401, 'UNAUTHORIZED', 'An API key is required');
+      for (const [key, client] of keys) if (safeEqual(key, String(given))) return client;
+      throw new AuthError(401, 'UNAUTHORIZED', 'Invalid API key');
+    },
+
+    // Counts one request of `bytes`, or throws AuthError 429 when the client has used up its window
+    admit(client, bytes = 0) {
+      const { requests, bytes: maxBytes } = client.quota;
+      const w = windowOf(client);
+      const retryAfter = Math.max(1, Math.ceil((w.resetAt - Date.now()) / 1000));
+      if (requests && w.requests >= requests) {
+        throw new AuthError(429, 'QUOTA_EXCEEDED', `Request quota of ${requests} per ${client.quota.windowSeconds} s used up`, { retryAfter });
+      }
+      if (maxBytes && w.bytes >= maxBytes) {
+        throw new AuthError(429, 'QUOTA_EXCEEDED', `Byte quota of ${maxBytes} per ${client.quota.windowSeconds} s used up`, { retryAfter });
+      }
+      w.requests++;
+      w.bytes += bytes;
+    },
+
+    // Bytes transferred after admission (response bodies, streamed audio). False once the byte quota is used up.
+    count(client, bytes) {
+      const w = windowOf(client);
+      w.bytes += bytes;
+      return !client.quota.bytes || w.bytes <= client.quota.bytes;
+    },
+
+    usage(client) {
+      const w = windowOf(client);
+      return { requests: w.requests, bytes: w.bytes, resetAt: w.resetAt, quota: client.quota };
+    },
+  };
+}
@@ -0,0 +1,186 @@
+import { OptionError, PROTOCOLS, maxFrameLength, parseTxOptions, protocolById } from './protocols.js';
+import { readWav, toInt16, writeWav } from './wav.js';
+import { decodableWav, opusRoundTrip } from './audio.js';
+import { parseDecoded } from './engine.js';
+import { diagnose } from './diagnostics.js';
+import { convolve, resample } from './dsp.js';
+
+// Acoustic channel simulator behind /simulate and scripts/channel-test.js: audio from the /encode pipeline goes
+// through the impairments of a room and a microphone, in this order, and is decoded again:
+//   offsetSeconds  silence before the transmission (negative cuts its start off)
+//   reverbSeconds  room reverberation with this RT60 (direct sound and reverb at equal energy)
+//   noise, snrDb   white or pink noise at this SNR against the mean power of the encoded audio
+//   clipDb         gain before clipping at full scale
+//   sampleRate     capture rate the audio is resampled to
+//   opus           Opus round trip at opusBitrate kbps, as /decode-webm receives (needs ffmpeg)
+// Random parts (noise, reverb tail) come from `seed`, so a channel is reproducible.
+
+const NOISES = ['white', 'pink'];
+export const MAX_TRIALS = 50;
+
+const present = (v) => v !== undefined && v !== null && v !== '';
+
+function number(source, field, min, max, { integer = false } = {}) {
+  const value = Number(source[field]);
+  if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+    throw new OptionError(`channel.${field}`, `channel.${field} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`);
+  }
+  return value;
+}
+
+// `channel` of /simulate; every impairment is off unless given
+export function parseChannel(source = {}) {
+  if (typeof source !== 'object' || Array.isArray(source)) throw new OptionError('channel', 'channel must be an object');
+  const noise = present(source.noise) ? String(source.noise) : null;
+  if (noise && !NOISES.includes(noise)) throw new OptionError('channel.noise', `channel.noise must be one of ${NOISES.join(', ')}`);
+  if (noise && !present(source.snrDb)) throw new OptionError('channel.snrDb', 'channel.snrDb is required with channel.noise');
+  return {
+    offsetSeconds: present(source.offsetSeconds) ? number(source, 'offsetSeconds', -5, 5) : 0,
+    reverbSeconds: present(source.reverbSeconds) ? number(source, 'reverbSeconds', 0, 2) : 0,
+    noise,
+    snrDb: noise ? number(source, 'snrDb', -20, 60) : null,
+    clipDb: present(source.clipDb) ? number(source, 'clipDb', 0, 40) : 0,
+    sampleRate: present(source.sampleRate) ? number(source, 'sampleRate', 8000, 96000, { integer: true }) : null,
+    opus: source.opus === true || source.opus === 'true',
+    opusBitrate: present(source.opusBitrate) ? number(source, 'opusBitrate', 6, 256, { integer: true }) : 64,
+    seed: present(source.seed) ? number(source, 'seed', 0, 2 ** 32 - 1, { integer: true }) : 1,
+  };
+}
+
+// mulberry32: small seeded PRNG, uniform in [0, 1)
+function random(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function gaussian(rand) {
+  return Math.sqrt(-2 * Math.log(1 - rand())) * Math.cos(2 * Math.PI * rand());
+}
+
+const power = (samples) => samples.reduce((s, x) => s + x * x, 0) / (samples.length || 1);
+
+// Unit-power noise; pink is white filtered by Paul Kellet's approximation of a -3 dB/octave slope
+function makeNoise(kind, length, rand) {
+  const out = new Float32Array(length);
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+  for (let i = 0; i < length; i++) {
+    const white = gaussian(rand);
+    if (kind === 'white') {
+      out[i] = white;
+      continue;
+    }
+    b0 = 0.99886 * b0 + white * 0.0555179;
+    b1 = 0.99332 * b1 + white * 0.0750759;
+    b2 = 0.969 * b2 + white * 0.153852;
+    b3 = 0.8665 * b3 + white * 0.3104856;
+    b4 = 0.55 * b4 + white * 0.5329522;
+    b5 = -0.7616 * b5 - white * 0.016898;
+    out[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+    b6 = white * 0.115926;
+  }
+  const scale = 1 / Math.sqrt(power(out) || 1);
+  for (let i = 0; i < length; i++) out[i] *= scale;
+  return out;
+}
+
+// Direct sound followed by exponentially decaying noise reaching -60 dB after rt60 seconds
+function impulseResponse(rt60, sampleRate, rand) {
+  const length = Math.max(1, Math.round(rt60 * sampleRate));
+  const ir = new Float32Array(length);
+  for (let i = 1; i < length; i++) ir[i] = gaussian(rand) * Math.exp((-6.9 * i) / length);
+  const scale = 1 / Math.sqrt(power(ir) * length || 1);
+  for (let i = 1; i < length; i++) ir[i] *= scale;
+  ir[0] = 1;
+  return ir;
+}
+
+// Applies `channel` to mono float samples; resolves to { samples, sampleRate }
+export async function applyChannel(samples, sampleRate, channel, { signal } = {}) {
+  const rand = random(channel.seed);
+  let out = samples;
+  const signalPower = power(samples);
+  if (channel.offsetSeconds > 0) {
+    out = new Float32Array(samples.length + Math.round(channel.offsetSeconds * sampleRate));
+    out.set(samples, out.length - samples.length);
+  } else if (channel.offsetSeconds < 0) {
+    out = samples.slice(Math.min(samples.length, Math.round(-channel.offsetSeconds * sampleRate)));
+  }
+  if (channel.reverbSeconds > 0) {
+    const wet = convolve(out, impulseResponse(channel.reverbSeconds, sampleRate, rand));
+    // keeps the level of the dry audio
+    const scale = Math.sqrt(power(out) / (power(wet) || 1));
+    out = wet.map((x) => x * scale);
+  }
+  if (channel.noise) {
+    const noise = makeNoise(channel.noise, out.length, rand);
+    const level = Math.sqrt(signalPower / 10 ** (channel.snrDb / 10));
+    out = out.map((x, i) => x + noise[i] * level);
+  }
+  if (channel.clipDb > 0) {
+    const gain = 10 ** (channel.clipDb / 20);
+    out = out.map((x) => Math.max(-1, Math.min(1, x * gain)));
+  }
+  let rate = sampleRate;
+  if (channel.sampleRate && channel.sampleRate !== sampleRate) {
+    out = resample(out, sampleRate, channel.sampleRate);
+    rate = channel.sampleRate;
+  }
+  if (channel.opus) {
+    const wav = readWav(await opusRoundTrip(writeWav(toInt16(out), rate), { bitrate: channel.opusBitrate, signal }));
+    out = wav.samples;
+    rate = wav.sampleRate;
+  }
+  return { samples: out, sampleRate: rate };
+}
+
+// `protocols` of /simulate: ids to compare, by default every protocol usable with the given payloadLength
+export function parseProtocols(source, { payloadLength }) {
+  if (!present(source)) return PROTOCOLS.filter(p => payloadLength || !p.requiresFixedLength).map(p => p.id);
+  const ids = Array.isArray(source) ? source : String(source).split(',');
+  if (!ids.length || ids.length > PROTOCOLS.length) throw new OptionError('protocols', `protocols must list 1-${PROTOCOLS.length} protocol ids`);
+  return [...new Set(ids.map((id) => parseTxOptions({ protocol: id, payloadLength }).protocol))];
+}
+
+// Encodes `message` once per protocol and decodes it after `trials` passes through the channel (seeds
+// channel.seed, channel.seed + 1, ...). `run(fn)` runs each encode and trial, fn receiving an AbortSignal
+// (the scheduler for /simulate). Resolves to one row per protocol:
+//   { protocol, trials, successes, successRate, meanSnrDb, reasons: { [reason]: count } }
+export async function simulate(engine, { message, tx, protocols, channel, trials, run = (fn) => fn() }) {
+  if (Buffer.byteLength(message, 'utf8') > maxFrameLength(tx)) {
+    throw new OptionError('message', `message must fit one transmission (${maxFrameLength(tx)} bytes)`);
+  }
+  const rows = [];
+  for (const id of protocols) {
+    const options = { ...tx, protocol: id };
+    const { pcm, sampleRate } = await run((signal) => engine.encode(message, { ...options, signal }));
+    const clean = Float32Array.from(pcm, (s) => s / 32768);
+    const row = { protocol: { id, name: protocolById(id).name }, trials, successes: 0, successRate: 0, meanSnrDb: null, reasons: {} };
+    const snrs = [];
+    for (let t = 0; t < trials; t++) {
+      const { decoded, diagnostics } = await run(async (signal) => {
+        const heard = await applyChannel(clean, sampleRate, { ...channel, seed: channel.seed + t }, { signal });
+        // resampled to 48 kHz as /decode does with uploads
+        const wav = decodableWav(heard.samples, heard.sampleRate);
+        const { raw } = await engine.decode(wav, { payloadLength: options.payloadLength, dss: options.dss, signal });
+        return { decoded: parseDecoded(raw).map((d) => d.payload), diagnostics: diagnose(wav, raw, { options }) };
+      });
+      if (diagnostics.snrDb != null) snrs.push(diagnostics.snrDb);
+      if (decoded.includes(message)) {
+        row.successes++;
+        continue;
+      }
+      const reason = diagnostics.reason ?? 'Decoded a different payload';
+      row.reasons[reason] = (row.reasons[reason] ?? 0) + 1;
+    }
+    row.successRate = Math.round((row.successes / trials) * 1000) / 1000;
+    if (snrs.length) row.meanSnrDb = Math.round((snrs.reduce((s, x) => s + x, 0) / snrs.length) * 10) / 10;
+    rows.push(row);
+  }
+  return rows;
+}
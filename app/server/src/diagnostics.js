@@ -0,0 +1,126 @@
+import { readWav, wavInfo } from './wav.js';
+import { parseDecoded, parseMarkers } from './engine.js';
+import { PROTOCOLS } from './protocols.js';
+import { fft } from './dsp.js';
+
+// Signal-quality report returned with every /decode and /decode-webm: levels of the audio, SNR in each
+// protocol family's band, what ggwave saw (start/end markers) and, when nothing decoded, the likeliest reason.
+
+const FRAME = 1024;
+// spectra analysed at most, spread evenly over the recording
+const MAX_FRAMES = 1500;
+const CLIP_LEVEL = 0.999;
+const MIN_SECONDS = 0.5;
+const SILENT_DBFS = -60;
+const CLIPPED_RATIO = 0.01;
+const MIN_SNR_DB = 6;
+
+// One band per family; protocols of a family share it
+const BANDS = [...new Map(PROTOCOLS.map(p => [p.family, { family: p.family, frequencyHz: p.frequencyHz }])).values()];
+// SNR reported when the loudest spectra are no louder than the noise floor
+const SNR_FLOOR_DB = -30;
+
+const round = (x, digits = 1) => (x == null || !Number.isFinite(x) ? null : Math.round(x * 10 ** digits) / 10 ** digits);
+const dbfs = (x) => (x > 0 ? 20 * Math.log10(x) : null);
+
+function levels(samples) {
+  let peak = 0;
+  let sum = 0;
+  let clipped = 0;
+  for (const s of samples) {
+    const a = Math.abs(s);
+    if (a > peak) peak = a;
+    if (a >= CLIP_LEVEL) clipped++;
+    sum += s * s;
+  }
+  return {
+    peakDbfs: round(dbfs(peak)),
+    rmsDbfs: round(dbfs(Math.sqrt(sum / (samples.length || 1)))),
+    clippingRatio: round(clipped / (samples.length || 1), 4),
+  };
+}
+
+// SNR of each band. The noise floor is the median over the band of each bin's median power over time: tones hop
+// between 16 bins, so most bins are silent most of the time even during a transmission. The signal is the band
+// power of the loudest quarter of the spectra (where a transmission would be) above that floor.
+function bandSnr(samples, sampleRate) {
+  const count = Math.floor(samples.length / FRAME);
+  const step = Math.max(1, count / MAX_FRAMES);
+  const hann = Float64Array.from({ length: FRAME }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / FRAME));
+  const bins = BANDS.map(({ frequencyHz: [from, to] }) => [Math.round((from * FRAME) / sampleRate), Math.round((to * FRAME) / sampleRate)]);
+  const spectra = BANDS.map(() => []);
+  const re = new Float64Array(FRAME);
+  const im = new Float64Array(FRAME);
+  for (let f = 0; f < count; f += step) {
+    const offset = Math.floor(f) * FRAME;
+    for (let i = 0; i < FRAME; i++) {
+      re[i] = samples[offset + i] * hann[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+    bins.forEach(([lo, hi], b) => {
+      if (hi >= FRAME / 2) return;
+      const power = new Float64Array(hi - lo);
+      for (let k = lo; k < hi; k++) power[k - lo] = re[k] * re[k] + im[k] * im[k];
+      spectra[b].push(power);
+    });
+  }
+  return BANDS.map(({ family, frequencyHz }, b) => {
+    const rows = spectra[b];
+    if (!rows.length) return { family, frequencyHz, snrDb: null };
+    const median = (values) => values.sort((x, y) => x - y)[Math.floor(values.length / 2)];
+    const floors = rows[0].map((_, k) => median(rows.map(r => r[k])));
+    // median of an exponentially distributed power is ln 2 times its mean
+    const noise = (median(floors) / Math.LN2) * floors.length;
+    const totals = rows.map(r => r.reduce((s, p) => s + p, 0)).sort((x, y) => y - x);
+    const loud = totals.slice(0, Math.ceil(totals.length / 4));
+    const signal = loud.reduce((s, p) => s + p, 0) / loud.length - noise;
+    const snrDb = noise > 0 ? Math.max(SNR_FLOOR_DB, signal > 0 ? 10 * Math.log10(signal / noise) : SNR_FLOOR_DB) : null;
+    return { family, frequencyHz, snrDb: round(snrDb) };
+  });
+}
+
+function reasonFor({ input, level, snrDb, markers, decoded, options }) {
+  if (decoded) return null;
+  if (input.durationSeconds < MIN_SECONDS) return `Audio is only ${input.durationSeconds.toFixed(2)} s long, too short to hold a transmission`;
+  if (level.rmsDbfs == null || level.rmsDbfs < SILENT_DBFS) return 'Audio is silent or nearly silent; check the microphone and input level';
+  if (level.clippingRatio > CLIPPED_RATIO) return `${(level.clippingRatio * 100).toFixed(1)}% of samples are clipped; lower the input gain or playback volume`;
+  if (markers?.start && markers.end) return 'A transmission was found but could not be decoded; the signal is too noisy or distorted';
+  if (markers?.start) return 'A transmission started but never ended; the recording was cut off';
+  if (snrDb != null && snrDb < MIN_SNR_DB) return `Signal-to-noise ratio is ${snrDb} dB, too low to decode; move closer or reduce background noise`;
+  if (options.payloadLength) return 'No transmission recognised with a fixed payloadLength; check that payloadLength and dss match the sender';
+  if (input.sampleRate < 40000) return `Sample rate ${input.sampleRate} Hz cannot carry ultrasound protocols; no audible transmission was recognised`;
+  return 'No ggwave transmission recognised; check the protocol band, payloadLength and dss';
+}
+
+// Report for one decode: `wav` is the normalized mono WAV that was decoded, `stdout` the engine output and
+// `original` the uploaded buffer when it was a WAV (its own sample rate and bit depth are reported then)
+export function diagnose(wav, stdout, { format = 'wav', original = null, options = {} } = {}) {
+  const { sampleRate, samples } = readWav(wav);
+  let info = wavInfo(wav);
+  if (original && format === 'wav') {
+    try { info = wavInfo(original); } catch {}
+  }
+  const input = { format, ...info, durationSeconds: round(info.durationSeconds, 3) };
+  const decoded = parseDecoded(stdout);
+  const markers = parseMarkers(stdout);
+  const level = levels(samples);
+  const bands = bandSnr(samples, sampleRate);
+  const protocol = decoded.find(d => d.protocol)?.protocol ?? null;
+  const family = protocol ? PROTOCOLS.find(p => p.id === protocol.id)?.family : null;
+  const snrDb = family
+    ? bands.find(b => b.family === family)?.snrDb ?? null
+    : bands.reduce((best, b) => (b.snrDb != null && (best == null || b.snrDb > best) ? b.snrDb : best), null);
+  return {
+    input,
+    level,
+    bands,
+    snrDb,
+    startMarker: markers ? markers.start > 0 : null,
+    endMarker: markers ? markers.end > 0 : null,
+    failedDecodes: markers ? Math.max(0, markers.end - decoded.length) : null,
+    protocol,
+    decoded: decoded.length,
+    reason: reasonFor({ input, level, snrDb, markers, decoded: decoded.length, options }),
+  };
+}
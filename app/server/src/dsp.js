@@ -0,0 +1,115 @@
+// Signal processing shared by the decode diagnostics and the channel simulator
+
+// In-place radix-2 FFT of re/im (length a power of two); `inverse` computes the unscaled inverse transform
+export function fft(re, im, inverse = false) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  const sign = inverse ? 1 : -1;
+  const cos = new Float64Array(n / 2);
+  const sin = new Float64Array(n / 2);
+  for (let k = 0; k < n / 2; k++) {
+    cos[k] = Math.cos((2 * Math.PI * k) / n);
+    sin[k] = sign * Math.sin((2 * Math.PI * k) / n);
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const stride = n / len;
+    for (let i = 0; i < n; i += len) {
+      for (let k = 0; k < len / 2; k++) {
+        const wr = cos[k * stride];
+        const wi = sin[k * stride];
+        const a = i + k;
+        const b = a + len / 2;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+// Linear convolution of two real signals through one FFT; the result has a.length + b.length - 1 samples
+export function convolve(a, b) {
+  const length = a.length + b.length - 1;
+  let n = 1;
+  while (n < length) n <<= 1;
+  const ar = new Float64Array(n);
+  const ai = new Float64Array(n);
+  const br = new Float64Array(n);
+  const bi = new Float64Array(n);
+  ar.set(a);
+  br.set(b);
+  fft(ar, ai);
+  fft(br, bi);
+  for (let k = 0; k < n; k++) {
+    const r = ar[k] * br[k] - ai[k] * bi[k];
+    ai[k] = ar[k] * bi[k] + ai[k] * br[k];
+    ar[k] = r;
+  }
+  fft(ar, ai, true);
+  const out = new Float32Array(length);
+  for (let i = 0; i < length; i++) out[i] = ar[i] / n;
+  return out;
+}
+
+// Hann-windowed sinc interpolation at `center` (an index into samples, which start at input index `offset`)
+function interpolate(samples, offset, center, cutoff, width) {
+  const first = Math.max(offset, Math.ceil(center - width));
+  const last = Math.min(offset + samples.length - 1, Math.floor(center + width));
+  let sum = 0;
+  for (let j = first; j <= last; j++) {
+    const x = j - center;
+    const sinc = x === 0 ? 1 : Math.sin(Math.PI * cutoff * x) / (Math.PI * cutoff * x);
+    const window = 0.5 + 0.5 * Math.cos((Math.PI * x) / (width + 1));
+    sum += samples[j - offset] * sinc * window;
+  }
+  return sum * cutoff;
+}
+
+// Band-limited resampling with a Hann-windowed sinc (cut off below the lower Nyquist frequency)
+export function resample(samples, from, to, halfTaps = 16) {
+  if (from === to) return samples;
+  const ratio = to / from;
+  const cutoff = Math.min(1, ratio) * 0.95;
+  const out = new Float32Array(Math.floor(samples.length * ratio));
+  const width = Math.ceil(halfTaps / cutoff);
+  for (let i = 0; i < out.length; i++) out[i] = interpolate(samples, 0, i / ratio, cutoff, width);
+  return out;
+}
+
+// resample() for a stream arriving in blocks of any size: push(samples) returns the output samples whose
+// filter window is complete, so the result matches resampling the whole stream at once (minus its tail)
+export function createResampler(from, to, halfTaps = 16) {
+  const ratio = to / from;
+  const cutoff = Math.min(1, ratio) * 0.95;
+  const width = Math.ceil(halfTaps / cutoff);
+  // input kept for windows still to come; it starts at input index `offset`
+  let kept = new Float32Array(0);
+  let offset = 0;
+  let produced = 0;
+  return (samples) => {
+    const input = new Float32Array(kept.length + samples.length);
+    input.set(kept);
+    input.set(samples, kept.length);
+    const available = offset + input.length;
+    const out = [];
+    for (let center = produced / ratio; center + width < available; center = produced / ratio) {
+      out.push(interpolate(input, offset, center, cutoff, width));
+      produced++;
+    }
+    const keepFrom = Math.max(offset, Math.ceil(produced / ratio - width));
+    kept = input.slice(keepFrom - offset);
+    offset = keepFrom;
+    return Float32Array.from(out);
+  };
+}
@@ -0,0 +1,405 @@
+import { spawn, execFile } from 'child_process';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import { WavError, readWav, toInt16 } from './wav.js';
+import { OptionError, fixedLengthFrames } from './protocols.js';
+import { log } from './log.js';
+import { createResampler } from './dsp.js';
+import { trackProcess } from './metrics.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const require = createRequire(import.meta.url);
+
+// Paths to ggwave binaries. Prefer env GGWAVE_BIN_DIR, else try a few common locations.
+export const BIN_DIR = process.env.GGWAVE_BIN_DIR
+  ? path.resolve(process.env.GGWAVE_BIN_DIR)
+  : [
+      '/usr/local/bin',
+      '/opt/ggwave/bin',
+      path.resolve(__dirname, '../../..', 'ggwave', 'build-macos', 'bin'),
+    ].find(p => {
+      try { fs.accessSync(p); return true; } catch { return false; }
+    }) || '/usr/local/bin';
+export const TO_FILE = path.join(BIN_DIR, 'ggwave-to-file');
+export const FROM_FILE = path.join(BIN_DIR, 'ggwave-from-file');
+export const CLI_BIN = path.join(BIN_DIR, 'ggwave-cli');
+
+// Emscripten build of ggwave shipped in the repo (ggwave/bindings/javascript)
+const WASM_PATH = process.env.GGWAVE_WASM_PATH
+  ? path.resolve(process.env.GGWAVE_WASM_PATH)
+  : path.resolve(__dirname, '../../..', 'ggwave', 'bindings', 'javascript', 'ggwave.js');
+
+// ggwave-cli arguments for parseCliOptions() settings
+export function cliArgs({ protocol, payloadLength, dss, capture, playback, tones }) {
+  const args = [`-t${protocol}`, `-c${capture}`, `-p${playback}`];
+  if (payloadLength) args.push(`-l${payloadLength}`);
+  if (dss) args.push('-d');
+  if (tones) args.push('-v');
+  return args;
+}
+
+// SDL device lists ggwave-cli prints while opening its audio devices
+const DEVICE_RE = /^\s*- (Playback|Capture) device #(\d+): '(.*)'$/gm;
+export function parseDevices(stdout) {
+  const devices = { playback: [], capture: [] };
+  for (const m of stdout.matchAll(DEVICE_RE)) {
+    devices[m[1].toLowerCase()].push({ id: Number(m[2]), name: m[3] });
+  }
+  return devices;
+}
+
+export function ensureBinaryExists(filePath) {
+  try {
+    fs.accessSync(filePath, fs.constants.X_OK);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export const DEFAULT_SAMPLE_RATE = 48000;
+export const DEFAULT_VOLUME = 50;
+export const DEFAULT_PROTOCOL = 1;
+
+// Every payload ggwave-from-file printed, in order. Matches to the end of the line so payloads may contain quotes.
+// Newer builds follow each payload with the detected protocol and its position in the input.
+const DECODED_RE = /^\[\+\] Decoded message[^:]*:\s*'(.*)'$(?:\n\[\+\]\s+protocol: (\d+) \(([^)]*)\), samples: (\d+)-(\d+), time: ([\d.]+)-([\d.]+) s$)?/gm;
+export function parseDecoded(stdout) {
+  return [...stdout.matchAll(DECODED_RE)].map(m => ({
+    payload: m[1],
+    protocol: m[2] !== undefined ? { id: Number(m[2]), name: m[3] } : null,
+    sampleStart: m[4] !== undefined ? Number(m[4]) : null,
+    sampleEnd: m[5] !== undefined ? Number(m[5]) : null,
+    start: m[6] !== undefined ? Number(m[6]) : null,
+    end: m[7] !== undefined ? Number(m[7]) : null,
+  }));
+}
+
+// Start and end markers ggwave-from-file saw (a transmission that ended without a message failed to decode),
+// or null for builds that do not report them
+const MARKERS_RE = /^\[\+\] Markers: start (\d+), end (\d+)$/m;
+export function parseMarkers(stdout) {
+  const m = MARKERS_RE.exec(stdout);
+  return m ? { start: Number(m[1]), end: Number(m[2]) } : null;
+}
+
+// Same line format ggwave-from-file prints, so both engines share parseDecoded
+function formatDecoded({ payload, protocol, sampleStart, sampleEnd, start, end }) {
+  return `[+] Decoded message with length ${Buffer.byteLength(payload, 'utf8')}: '${payload}'\n` +
+    `[+]     protocol: ${protocol?.id ?? -1} (${protocol?.name ?? 'unknown'}), samples: ${sampleStart}-${sampleEnd}, ` +
+    `time: ${start.toFixed(3)}-${end.toFixed(3)} s\n`;
+}
+
+function withTmpDir(fn) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ggwave-'));
+  return fn(tmpDir).finally(() => {
+    try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch {}
+  });
+}
+
+// Engine backed by the native ggwave-to-file / ggwave-from-file binaries (one process per call)
+export function createBinaryEngine() {
+  return {
+    name: 'binary',
+    canEncode: () => ensureBinaryExists(TO_FILE),
+    canDecode: () => ensureBinaryExists(FROM_FILE),
+    missingEncoder: 'ggwave-to-file binary not found. Build it first.',
+    missingDecoder: 'ggwave-from-file binary not found. Build it first.',
+
+    // Resolves to { pcm: Int16Array, sampleRate }. Aborting `signal` kills the process.
+    encode(message, { volume, sampleRate, protocol, payloadLength, dss, signal } = {}) {
+      return withTmpDir(tmpDir => new Promise((resolve, reject) => {
+        const wavPath = path.join(tmpDir, 'out.wav');
+        const args = [`-f${wavPath}`];
+        if (volume) args.push(`-v${volume}`);
+        if (sampleRate) args.push(`-s${sampleRate}`);
+        if (protocol !== undefined) args.push(`-p${protocol}`);
+        if (payloadLength) args.push(`-l${payloadLength}`);
+        if (dss) args.push('-d');
+
+        const child = trackProcess(spawn(TO_FILE, args, { stdio: ['pipe', 'pipe', 'pipe'], signal, killSignal: 'SIGKILL' }), TO_FILE);
+        let stderr = '';
+        child.stderr.on('data', d => { stderr += d.toString(); });
+        child.on('error', reject);
+        child.on('close', code => {
+          if (code !== 0) return reject(Object.assign(new Error('encode failed'), { details: stderr }));
+          try {
+            const wav = readWav(fs.readFileSync(wavPath));
+            resolve({ pcm: toInt16(wav.samples), sampleRate: wav.sampleRate });
+          } catch (e) {
+            reject(Object.assign(new Error('read wav failed'), { details: e.message }));
+          }
+        });
+        child.stdin.end(message);
+      }));
+    },
+
+    // Resolves to { raw } with ggwave-from-file's stdout
+    decode(wavBuffer, { payloadLength, dss, signal } = {}) {
+      return withTmpDir(tmpDir => new Promise((resolve, reject) => {
+        const wavPath = path.join(tmpDir, 'in.wav');
+        fs.writeFileSync(wavPath, wavBuffer);
+        const args = [wavPath];
+        if (payloadLength) args.push(`-l${payloadLength}`);
+        if (dss) args.push('-d');
+        trackProcess(execFile(FROM_FILE, args, { signal, killSignal: 'SIGKILL' }, (error, stdout, stderr) => {
+          if (error) return reject(Object.assign(error, { stdout, stderr }));
+          resolve({ raw: stdout });
+        }), FROM_FILE);
+      }));
+    },
+  };
+}
+
+// Compiled into the Emscripten build (GGWAVE_MAX_INSTANCES in ggwave.h)
+const MAX_INSTANCES_PER_MODULE = 4;
+
+// Each call instantiates a separate wasm module with its own memory and instance table.
+// ggwave logs the detected protocol to stderr; lines go to `logSink` while one is set.
+async function loadModule() {
+  const factory = require(WASM_PATH);
+  const mod = { logSink: null, instances: 0 };
+  mod.ggwave = await factory({
+    print: () => {},
+    printErr: (line) => { if (mod.logSink) mod.logSink.push(line); },
+  });
+  return mod;
+}
+
+// payloadLength/dss must match between transmitter and receiver
+function initInstance(mod, { rx, sampleRate, payloadLength, dss }) {
+  const { ggwave } = mod;
+  const parameters = ggwave.getDefaultParameters();
+  if (rx) {
+    parameters.sampleRateInp = sampleRate;
+    parameters.sampleFormatInp = ggwave.SampleFormat.GGWAVE_SAMPLE_FORMAT_F32;
+    parameters.operatingMode = ggwave.GGWAVE_OPERATING_MODE_RX;
+  } else {
+    parameters.sampleRateOut = sampleRate;
+    parameters.sampleFormatOut = ggwave.SampleFormat.GGWAVE_SAMPLE_FORMAT_I16;
+    parameters.operatingMode = ggwave.GGWAVE_OPERATING_MODE_TX;
+  }
+  if (payloadLength) parameters.payloadLength = payloadLength;
+  if (dss) parameters.operatingMode |= ggwave.GGWAVE_OPERATING_MODE_USE_DSS;
+  const instance = ggwave.init(parameters);
+  if (instance >= 0) mod.instances++;
+  return instance;
+}
+
+function freeInstance(mod, instance) {
+  mod.ggwave.free(instance);
+  mod.instances--;
+}
+
+// Decoder state that survives across calls: samples are fed in whole ggwave frames, positions are
+// counted from the first sample pushed. push() returns parseDecoded-style entries; markers() the start and
+// end markers seen so far, from ggwave's log.
+function createRxState(mod, instance, sampleRate, { payloadLength } = {}) {
+  const { ggwave } = mod;
+  const samplesPerFrame = ggwave.getDefaultParameters().samplesPerFrame;
+  const markers = { start: 0, end: 0 };
+  const tally = (lines) => {
+    for (const line of lines) {
+      if (line.startsWith('Receiving sound data')) markers.start++;
+      else if (line.startsWith('Received end marker')) markers.end++;
+    }
+  };
+  let log = [];
+  let tallied = 0;
+  let position = 0;
+  let pending = new Float32Array(0);
+  // fixed-length payloads are decoded again on the frames right after the first detection
+  let last = null;
+
+  // `inputLength` caps reported positions when the caller pads the input with silence
+  const push = (samples, inputLength = Infinity) => {
+    let input = samples;
+    if (pending.length) {
+      input = new Float32Array(pending.length + samples.length);
+      input.set(pending);
+      input.set(samples, pending.length);
+    }
+    const found = [];
+    let off = 0;
+    mod.logSink = log;
+    try {
+      for (; off + samplesPerFrame <= input.length; off += samplesPerFrame) {
+        const frame = input.subarray(off, off + samplesPerFrame);
+        const res = ggwave.decode(instance, new Int8Array(frame.buffer, frame.byteOffset, frame.byteLength));
+        position += samplesPerFrame;
+        if (!res.length) continue;
+        // fixed-length payloads are zero-padded
+        const payload = Buffer.from(res).toString('utf8').replace(/\0+$/, '');
+        const detected = log.map(l => /protocol = '([^']*)' \((\d+)\)/.exec(l)).filter(Boolean).pop();
+        tally(log.slice(tallied));
+        log = mod.logSink = [];
+        tallied = 0;
+        if (payloadLength) {
+          const repeat = last?.payload === payload && position - last.position <= 2 * samplesPerFrame;
+          last = { payload, position };
+          if (repeat) continue;
+        }
+        const framesRx = payloadLength && detected
+          ? fixedLengthFrames(Number(detected[2]), payloadLength)
+          : ggwave.rxDurationFrames(instance);
+        const samplesRx = Math.round(framesRx * samplesPerFrame * sampleRate / DEFAULT_SAMPLE_RATE);
+        const sampleEnd = Math.min(position, inputLength);
+        const sampleStart = Math.max(0, sampleEnd - samplesRx);
+        found.push({
+          payload,
+          protocol: detected ? { id: Number(detected[2]), name: detected[1] } : null,
+          sampleStart,
+          sampleEnd,
+          start: sampleStart / sampleRate,
+          end: sampleEnd / sampleRate,
+        });
+      }
+    } finally {
+      mod.logSink = null;
+    }
+    tally(log.slice(tallied));
+    // bound the log between detections; the protocol line comes shortly before the payload completes
+    if (log.length > 64) log.splice(0, log.length - 64);
+    tallied = log.length;
+    pending = input.slice(off);
+    return found;
+  };
+
+  return { push, markers: () => ({ ...markers }) };
+}
+
+// Engine running the Emscripten build in-process. ggwave instances are tied to their sample rates,
+// so idle ones are pooled per configuration and reused across requests.
+export async function createWasmEngine() {
+  const main = await loadModule();
+  const { ggwave } = main;
+
+  // Idle instances of other configurations are freed when the module runs out of instances. Calls run
+  // synchronously and give their instance back before returning, so an init that still fails means ggwave
+  // rejected the settings themselves.
+  const pool = new Map();
+  const acquire = (config) => {
+    const key = JSON.stringify(config);
+    const free = pool.get(key);
+    if (free?.length) return { key, instance: free.pop() };
+    let instance = initInstance(main, config);
+    if (instance < 0) {
+      for (const idle of pool.values()) idle.splice(0).forEach(i => freeInstance(main, i));
+      instance = initInstance(main, config);
+    }
+    if (instance < 0) {
+      const { rx, sampleRate, payloadLength, dss } = config;
+      throw new OptionError(payloadLength ? 'payloadLength' : 'sampleRate',
+        `ggwave cannot ${rx ? 'decode' : 'encode'} at ${sampleRate} Hz${payloadLength ? ` with payloadLength ${payloadLength}` : ''}${dss ? ' and DSS' : ''}`);
+    }
+    return { key, instance };
+  };
+  const release = (key, instance) => {
+    if (!pool.has(key)) pool.set(key, []);
+    pool.get(key).push(instance);
+  };
+
+  const protocolIds = ggwave.ProtocolId.values;
+
+  // Long-lived decoders for streaming connections each hold an instance, so they live in
+  // their own modules rather than competing with the request pool for the instance limit.
+  // wasm memory never shrinks, so a module is dropped once its last decoder closes.
+  const streamModules = [];
+  const streamModule = async () => {
+    let mod = streamModules.find(m => m.instances < MAX_INSTANCES_PER_MODULE);
+    if (!mod) {
+      mod = await loadModule();
+      streamModules.push(mod);
+    }
+    return mod;
+  };
+
+  return {
+    name: 'wasm',
+    canEncode: () => true,
+    canDecode: () => true,
+
+    // runs synchronously, so `signal` only stops a call that has not started yet
+    async encode(message, {
+      volume = DEFAULT_VOLUME, sampleRate = DEFAULT_SAMPLE_RATE, protocol = DEFAULT_PROTOCOL, payloadLength = null, dss = false, signal,
+    } = {}) {
+      signal?.throwIfAborted();
+      const protocolId = protocolIds[Number(protocol)];
+      if (!protocolId) throw Object.assign(new Error('encode failed'), { details: `Invalid transmission protocol id ${protocol}` });
+      const rate = Number(sampleRate);
+      const { key, instance } = acquire({ rx: false, sampleRate: rate, payloadLength, dss });
+      try {
+        const waveform = ggwave.encode(instance, Buffer.from(message, 'utf8'), protocolId, Number(volume));
+        if (!waveform.length) throw Object.assign(new Error('encode failed'), { details: 'Failed to generate waveform' });
+        // the binding returns a view into wasm memory that the next call overwrites
+        const bytes = Uint8Array.from(waveform);
+        return { pcm: new Int16Array(bytes.buffer, 0, bytes.length >> 1), sampleRate: rate };
+      } finally {
+        release(key, instance);
+      }
+    },
+
+    async decode(wavBuffer, { payloadLength = null, dss = false, signal } = {}) {
+      signal?.throwIfAborted();
+      const wav = readWav(wavBuffer);
+      // higher rates overrun the module's buffers; uploads are resampled to 48 kHz before they get here
+      if (wav.sampleRate < 8000 || wav.sampleRate > 96000) throw new WavError(`Cannot decode ${wav.sampleRate} Hz audio (8000-96000 Hz)`);
+      const { key, instance } = acquire({ rx: true, sampleRate: wav.sampleRate, payloadLength, dss });
+
+      // 3 seconds of trailing silence (as ggwave-from-file adds) lets a final transmission finish
+      // and leaves the pooled instance idle for the next request
+      const samples = new Float32Array(wav.samples.length + 3 * wav.sampleRate);
+      samples.set(wav.samples);
+
+      try {
+        const rx = createRxState(main, instance, wav.sampleRate, { payloadLength });
+        const found = rx.push(samples, wav.samples.length);
+        const { start, end } = rx.markers();
+        return { raw: found.map(formatDecoded).join('') + `[+] Markers: start ${start}, end ${end}\n` };
+      } finally {
+        release(key, instance);
+      }
+    },
+
+    // Persistent decoder for a continuous stream of float samples at sampleRate, resampled to 48 kHz on the
+    // way in (ggwave does not recognise 44.1 kHz audio, the usual rate of microphones). push(Float32Array)
+    // returns the entries completed by those samples, positioned in 48 kHz time; close() frees the instance.
+    async createStreamDecoder(sampleRate, { payloadLength = null, dss = false } = {}) {
+      const toRate = sampleRate === DEFAULT_SAMPLE_RATE ? null : createResampler(sampleRate, DEFAULT_SAMPLE_RATE);
+      const mod = await streamModule();
+      const instance = initInstance(mod, { rx: true, sampleRate: DEFAULT_SAMPLE_RATE, payloadLength, dss });
+      if (instance < 0) {
+        if (!mod.instances) streamModules.splice(streamModules.indexOf(mod), 1);
+        throw new Error('Failed to create a ggwave decoder');
+      }
+      const state = createRxState(mod, instance, DEFAULT_SAMPLE_RATE, { payloadLength });
+      let closed = false;
+      return {
+        push: (samples) => (closed ? [] : state.push(toRate ? toRate(samples) : samples)),
+        close() {
+          if (closed) return;
+          closed = true;
+          freeInstance(mod, instance);
+          if (!mod.instances) streamModules.splice(streamModules.indexOf(mod), 1);
+        },
+      };
+    },
+  };
+}
+
+// GGWAVE_ENGINE=wasm|binary|auto (default auto: in-process wasm, binaries when the module cannot be loaded)
+export async function createEngine(preference = process.env.GGWAVE_ENGINE || 'auto') {
+  if (preference !== 'binary') {
+    try {
+      return await createWasmEngine();
+    } catch (e) {
+      if (preference === 'wasm') throw e;
+      log.warn('ggwave wasm engine unavailable, falling back to binaries', { error: e.message });
+    }
+  }
+  return createBinaryEngine();
+}
@@ -0,0 +1,114 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+// Authenticated-encryption envelope for payloads sent over sound.
+// Binary layout: [version:1][keyHint:2][nonce:12][ciphertext:n][tag:16], sent as base64url text
+// because ggwave-to-file / ggwave-cli read the payload as a single text line.
+const VERSION = 1;
+const HINT_LEN = 2;
+const NONCE_LEN = 12;
+const TAG_LEN = 16;
+const HEADER_LEN = 1 + HINT_LEN;
+export const ENVELOPE_OVERHEAD = HEADER_LEN + NONCE_LEN + TAG_LEN;
+
+// ggwave frames carry at most 140 bytes; base64url turns every 3 bytes into 4 chars
+export const MAX_FRAME_LENGTH = 140;
+export const sealedCapacity = (frameLength) => Math.floor(frameLength / 4) * 3 - ENVELOPE_OVERHEAD;
+export const MAX_SEALED_PLAINTEXT = sealedCapacity(MAX_FRAME_LENGTH);
+
+const KDF_SALT = 'vocrypt-envelope-v1';
+const scrypt = promisify(crypto.scrypt);
+// Recently used keys, least recent first; scrypt is slow by design, so it runs on the thread pool and
+// only once per passphrase while it stays in the cache
+const KEY_CACHE_SIZE = 32;
+const keyCache = new Map();
+
+export class EnvelopeError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'EnvelopeError';
+    this.code = code;
+  }
+}
+
+// A 64-char hex string is used as a raw 256-bit shared key, anything else is a passphrase
+async function deriveKey(secret) {
+  const key = /^[0-9a-f]{64}$/i.test(secret)
+    ? Buffer.from(secret, 'hex')
+    : await scrypt(secret, KDF_SALT, 32);
+  const hint = crypto.createHash('sha256').update('hint').update(key).digest().subarray(0, HINT_LEN);
+  return { key, hint };
+}
+
+function cachedKey(secret) {
+  let entry = keyCache.get(secret);
+  if (entry) {
+    keyCache.delete(secret);
+  } else {
+    entry = deriveKey(secret);
+    entry.catch(() => keyCache.get(secret) === entry && keyCache.delete(secret));
+  }
+  keyCache.set(secret, entry);
+  if (keyCache.size > KEY_CACHE_SIZE) keyCache.delete(keyCache.keys().next().value);
+  return entry;
+}
+
+// Resolves a `key` field to the derived key for sealMessage/openMessage, or null when none was given
+export async function normalizeKey(value) {
+  if (typeof value !== 'string') return null;
+  const secret = value.trim();
+  return secret ? cachedKey(secret) : null;
+}
+
+export function sealMessage(text, { key, hint }) {
+  const header = Buffer.concat([Buffer.from([VERSION]), hint]);
+  const nonce = crypto.randomBytes(NONCE_LEN);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, nonce, { authTagLength: TAG_LEN });
+  cipher.setAAD(header);
+  const body = Buffer.concat([cipher.update(Buffer.from(text, 'utf8')), cipher.final()]);
+  return Buffer.concat([header, nonce, body, cipher.getAuthTag()]).toString('base64url');
+}
+
+export function openMessage(frame, { key, hint }) {
+  if (!/^[A-Za-z0-9_-]+$/.test(frame)) {
+    throw new EnvelopeError('NOT_ENCRYPTED', 'Decoded frame is not an encrypted envelope');
+  }
+  const buf = Buffer.from(frame, 'base64url');
+  if (buf.length < ENVELOPE_OVERHEAD || buf[0] !== VERSION) {
+    throw new EnvelopeError('NOT_ENCRYPTED', 'Decoded frame is not an encrypted envelope');
+  }
+  const header = buf.subarray(0, HEADER_LEN);
+  if (!header.subarray(1).equals(hint)) {
+    throw new EnvelopeError('WRONG_KEY', 'Frame was encrypted with a different key');
+  }
+  const nonce = buf.subarray(HEADER_LEN, HEADER_LEN + NONCE_LEN);
+  const body = buf.subarray(HEADER_LEN + NONCE_LEN, buf.length - TAG_LEN);
+  const tag = buf.subarray(buf.length - TAG_LEN);
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, nonce, { authTagLength: TAG_LEN });
+    decipher.setAAD(header);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(body), decipher.final()]).toString('utf8');
+  } catch {
+    throw new EnvelopeError('TAMPERED', 'Frame failed authentication (corrupted or tampered)');
+  }
+}
+
+// Split text into pieces whose UTF-8 encoding fits maxBytes, never cutting a code point
+export function splitByBytes(text, maxBytes) {
+  const pieces = [];
+  let current = '';
+  let size = 0;
+  for (const ch of text) {
+    const n = Buffer.byteLength(ch, 'utf8');
+    if (size + n > maxBytes && current) {
+      pieces.push(current);
+      current = '';
+      size = 0;
+    }
+    current += ch;
+    size += n;
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
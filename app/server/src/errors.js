@@ -0,0 +1,38 @@
+// Error codes of the REST API and their HTTP status. Every error response is JSON { error, code, ...details }
+// where `error` is for people and `code` for programs; codes are stable, messages are not.
+export const ERROR_STATUS = {
+  INVALID_REQUEST: 400,
+  INVALID_JSON: 400,
+  INVALID_AUDIO: 400,
+  MESSAGE_TOO_LONG: 400,
+  UNAUTHORIZED: 401,
+  NOT_FOUND: 404,
+  PAYLOAD_TOO_LARGE: 413,
+  AUDIO_TOO_LONG: 413,
+  UNSUPPORTED_FORMAT: 415,
+  NO_SIGNAL: 422,
+  LOSSY_FORMAT_FAILED: 422,
+  // decryption failures (see envelope.js)
+  NOT_ENCRYPTED: 422,
+  WRONG_KEY: 422,
+  TAMPERED: 422,
+  QUOTA_EXCEEDED: 429,
+  CLIENT_LIMIT: 429,
+  ENCODE_FAILED: 500,
+  DECODE_FAILED: 500,
+  FFMPEG_FAILED: 500,
+  SIMULATION_FAILED: 500,
+  INTERNAL_ERROR: 500,
+  BINARY_MISSING: 503,
+  FFMPEG_UNAVAILABLE: 503,
+  QUEUE_FULL: 503,
+  NOT_READY: 503,
+  JOB_TIMEOUT: 504,
+};
+
+export const ERROR_CODES = Object.keys(ERROR_STATUS);
+
+export function sendError(res, code, message, details = {}) {
+  if (details.retryAfter) res.setHeader('Retry-After', String(details.retryAfter));
+  res.status(ERROR_STATUS[code] ?? 500).json({ error: message, code, ...details });
+}
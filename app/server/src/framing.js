@@ -0,0 +1,105 @@
+import crypto from 'crypto';
+import { splitByBytes } from './envelope.js';
+
+// Long messages are sent as a sequence of ggwave frames, each carrying a fixed-width text header:
+//   ~ <id:4> <index:2> <total:2> <crc:4> <payload>
+// id/index/total are base36, crc is CRC-16/CCITT (hex) over id+index+total+payload.
+// Frames without a valid header are treated as standalone (unframed) messages.
+export const FRAME_MARKER = '~';
+export const FRAME_HEADER_LENGTH = 13;
+export const MAX_FRAMES = 36 * 36 - 1;
+const FRAME_RE = /^~([0-9A-Z]{4})([0-9A-Z]{2})([0-9A-Z]{2})([0-9a-f]{4})([\s\S]*)$/;
+
+function crc16(text) {
+  let crc = 0xffff;
+  for (const byte of Buffer.from(text, 'utf8')) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xffff : (crc << 1) & 0xffff;
+    }
+  }
+  return crc;
+}
+
+const base36 = (n, width) => n.toString(36).toUpperCase().padStart(width, '0');
+
+export function newMessageId() {
+  return base36(crypto.randomInt(36 ** 4), 4);
+}
+
+// Split text into frames that each fit in maxFrameLength bytes
+export function frameMessage(text, maxFrameLength = 140, id = newMessageId()) {
+  const pieces = splitByBytes(text, maxFrameLength - FRAME_HEADER_LENGTH);
+  if (pieces.length > MAX_FRAMES) {
+    throw new Error(`Message needs ${pieces.length} frames, maximum is ${MAX_FRAMES}`);
+  }
+  return pieces.map((payload, i) => {
+    const fields = `${id}${base36(i, 2)}${base36(pieces.length, 2)}`;
+    const crc = crc16(fields + payload).toString(16).padStart(4, '0');
+    return `${FRAME_MARKER}${fields}${crc}${payload}`;
+  });
+}
+
+// Returns null for text that is not a frame, otherwise the parsed frame with a `valid` checksum flag
+export function parseFrame(text) {
+  const m = FRAME_RE.exec(text);
+  if (!m) return null;
+  const [, id, idx, tot, crc, payload] = m;
+  const index = parseInt(idx, 36);
+  const total = parseInt(tot, 36);
+  if (total === 0 || index >= total) return null;
+  const valid = crc16(id + idx + tot + payload) === parseInt(crc, 16);
+  return { id, index, total, payload, valid };
+}
+
+// Collects frames (possibly out of order, across several decode calls) into whole messages.
+// push() returns { complete: true, message, id?, total? } once every frame of a message is in,
+// otherwise { complete: false, id, total, received, missing } (or { corrupt: true } on a bad checksum).
+// Frames of a message completed within ttlMs are reported as { duplicate: true } instead of restarting it.
+export function createReassembler({ ttlMs = 5 * 60 * 1000 } = {}) {
+  const pending = new Map();
+  const completed = new Map();
+
+  const prune = (now) => {
+    for (const [id, entry] of pending) {
+      if (now - entry.updated > ttlMs) pending.delete(id);
+    }
+    for (const [id, at] of completed) {
+      if (now - at > ttlMs) completed.delete(id);
+    }
+  };
+
+  const progress = (id, entry) => {
+    const received = [];
+    const missing = [];
+    for (let i = 0; i < entry.total; i++) (entry.parts[i] !== undefined ? received : missing).push(i);
+    return { complete: false, id, total: entry.total, received, missing };
+  };
+
+  const push = (text) => {
+    const frame = parseFrame(text);
+    if (!frame) return { complete: true, message: text };
+    if (!frame.valid) return { complete: false, corrupt: true, id: frame.id, index: frame.index, total: frame.total };
+
+    const now = Date.now();
+    prune(now);
+    if (completed.has(frame.id)) return { complete: false, duplicate: true, id: frame.id, index: frame.index, total: frame.total };
+    let entry = pending.get(frame.id);
+    if (!entry || entry.total !== frame.total) {
+      entry = { total: frame.total, parts: new Array(frame.total), updated: now };
+      pending.set(frame.id, entry);
+    }
+    entry.parts[frame.index] = frame.payload;
+    entry.updated = now;
+
+    const state = progress(frame.id, entry);
+    if (state.missing.length) return state;
+    pending.delete(frame.id);
+    completed.set(frame.id, now);
+    return { complete: true, id: frame.id, total: frame.total, message: entry.parts.join('') };
+  };
+
+  const incomplete = () => [...pending].map(([id, entry]) => progress(id, entry));
+
+  return { push, incomplete };
+}
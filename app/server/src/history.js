@@ -0,0 +1,202 @@
+import fs from 'fs';
+import path from 'path';
+import { OptionError } from './protocols.js';
+
+// Conversation history: sessions and the messages sent/received in them, kept in memory and persisted as
+// an append-only JSON-lines log. The log is replayed and compacted when the store is opened.
+//   { op: 'session', session }            create or update a session
+//   { op: 'messages', sessionId, messages } append messages
+//   { op: 'delete', sessionId }            remove a session and its messages
+
+const ID_RE = /^[\w-]{1,64}$/;
+const DIRECTIONS = ['sent', 'received'];
+const MAX_TEXT_LENGTH = 10000;
+const MAX_MESSAGES_PER_REQUEST = 500;
+
+const optionalNumber = (source, field) => {
+  const value = source[field];
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'number' || !Number.isFinite(value)) throw new OptionError(field, `${field} must be a number`);
+  return value;
+};
+
+// Milliseconds since the epoch, within the range Date can represent
+const MAX_TIME = 8.64e15;
+const optionalTime = (source, field) => {
+  const value = optionalNumber(source, field);
+  if (value !== null && Math.abs(value) > MAX_TIME) throw new OptionError(field, `${field} must be a time in milliseconds since 1970`);
+  return value;
+};
+
+const optionalString = (source, field, max = 200) => {
+  const value = source[field];
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string' || value.length > max) {
+    throw new OptionError(field, `${field} must be a string of at most ${max} characters`);
+  }
+  return value;
+};
+
+export function parseId(id, field = 'id') {
+  if (typeof id !== 'string' || !ID_RE.test(id)) throw new OptionError(field, `${field} must be 1-64 letters, digits, _ or -`);
+  return id;
+}
+
+// Body of POST /history/sessions: { id, title?, mode?, createdAt? }
+export function parseSession(source = {}) {
+  return {
+    id: parseId(source.id),
+    title: optionalString(source, 'title'),
+    mode: optionalString(source, 'mode', 20),
+    createdAt: optionalTime(source, 'createdAt') ?? Date.now(),
+  };
+}
+
+// Body of POST /history/sessions/:id/messages: { messages: [{ id, direction, text, ... }] }
+export function parseMessages(source = {}) {
+  const list = source.messages;
+  if (!Array.isArray(list) || list.length === 0 || list.length > MAX_MESSAGES_PER_REQUEST) {
+    throw new OptionError('messages', `messages must be an array of 1-${MAX_MESSAGES_PER_REQUEST} entries`);
+  }
+  return list.map((m) => {
+    if (!m || typeof m !== 'object') throw new OptionError('messages', 'messages must be objects');
+    if (!DIRECTIONS.includes(m.direction)) throw new OptionError('direction', `direction must be one of ${DIRECTIONS.join(', ')}`);
+    if (typeof m.text !== 'string' || m.text.length > MAX_TEXT_LENGTH) {
+      throw new OptionError('text', `text must be a string of at most ${MAX_TEXT_LENGTH} characters`);
+    }
+    return {
+      id: parseId(m.id),
+      direction: m.direction,
+      text: m.text,
+      encrypted: m.encrypted === true,
+      protocol: optionalString(m, 'protocol', 40),
+      // position in the decoded audio, in seconds
+      at: optionalNumber(m, 'at'),
+      timestamp: optionalTime(m, 'timestamp') ?? Date.now(),
+      // time from the user's action until the message was encoded or decoded
+      latencyMs: optionalNumber(m, 'latencyMs'),
+      // room member who sent or decoded it; null for this client
+      from: optionalString(m, 'from', 40),
+    };
+  });
+}
+
+// Every search term must appear in the text (case-insensitive)
+const matcher = (query) => {
+  const terms = String(query ?? '').toLowerCase().split(/\s+/).filter(Boolean);
+  return (text) => terms.every((t) => text.toLowerCase().includes(t));
+};
+
+export function openHistoryStore(file) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const sessions = new Map();
+
+  const apply = (record) => {
+    if (record.op === 'session') {
+      const entry = sessions.get(record.session.id);
+      // updates only replace the fields they set
+      const fields = Object.fromEntries(Object.entries(record.session).filter(([k, v]) => v !== null && k !== 'createdAt'));
+      if (entry) Object.assign(entry.session, fields);
+      else sessions.set(record.session.id, { session: { ...record.session }, messages: [] });
+    } else if (record.op === 'messages') {
+      const entry = sessions.get(record.sessionId);
+      if (!entry) return;
+      const known = new Set(entry.messages.map((m) => m.id));
+      for (const m of record.messages) if (!known.has(m.id)) entry.messages.push(m);
+      // a loop rather than Math.max(...), which runs out of stack on large sessions
+      entry.session.updatedAt = record.messages.reduce((latest, m) => Math.max(latest, m.timestamp), entry.session.updatedAt ?? 0);
+    } else if (record.op === 'delete') {
+      sessions.delete(record.sessionId);
+    }
+  };
+
+  if (fs.existsSync(file)) {
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      // a line cut short by a crash is skipped rather than losing the whole log
+      try { apply(JSON.parse(line)); } catch {}
+    }
+  }
+  // rewrite the log with only the live records
+  const compacted = [...sessions.values()].flatMap(({ session, messages }) => [
+    { op: 'session', session },
+    ...(messages.length ? [{ op: 'messages', sessionId: session.id, messages }] : []),
+  ]);
+  fs.writeFileSync(`${file}.tmp`, compacted.map((r) => JSON.stringify(r) + '\n').join(''));
+  fs.renameSync(`${file}.tmp`, file);
+
+  const write = (record) => {
+    apply(record);
+    fs.appendFileSync(file, JSON.stringify(record) + '\n');
+  };
+
+  const summary = ({ session, messages }) => ({
+    ...session,
+    updatedAt: session.updatedAt ?? session.createdAt,
+    messageCount: messages.length,
+  });
+
+  return {
+    saveSession(session) {
+      write({ op: 'session', session });
+      return summary(sessions.get(session.id));
+    },
+
+    // Messages already stored under the same id are ignored, so clients can safely retry
+    addMessages(sessionId, messages) {
+      if (!sessions.has(sessionId)) return null;
+      write({ op: 'messages', sessionId, messages });
+      return summary(sessions.get(sessionId));
+    },
+
+    getSession(sessionId) {
+      const entry = sessions.get(sessionId);
+      return entry ? { ...summary(entry), messages: entry.messages } : null;
+    },
+
+    deleteSession(sessionId) {
+      if (!sessions.has(sessionId)) return false;
+      write({ op: 'delete', sessionId });
+      return true;
+    },
+
+    // Newest first; with a query, only sessions with a matching title or message
+    listSessions(query) {
+      const matches = matcher(query);
+      return [...sessions.values()]
+        .filter((e) => !query || matches(e.session.title ?? '') || e.messages.some((m) => matches(m.text)))
+        .map(summary)
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+    },
+
+    // Matching messages across all sessions, newest first
+    search(query, limit = 200) {
+      if (!String(query ?? '').trim()) return [];
+      const matches = matcher(query);
+      const results = [];
+      for (const { session, messages } of sessions.values()) {
+        for (const m of messages) {
+          if (matches(m.text)) results.push({ sessionId: session.id, sessionTitle: session.title, ...m });
+        }
+      }
+      return results.sort((a, b) => b.timestamp - a.timestamp).slice(0, limit);
+    },
+  };
+}
+
+const CSV_COLUMNS = ['timestamp', 'direction', 'from', 'text', 'encrypted', 'protocol', 'at', 'latencyMs'];
+const csvCell = (value) => {
+  let s = value === null || value === undefined ? '' : String(value);
+  // text a spreadsheet would run as a formula is quoted with a leading '
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// One row per message, timestamps as ISO 8601 (empty for ones stored before they were checked)
+export function toCsv(messages) {
+  const time = (t) => (Number.isFinite(t) && Math.abs(t) <= MAX_TIME ? new Date(t).toISOString() : null);
+  const rows = messages.map((m) =>
+    CSV_COLUMNS.map((c) => csvCell(c === 'timestamp' ? time(m.timestamp) : m[c])).join(',')
+  );
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
@@ -1,309 +1,1009 @@
 import express from 'express';
 import cors from 'cors';
 import multer from 'multer';
-import { execFile, spawn } from 'child_process';
+import proxyaddr from 'proxy-addr';
+import { spawn } from 'child_process';
+import { randomUUID } from 'crypto';
 import { fileURLToPath } from 'url';
 import path from 'path';
 import fs from 'fs';
-import os from 'os';
+import http from 'http';
 import { WebSocketServer } from 'ws';
+import { EnvelopeError, normalizeKey, openMessage, sealMessage, sealedCapacity } from './envelope.js';
+import { FRAME_HEADER_LENGTH, createReassembler, frameMessage } from './framing.js';
+import { MAX_FIXED_LENGTH, MAX_VARIABLE_LENGTH, OptionError, PROTOCOLS, maxFrameLength, parseCliOptions, parseRxOptions, parseTxOptions, protocolById } from './protocols.js';
+import { CLI_BIN, DEFAULT_SAMPLE_RATE, FROM_FILE, TO_FILE, cliArgs, createEngine, ensureBinaryExists, parseDecoded, parseDevices } from './engine.js';
+import { WavError, concatPcm } from './wav.js';
+import { diagnose } from './diagnostics.js';
+import { parseChannel, parseProtocols, simulate } from './channel.js';
+import { AudioFormatError, OUTPUT_FORMATS, ffmpegToWav, normalizeAudio, parseOutputFormat, renderAudio } from './audio.js';
+import { BusyError, JobTimeoutError, jobs } from './scheduler.js';
+import { AuthError, createAuth, safeEqual } from './auth.js';
+import { sendError } from './errors.js';
+import { openapi, validate, validateRequest } from './openapi.js';
+import { openHistoryStore, parseMessages, parseSession, toCsv } from './history.js';
+import { createResponder, listModels, parseResponderConfig } from './responder.js';
+import { RoomFullError, createRooms, parseMember, parseRoomMessage } from './rooms.js';
+import { log } from './log.js';
+import { registry, secondsSince, trackProcess } from './metrics.js';
+import { createReadiness } from './readiness.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const app = express();
-if (process.env.NODE_ENV !== 'production') {
-  app.use(cors());
+
+// TRUST_PROXY is Express's `trust proxy` setting: `true`, a number of hops, or addresses and subnets such as
+// `loopback` or `10.0.0.0/8`. Behind a reverse proxy (Render, nginx) it makes req.ip the client from
+// X-Forwarded-For, which quotas and the job scheduler tell anonymous clients apart by.
+const TRUST_PROXY = process.env.TRUST_PROXY?.trim();
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^(true|false)$/.test(TRUST_PROXY) ? TRUST_PROXY === 'true'
+    : /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
 }
-app.use(express.json());
 
-const upload = multer({ storage: multer.memoryStorage() });
-
-// Paths to ggwave binaries. Prefer env GGWAVE_BIN_DIR, else try a few common locations.
-const BIN_DIR = process.env.GGWAVE_BIN_DIR
-  ? path.resolve(process.env.GGWAVE_BIN_DIR)
-  : [
-      '/usr/local/bin',
-      '/opt/ggwave/bin',
-      path.resolve(__dirname, '../../..', 'ggwave', 'build-macos', 'bin'),
-    ].find(p => {
-      try { fs.accessSync(p); return true; } catch { return false; }
-    }) || '/usr/local/bin';
-const TO_FILE = path.join(BIN_DIR, 'ggwave-to-file');
-const FROM_FILE = path.join(BIN_DIR, 'ggwave-from-file');
-const CLI_BIN = path.join(BIN_DIR, 'ggwave-cli');
-
-function ensureBinaryExists(filePath) {
+// Each request is known by the caller's X-Request-Id when it sends a usable one, or a new UUID otherwise. The id
+// is echoed in the X-Request-Id response header and tagged on the request's log line.
+const REQUEST_ID = /^[\w.:-]{1,64}$/;
+const requestId = (req) => (REQUEST_ID.test(req.headers['x-request-id'] ?? '') ? req.headers['x-request-id'] : randomUUID());
+
+const httpRequests = registry.counter('ggwave_http_requests_total', 'HTTP requests, by method, route and status', ['method', 'route', 'status']);
+const httpSeconds = registry.histogram('ggwave_http_request_duration_seconds', 'Time to answer HTTP requests, by method and route',
+  ['method', 'route'], [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]);
+// scrapes and health checks would drown out everything else at info
+const QUIET_ROUTES = new Set(['/metrics', '/health', '/ready']);
+
+app.use((req, res, next) => {
+  req.id = requestId(req);
+  res.setHeader('X-Request-Id', req.id);
+  const began = process.hrtime.bigint();
+  res.on('finish', () => {
+    // route templates keep the label set small; requests answered before routing (guard refusals, bad bodies,
+    // static files) are labelled by where they stopped
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : req.baseUrl || 'other';
+    const seconds = secondsSince(began);
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpSeconds.observe({ method: req.method, route }, seconds);
+    log[QUIET_ROUTES.has(route) ? 'debug' : 'info']('request', {
+      reqId: req.id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route,
+      status: res.statusCode,
+      ms: Math.round(seconds * 1000),
+      client: req.apiClient?.name || undefined,
+    });
+  });
+  next();
+});
+
+// CORS_ORIGINS (comma-separated) restricts cross-origin access to those origins; without it CORS is open
+// outside production and off in production
+const corsOrigins = (process.env.CORS_ORIGINS ?? '').split(',').map((o) => o.trim()).filter(Boolean);
+const exposedHeaders = ['Retry-After', 'X-Request-Id', 'X-Duration-Seconds', 'X-Sample-Rate', 'X-Sample-Format', 'X-Channels'];
+if (corsOrigins.length) {
+  app.use(cors({ origin: corsOrigins, exposedHeaders }));
+} else if (process.env.NODE_ENV !== 'production') {
+  app.use(cors({ exposedHeaders }));
+}
+
+// Optional API keys and per-client quotas (see auth.js)
+const auth = createAuth(process.env.API_KEYS_FILE || path.resolve(__dirname, '../data/api-keys.json'));
+
+// Identifies the client of an API request (req.apiClient) and counts it against its quota, before the body
+// is read
+function guard(req, res, next) {
+  if (req.method === 'OPTIONS') return next();
   try {
-    fs.accessSync(filePath, fs.constants.X_OK);
-    return true;
-  } catch {
-    return false;
+    req.apiClient = auth.identify(req);
+    auth.admit(req.apiClient, Number(req.headers['content-length']) || 0);
+  } catch (e) {
+    if (!(e instanceof AuthError)) return next(e);
+    return sendError(res, e.code, e.message, e.retryAfter ? { retryAfter: e.retryAfter } : {});
   }
+  res.on('finish', () => auth.count(req.apiClient, Number(res.getHeader('content-length')) || 0));
+  next();
 }
+app.use(['/encode', '/encode-long', '/decode', '/decode-webm', '/simulate', '/history', '/responder', '/usage'], guard);
+app.use(express.json());
 
-app.get('/health', (_req, res) => {
-  res.json({ ok: true, toFile: ensureBinaryExists(TO_FILE), fromFile: ensureBinaryExists(FROM_FILE), cli: ensureBinaryExists(CLI_BIN) });
-});
+// Uploads are held in memory, so their size is capped (MAX_UPLOAD_BYTES, default 25 MB), as is the length
+// of the audio they contain (MAX_AUDIO_SECONDS, default 300), which is enforced while the upload is decoded
+const MAX_UPLOAD_BYTES = Number.parseInt(process.env.MAX_UPLOAD_BYTES ?? '', 10) || 25 * 1024 * 1024;
+const MAX_AUDIO_SECONDS = Number(process.env.MAX_AUDIO_SECONDS) || 300;
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 } });
 
-// Optionally serve the built client in production when SERVE_CLIENT=true
-if (process.env.SERVE_CLIENT === 'true') {
-  const clientBuild = path.resolve(__dirname, '../../client', 'dist');
-  if (fs.existsSync(clientBuild)) {
-    app.use(express.static(clientBuild));
-    app.get('*', (_req, res) => {
-      res.sendFile(path.join(clientBuild, 'index.html'));
-    });
+// An upload normalizeAudio() or ffmpegToWav() could not read, or 413 when it is longer than MAX_AUDIO_SECONDS
+function sendAudioError(res, e) {
+  if (e.code === 'AUDIO_TOO_LONG') return sendError(res, e.code, e.message, { limit: MAX_AUDIO_SECONDS });
+  sendError(res, e.code, e.message, { format: e.format, details: e.details });
+}
+
+// In-process wasm engine when available, ggwave-to-file/ggwave-from-file otherwise (see GGWAVE_ENGINE)
+const engine = await createEngine();
+
+// Validated modulation options, or a 400 INVALID_REQUEST naming the offending field
+function withOptions(parse, source, res) {
+  try {
+    return parse(source ?? {});
+  } catch (e) {
+    if (!(e instanceof OptionError)) throw e;
+    sendError(res, 'INVALID_REQUEST', e.message, { field: e.field });
+    return null;
   }
 }
 
-// Encode a text into WAV. Body: { message, volume?, sampleRate?, protocol? }
-app.post('/encode', async (req, res) => {
-  const message = `${req.body?.message ?? ''}`;
-  if (!message) return res.status(400).json({ error: 'message is required' });
+// Encoding, decoding and ffmpeg work runs on the shared scheduler, on behalf of the requesting client
+const job = (req, fn) => jobs.run(fn, { client: req.apiClient?.id ?? req.ip });
+registry.gauge('ggwave_jobs_queued', 'Jobs waiting for a scheduler slot', () => jobs.stats().queued);
+registry.gauge('ggwave_jobs_running', 'Jobs holding a scheduler slot', () => jobs.stats().running);
 
-  if (!ensureBinaryExists(TO_FILE)) {
-    return res.status(500).json({ error: 'ggwave-to-file binary not found. Build it first.' });
+// 503 (server saturated) or 429 (client has too many jobs) with Retry-After, 504 when a job timed out.
+// Returns false for any other error.
+function sendJobError(res, e) {
+  if (e instanceof BusyError) {
+    sendError(res, e.code, e.message, { retryAfter: e.retryAfter });
+    return true;
+  }
+  if (e instanceof JobTimeoutError) {
+    sendError(res, e.code, e.message);
+    return true;
   }
+  return false;
+}
+
+// Map over items with at most `limit` calls in flight, keeping the order of results
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const i = nextIndex++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
 
-  // If message is longer than 140 characters, split it into chunks
-  const MAX_CHUNK_SIZE = 140;
-  if (message.length > MAX_CHUNK_SIZE) {
-    return res.status(400).json({ 
-      error: `Message too long (${message.length} chars). Maximum supported length is ${MAX_CHUNK_SIZE} characters.`,
-      maxLength: MAX_CHUNK_SIZE,
-      currentLength: message.length
+// Encoded audio in the format chosen by parseOutputFormat(). Lossy formats are decoded again first and
+// rejected with 422 when any of the transmitted frames no longer decodes.
+async function sendAudio(req, res, { pcm, sampleRate }, { format, audioFormat }, { options, frames }) {
+  const spec = OUTPUT_FORMATS[audioFormat];
+  let body;
+  try {
+    body = await job(req, (signal) => renderAudio(pcm, sampleRate, audioFormat, { signal }));
+  } catch (e) {
+    if (sendJobError(res, e)) return;
+    if (e instanceof AudioFormatError) return sendError(res, e.code, e.message, { format: e.format });
+    return sendError(res, 'FFMPEG_FAILED', `${audioFormat} encoding failed`, { details: e.stderr ?? e.message });
+  }
+  if (spec.lossy) {
+    let decoded;
+    try {
+      const { raw } = await job(req, async (signal) =>
+        engine.decode((await normalizeAudio(body, { signal })).wav, { ...options, signal }));
+      decoded = new Set(parseDecoded(raw).map((d) => d.payload));
+    } catch (e) {
+      if (sendJobError(res, e)) return;
+      decoded = new Set();
+    }
+    const lost = frames.filter((f) => !decoded.has(f)).length;
+    if (lost) {
+      return sendError(res, 'LOSSY_FORMAT_FAILED',
+        `${lost} of ${frames.length} frames no longer decode after ${audioFormat} compression; use wav or flac`,
+        { format: audioFormat });
+    }
+  }
+  const protocol = protocolById(options.protocol);
+  const meta = {
+    sampleRate: spec.lossy ? 48000 : sampleRate,
+    durationSeconds: pcm.length / sampleRate,
+  };
+  if (format === 'json') {
+    return res.json({
+      audio: body.toString('base64'),
+      format: audioFormat,
+      mimeType: spec.type,
+      ...meta,
+      channels: 1,
+      ...(audioFormat.startsWith('pcm-') ? { sampleFormat: audioFormat === 'pcm-f32' ? 'f32le' : 's16le' } : {}),
+      protocol: { id: protocol.id, name: protocol.name },
+      payloadLength: options.payloadLength,
+      dss: options.dss,
+      volume: options.volume,
+      frames: frames.length,
     });
   }
+  res.setHeader('Content-Type', spec.type);
+  res.setHeader('Content-Disposition', `inline; filename="message.${spec.ext}"`);
+  res.setHeader('X-Duration-Seconds', meta.durationSeconds.toFixed(3));
+  res.setHeader('X-Sample-Rate', meta.sampleRate);
+  if (audioFormat.startsWith('pcm-')) {
+    res.setHeader('X-Sample-Format', audioFormat === 'pcm-f32' ? 'f32le' : 's16le');
+    res.setHeader('X-Channels', 1);
+  }
+  res.send(body);
+}
 
-  // Create temp wav path
-  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ggwave-'));
-  const wavPath = path.join(tmpDir, 'out.wav');
+// Reassembly state for mic listeners, keyed by the client's `session` form field
+const LISTEN_SESSION_TTL_MS = 10 * 60 * 1000;
+const listenSessions = new Map();
+function sessionAssembler(id) {
+  const now = Date.now();
+  for (const [key, entry] of listenSessions) {
+    if (now - entry.used > LISTEN_SESSION_TTL_MS) listenSessions.delete(key);
+  }
+  let entry = listenSessions.get(id);
+  if (!entry) {
+    entry = { assembler: createReassembler() };
+    listenSessions.set(id, entry);
+  }
+  entry.used = now;
+  return entry.assembler;
+}
 
-  const args = [`-f${wavPath}`];
-  if (req.body?.volume) args.push(`-v${req.body.volume}`);
-  if (req.body?.sampleRate) args.push(`-s${req.body.sampleRate}`);
-  if (req.body?.protocol) args.push(`-p${req.body.protocol}`);
+// Feed decoded payloads to an assembler. Each completed message spans the frames it was built from
+// (only those seen in this call); frames of unfinished messages are reported in `incomplete`, and the ids of
+// messages completed earlier whose frames arrived again (retransmissions) in `duplicates`.
+function reassemble(decoded, assembler) {
+  const messages = [];
+  const framesById = new Map();
+  const duplicates = new Set();
+  for (const entry of decoded) {
+    const result = assembler.push(entry.payload);
+    if (result.duplicate) duplicates.add(result.id);
+    if (result.id) framesById.set(result.id, [...(framesById.get(result.id) ?? []), entry]);
+    if (!result.complete) continue;
+    const parts = result.id ? framesById.get(result.id) : [entry];
+    const first = parts[0];
+    const last = parts[parts.length - 1];
+    messages.push({
+      message: result.message,
+      ...(result.id ? { id: result.id } : {}),
+      protocol: first.protocol,
+      sampleStart: first.sampleStart,
+      sampleEnd: last.sampleEnd,
+      start: first.start,
+      end: last.end,
+      chunks: result.total ?? 1,
+    });
+  }
+  return { messages, incomplete: assembler.incomplete(), duplicates: [...duplicates] };
+}
 
-  const child = spawn(TO_FILE, args, { stdio: ['pipe', 'pipe', 'pipe'] });
-  let stderr = '';
-  let responded = false;
-  const safe = (fn) => { if (!responded) { responded = true; fn(); } };
-  child.stderr.on('data', d => { stderr += d.toString(); });
-  child.on('error', err => {
-    safe(() => res.status(500).json({ error: err.message }));
-    try { child.kill('SIGKILL'); } catch {}
-  });
-  child.on('close', code => {
-    if (responded) return;
-    if (code !== 0) {
-      return safe(() => res.status(500).json({ error: 'encode failed', details: stderr }));
-    }
+// Decrypt each message when the caller supplied a key; failures are kept per message with error/code
+function openMessages(messages, key) {
+  if (!key) return messages;
+  return messages.map(m => {
     try {
-      const data = fs.readFileSync(wavPath);
-      res.setHeader('Content-Type', 'audio/wav');
-      res.setHeader('Content-Disposition', 'inline; filename="message.wav"');
-      safe(() => res.send(data));
+      return { ...m, message: openMessage(m.message, key), encrypted: true };
     } catch (e) {
-      safe(() => res.status(500).json({ error: 'read wav failed', details: e.message }));
-    } finally {
-      try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch {}
+      if (!(e instanceof EnvelopeError)) throw e;
+      return { ...m, message: '', error: e.message, code: e.code };
     }
   });
-  child.stdin.end(message);
+}
+
+// Outcomes of /decode and /decode-webm: decoded (a transmission was heard), empty (none was) or failed (the
+// engine could not process the audio)
+const decodes = registry.counter('ggwave_decodes_total', 'Decode requests, by route and outcome (decoded, empty or failed)', ['route', 'outcome']);
+const decodeTally = { decoded: 0, all: 0 };
+registry.gauge('ggwave_decode_success_ratio', 'Share of decode requests since startup that decoded a transmission',
+  () => (decodeTally.all ? decodeTally.decoded / decodeTally.all : Number.NaN));
+function countDecode(route, outcome) {
+  decodes.inc({ route, outcome });
+  decodeTally.all++;
+  if (outcome === 'decoded') decodeTally.decoded++;
+}
+
+// Shared response for /decode and /decode-webm. `message` keeps the first decoded text for older clients;
+// responds 422 when a key was given and nothing could be decrypted, and (with `requireSignal`) when the audio
+// held no transmission at all. `diagnostics` (see diagnostics.js) is included in every response. `route` labels
+// the outcome in the metrics.
+function sendDecoded(res, stdout, assembler, key, { route, requireSignal = false, diagnostics = null } = {}) {
+  const decoded = parseDecoded(stdout);
+  countDecode(route, decoded.length ? 'decoded' : 'empty');
+  if (requireSignal && !decoded.length) {
+    return sendError(res, 'NO_SIGNAL', 'No ggwave transmission found in the audio', { diagnostics, raw: stdout });
+  }
+  const { messages: found, incomplete, duplicates } = reassemble(decoded, assembler);
+  const messages = openMessages(found, key);
+  const opened = messages.find(m => !m.error);
+  if (!opened && messages.length) {
+    const { error, code } = messages[0];
+    return sendError(res, code, error, { messages, incomplete, duplicates, diagnostics, raw: stdout });
+  }
+  res.json({
+    message: opened?.message ?? '',
+    ...(opened?.encrypted ? { encrypted: true } : {}),
+    messages,
+    incomplete,
+    duplicates,
+    diagnostics,
+    raw: stdout,
+  });
+}
+
+// This API as an OpenAPI 3.1 document (see openapi.js)
+app.get('/openapi.json', (_req, res) => {
+  res.json(openapi);
+});
+
+// Every protocol the engines can transmit, for protocol pickers
+app.get('/protocols', (_req, res) => {
+  res.json({
+    protocols: PROTOCOLS,
+    defaults: { protocol: 1, volume: 50, sampleRate: 48000, payloadLength: null, dss: false },
+    limits: { maxVariableLength: MAX_VARIABLE_LENGTH, maxFixedLength: MAX_FIXED_LENGTH },
+  });
+});
+
+// Liveness: answers while the process runs, from cheap checks only. /ready tests whether the server can work.
+app.get('/health', (_req, res) => {
+  res.json({ ok: true, engine: engine.name, streaming: !!engine.createStreamDecoder, toFile: ensureBinaryExists(TO_FILE), fromFile: ensureBinaryExists(FROM_FILE), cli: ensureBinaryExists(CLI_BIN), auth: auth.enabled(), jobs: { ...jobs.stats(), cliSessions, cliSessionLimit: CLI_SESSION_LIMIT, streamSessions, streamSessionLimit: STREAM_SESSION_LIMIT }, rooms: rooms.stats() });
 });
 
-// Encode a long text into WAV by splitting into chunks. Body: { message, volume?, sampleRate?, protocol? }
-app.post('/encode-long', async (req, res) => {
-  const message = `${req.body?.message ?? ''}`;
-  if (!message) return res.status(400).json({ error: 'message is required' });
+// Readiness self-test (see readiness.js): 200 with the report when encoding and decoding work, 503 NOT_READY
+// with it otherwise. Degraded features (no ffmpeg, missing codecs, ...) do not make the server unready.
+const { version: APP_VERSION } = JSON.parse(fs.readFileSync(path.resolve(__dirname, '../package.json'), 'utf8'));
+const readiness = createReadiness(engine, {
+  ttlMs: (Number(process.env.READY_CACHE_SECONDS) || 30) * 1000,
+  minFreeBytes: (Number(process.env.MIN_FREE_TMP_MB) || 100) * 1024 * 1024,
+  version: APP_VERSION,
+});
+registry.gauge('ggwave_ready', 'Whether the last /ready self-test passed (1) or not (0)', () => {
+  const report = readiness.last();
+  return report ? Number(report.ready) : Number.NaN;
+});
+app.get('/ready', async (_req, res) => {
+  const report = await readiness.check();
+  if (!report.ready) return sendError(res, 'NOT_READY', `Self-test failed: ${report.checks.roundTrip.error}`, report);
+  res.json(report);
+});
 
-  if (!ensureBinaryExists(TO_FILE)) {
-    return res.status(500).json({ error: 'ggwave-to-file binary not found. Build it first.' });
+// Prometheus metrics (see metrics.js). Open like /health, unless METRICS_TOKEN is set: then scrapers must send
+// it as a bearer token.
+const METRICS_TOKEN = process.env.METRICS_TOKEN ?? '';
+app.get('/metrics', (req, res) => {
+  if (METRICS_TOKEN && !safeEqual(req.headers.authorization ?? '', `Bearer ${METRICS_TOKEN}`)) {
+    return sendError(res, 'UNAUTHORIZED', 'Metrics need the METRICS_TOKEN bearer token');
   }
+  res.type('text/plain; version=0.0.4').send(registry.render());
+});
+
+// The calling key (null without API keys) and its use of the current quota window
+app.get('/usage', validate, (req, res) => {
+  res.json({ name: req.apiClient.name, ...auth.usage(req.apiClient) });
+});
+
+// Conversation history shared by clients (see history.js)
+const history = openHistoryStore(process.env.HISTORY_FILE || path.resolve(__dirname, '../data/history.jsonl'));
+
+app.get('/history/sessions', validate, (req, res) => {
+  res.json({ sessions: history.listSessions(req.query.q) });
+});
+
+// Create a session, or update the title/mode of an existing one
+app.post('/history/sessions', validate, (req, res) => {
+  const session = withOptions(parseSession, req.body, res);
+  if (!session) return;
+  res.json(history.saveSession(session));
+});
+
+app.get('/history/sessions/:id', validate, (req, res) => {
+  const session = history.getSession(req.params.id);
+  if (!session) return sendError(res, 'NOT_FOUND', 'Session not found');
+  res.json(session);
+});
+
+app.delete('/history/sessions/:id', validate, (req, res) => {
+  if (!history.deleteSession(req.params.id)) return sendError(res, 'NOT_FOUND', 'Session not found');
+  res.json({ ok: true });
+});
+
+app.post('/history/sessions/:id/messages', validate, (req, res) => {
+  const messages = withOptions(parseMessages, req.body, res);
+  if (!messages) return;
+  const session = history.addMessages(req.params.id, messages);
+  if (!session) return sendError(res, 'NOT_FOUND', 'Session not found');
+  res.json(session);
+});
+
+// ?format=json (default) or csv, as a download
+app.get('/history/sessions/:id/export', validate, (req, res) => {
+  const session = history.getSession(req.params.id);
+  if (!session) return sendError(res, 'NOT_FOUND', 'Session not found');
+  const format = req.query.format || 'json';
+  res.setHeader('Content-Disposition', `attachment; filename="session-${session.id}.${format}"`);
+  if (format === 'csv') return res.type('text/csv').send(toCsv(session.messages));
+  res.json(session);
+});
+
+// Full-text search over sent and decoded messages: ?q=words&limit=200
+app.get('/history/search', validate, (req, res) => {
+  const limit = Math.min(1000, Math.max(1, Number.parseInt(req.query.limit, 10) || 200));
+  res.json({ results: history.search(req.query.q, limit) });
+});
+
+// Models the robot responder accepts and the backend answering for each (see responder.js)
+app.get('/responder/models', validate, (_req, res) => {
+  res.json({ models: listModels() });
+});
 
-  const MAX_CHUNK_SIZE = 140;
-  const chunks = [];
-  
-  // Split message into chunks
-  for (let i = 0; i < message.length; i += MAX_CHUNK_SIZE) {
-    chunks.push(message.slice(i, i + MAX_CHUNK_SIZE));
+// Optionally serve the built client in production when SERVE_CLIENT=true
+if (process.env.SERVE_CLIENT === 'true') {
+  const clientBuild = path.resolve(__dirname, '../../client', 'dist');
+  if (fs.existsSync(clientBuild)) {
+    app.use(express.static(clientBuild));
+    app.get('*', (_req, res) => {
+      res.sendFile(path.join(clientBuild, 'index.html'));
+    });
   }
+}
 
-  if (chunks.length === 1) {
-    // If only one chunk, use regular encode endpoint
-    return res.redirect(307, '/encode');
+// Encode a text into audio. Body: { message, volume?, sampleRate?, protocol?, payloadLength?, dss?, key?, format?, audioFormat? }
+app.post('/encode', validate, async (req, res) => {
+  const message = req.body.message;
+  const key = await normalizeKey(req.body?.key);
+  const options = withOptions(parseTxOptions, req.body, res);
+  if (!options) return;
+  const output = withOptions(parseOutputFormat, req, res);
+  if (!output) return;
+
+  if (!engine.canEncode()) return sendError(res, 'BINARY_MISSING', engine.missingEncoder);
+
+  // One frame holds 140 characters, or exactly payloadLength bytes in fixed-length mode
+  const MAX_CHUNK_SIZE = maxFrameLength(options);
+  const currentLength = options.payloadLength ? Buffer.byteLength(message, 'utf8') : message.length;
+  if (currentLength > MAX_CHUNK_SIZE) {
+    const unit = options.payloadLength ? 'bytes' : 'characters';
+    return sendError(res, 'MESSAGE_TOO_LONG',
+      `Message too long (${currentLength} ${unit}). Maximum supported length is ${MAX_CHUNK_SIZE} ${unit}.`,
+      { maxLength: MAX_CHUNK_SIZE, currentLength, unit });
   }
+  const maxSealed = sealedCapacity(MAX_CHUNK_SIZE);
+  if (key && Buffer.byteLength(message, 'utf8') > maxSealed) {
+    return sendError(res, 'MESSAGE_TOO_LONG',
+      maxSealed > 0
+        ? `Message too long to encrypt (${Buffer.byteLength(message, 'utf8')} bytes). Maximum supported length is ${maxSealed} bytes.`
+        : `payloadLength ${MAX_CHUNK_SIZE} is too small for an encrypted message`,
+      { maxLength: Math.max(0, maxSealed), currentLength: Buffer.byteLength(message, 'utf8'), unit: 'bytes' });
+  }
+  const payload = key ? sealMessage(message, key) : message;
 
   try {
-    const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ggwave-'));
-    const outputWavPath = path.join(tmpDir, 'output.wav');
-    const tempWavPaths = [];
-
-    // Encode each chunk
-    for (let i = 0; i < chunks.length; i++) {
-      const chunkWavPath = path.join(tmpDir, `chunk_${i}.wav`);
-      tempWavPaths.push(chunkWavPath);
-
-      const args = [`-f${chunkWavPath}`];
-      if (req.body?.volume) args.push(`-v${req.body.volume}`);
-      if (req.body?.sampleRate) args.push(`-s${req.body.sampleRate}`);
-      if (req.body?.protocol) args.push(`-p${req.body.protocol}`);
-
-      await new Promise((resolve, reject) => {
-        const child = spawn(TO_FILE, args, { stdio: ['pipe', 'pipe', 'pipe'] });
-        let stderr = '';
-        child.stderr.on('data', d => { stderr += d.toString(); });
-        child.on('error', err => reject(err));
-        child.on('close', code => {
-          if (code !== 0) {
-            reject(new Error(`Chunk ${i} encode failed: ${stderr}`));
-          } else {
-            resolve();
-          }
-        });
-        child.stdin.end(chunks[i]);
-      });
-    }
+    const audio = await job(req, (signal) => engine.encode(payload, { ...options, signal }));
+    await sendAudio(req, res, audio, output, { options, frames: [payload] });
+  } catch (e) {
+    if (sendJobError(res, e)) return;
+    if (e instanceof OptionError) return sendError(res, 'INVALID_REQUEST', e.message, { field: e.field });
+    sendError(res, 'ENCODE_FAILED', e.message, { details: e.details });
+  }
+});
 
-    // Concatenate all WAV files using ffmpeg
-    const ffmpeg = spawn('ffmpeg', [
-      '-y', '-v', 'error',
-      ...tempWavPaths.flatMap(path => ['-i', path]),
-      '-filter_complex', `concat=n=${chunks.length}:v=0:a=1[out]`,
-      '-map', '[out]',
-      outputWavPath
-    ]);
-
-    await new Promise((resolve, reject) => {
-      let stderr = '';
-      ffmpeg.stderr.on('data', d => { stderr += d.toString(); });
-      ffmpeg.on('error', err => reject(err));
-      ffmpeg.on('close', code => {
-        if (code !== 0) {
-          reject(new Error(`FFmpeg concatenation failed: ${stderr}`));
-        } else {
-          resolve();
-        }
-      });
-    });
+// Encode a long text by splitting it into chunks. Body: same as /encode
+const LONG_ENCODE_PARALLELISM = Math.min(4, jobs.stats().concurrency);
+app.post('/encode-long', validate, async (req, res) => {
+  const message = req.body.message;
+  const key = await normalizeKey(req.body?.key);
+  const options = withOptions(parseTxOptions, req.body, res);
+  if (!options) return;
+  const output = withOptions(parseOutputFormat, req, res);
+  if (!output) return;
+
+  if (!engine.canEncode()) return sendError(res, 'BINARY_MISSING', engine.missingEncoder);
+
+  const MAX_CHUNK_SIZE = maxFrameLength(options);
+  const fitsOneFrame = key
+    ? Buffer.byteLength(message, 'utf8') <= sealedCapacity(MAX_CHUNK_SIZE)
+    : (options.payloadLength ? Buffer.byteLength(message, 'utf8') : message.length) <= MAX_CHUNK_SIZE;
+  if (fitsOneFrame) {
+    // If only one chunk, use regular encode endpoint (keeping ?format= and friends)
+    const query = req.url.indexOf('?');
+    return res.redirect(307, `/encode${query >= 0 ? req.url.slice(query) : ''}`);
+  }
 
-    // Read the concatenated WAV file
-    const data = fs.readFileSync(outputWavPath);
-    res.setHeader('Content-Type', 'audio/wav');
-    res.setHeader('Content-Disposition', 'inline; filename="message.wav"');
-    res.send(data);
+  if (MAX_CHUNK_SIZE <= FRAME_HEADER_LENGTH) {
+    return sendError(res, 'INVALID_REQUEST', `payloadLength must be above ${FRAME_HEADER_LENGTH} to split long messages`, { field: 'payloadLength' });
+  }
 
-    // Cleanup
-    try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch {}
+  // Encrypt the whole message once, then split it into framed chunks (id, index, total, checksum)
+  let chunks;
+  try {
+    chunks = frameMessage(key ? sealMessage(message, key) : message, MAX_CHUNK_SIZE);
+  } catch (e) {
+    return sendError(res, 'MESSAGE_TOO_LONG', e.message);
+  }
 
+  try {
+    // Encode the chunks in parallel (a few at a time, so one request cannot take every slot) and join the
+    // waveforms back to back
+    const parts = await mapLimit(chunks, LONG_ENCODE_PARALLELISM, async (chunk, i) => {
+      try {
+        return await job(req, (signal) => engine.encode(chunk, { ...options, signal }));
+      } catch (e) {
+        if (e instanceof BusyError || e instanceof JobTimeoutError || e instanceof OptionError) throw e;
+        throw new Error(`Chunk ${i} encode failed: ${e.details ?? e.message}`);
+      }
+    });
+    await sendAudio(req, res, { pcm: concatPcm(parts.map(p => p.pcm)), sampleRate: parts[0].sampleRate }, output, { options, frames: chunks });
   } catch (error) {
-    res.status(500).json({ error: 'Long message encoding failed', details: error.message });
+    if (sendJobError(res, error)) return;
+    if (error instanceof OptionError) return sendError(res, 'INVALID_REQUEST', error.message, { field: error.field });
+    sendError(res, 'ENCODE_FAILED', 'Long message encoding failed', { details: error.message });
   }
 });
 
-// Decode a provided WAV file (multipart form field: file)
-app.post('/decode', upload.single('file'), (req, res) => {
-  if (!req.file) return res.status(400).json({ error: 'file is required (audio/wav)' });
+// Decode a provided WAV file (multipart form fields: file, key?, payloadLength?, dss?)
+app.post('/decode', upload.single('file'), validate, async (req, res) => {
+  const options = withOptions(parseRxOptions, req.body, res);
+  if (!options) return;
 
-  if (!ensureBinaryExists(FROM_FILE)) {
-    return res.status(500).json({ error: 'ggwave-from-file binary not found. Build it first.' });
+  if (!engine.canDecode()) return sendError(res, 'BINARY_MISSING', engine.missingDecoder);
+
+  // stereo, compressed WAV and non-WAV recordings become mono 16-bit WAV first
+  let wav, format;
+  try {
+    ({ wav, format } = await job(req, (signal) =>
+      normalizeAudio(req.file.buffer, { mimetype: req.file.mimetype, signal, maxSeconds: MAX_AUDIO_SECONDS })));
+  } catch (e) {
+    if (sendJobError(res, e)) return;
+    if (!(e instanceof AudioFormatError)) return sendError(res, 'DECODE_FAILED', e.message);
+    return sendAudioError(res, e);
   }
 
-  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ggwave-'));
-  const wavPath = path.join(tmpDir, 'in.wav');
-  fs.writeFileSync(wavPath, req.file.buffer);
+  let raw, diagnostics;
+  try {
+    ({ raw, diagnostics } = await job(req, async (signal) => {
+      const { raw } = await engine.decode(wav, { ...options, signal });
+      return { raw, diagnostics: diagnose(wav, raw, { format, original: req.file.buffer, options }) };
+    }));
+  } catch (e) {
+    if (sendJobError(res, e)) return;
+    countDecode('/decode', 'failed');
+    if (e instanceof OptionError) return sendError(res, 'INVALID_REQUEST', e.message, { field: e.field });
+    if (e instanceof WavError) return sendError(res, 'INVALID_AUDIO', e.message);
+    return sendError(res, 'DECODE_FAILED', e.message, { details: e.stderr });
+  }
+  sendDecoded(res, raw, createReassembler(), await normalizeKey(req.body?.key), { route: '/decode', requireSignal: true, diagnostics });
+});
 
-  let responded = false; const safe = (fn) => { if (!responded) { responded = true; fn(); } };
-  execFile(FROM_FILE, [wavPath], (error, stdout, stderr) => {
-    try {
-      if (error) return safe(() => res.status(500).json({ error: error.message, stderr }));
-      const m = stdout.match(/Decoded message[^:]*:\s*'([^']*)'/);
-      const message = m ? m[1] : '';
-      safe(() => res.json({ message, raw: stdout }));
-    } finally {
-      try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch {}
-    }
+// Decode a WEBM/Opus mic chunk: convert to WAV with ffmpeg, then decode (form fields: file, key?, session?,
+// payloadLength?, dss?). Frames of a long message are collected across consecutive chunks that share the same `session`.
+app.post('/decode-webm', upload.single('file'), validate, async (req, res) => {
+  const options = withOptions(parseRxOptions, req.body, res);
+  if (!options) return;
+  if (!engine.canDecode()) return sendError(res, 'BINARY_MISSING', engine.missingDecoder);
+  const key = await normalizeKey(req.body?.key);
+
+  job(req, (signal) => ffmpegToWav(req.file.buffer, 'webm', { signal, maxSeconds: MAX_AUDIO_SECONDS })).then((wav) => {
+    job(req, async (signal) => {
+      const { raw } = await engine.decode(wav, { ...options, signal });
+      return { raw, diagnostics: diagnose(wav, raw, { format: 'webm', options }) };
+    }).then(({ raw, diagnostics }) => {
+      const session = `${req.body?.session ?? ''}`.slice(0, 64);
+      const assembler = session ? sessionAssembler(session) : createReassembler();
+      sendDecoded(res, raw, assembler, key, { route: '/decode-webm', diagnostics });
+    }, (error) => {
+      if (sendJobError(res, error)) return;
+      countDecode('/decode-webm', 'failed');
+      if (error instanceof OptionError) return sendError(res, 'INVALID_REQUEST', error.message, { field: error.field });
+      sendError(res, 'DECODE_FAILED', error.message, { details: error.stderr });
+    });
+  }, (err) => {
+    if (sendJobError(res, err)) return;
+    if (err instanceof AudioFormatError) return sendAudioError(res, err);
+    if (err.code === 'ENOENT') return sendError(res, 'FFMPEG_UNAVAILABLE', 'Decoding webm audio needs ffmpeg, which is not installed');
+    sendError(res, 'FFMPEG_FAILED', 'ffmpeg could not convert the recording', { details: err.stderr ?? err.message });
   });
 });
 
-// Decode a WEBM/Opus mic chunk: convert to WAV with ffmpeg, then decode
-app.post('/decode-webm', upload.single('file'), (req, res) => {
-  if (!req.file) return res.status(400).json({ error: 'file is required (audio/webm)' });
-  if (!ensureBinaryExists(FROM_FILE)) {
-    return res.status(500).json({ error: 'ggwave-from-file binary not found. Build it first.' });
-  }
-
-  const ffmpeg = 'ffmpeg';
-  // quick existence check
-  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ggwave-'));
-  const webmPath = path.join(tmpDir, 'in.webm');
-  const wavPath = path.join(tmpDir, 'in.wav');
-  fs.writeFileSync(webmPath, req.file.buffer);
-
-  const ff = spawn(ffmpeg, ['-y', '-v', 'error', '-i', webmPath, '-ar', '48000', '-ac', '1', '-f', 'wav', wavPath]);
-  let ffErr = '';
-  let responded = false; const safe = (fn) => { if (!responded) { responded = true; fn(); } };
-  ff.stderr.on('data', d => { ffErr += d.toString(); });
-  ff.on('error', err => {
-    try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch {}
-    safe(() => res.status(500).json({ error: 'ffmpeg not found or failed', details: err.message }));
-  });
-  ff.on('close', code => {
-    if (code !== 0) {
-      try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch {}
-      return safe(() => res.status(500).json({ error: 'ffmpeg failed', details: ffErr }));
+// Robustness of protocols over a simulated acoustic channel (see channel.js). Body: message?, protocols?, trials?,
+// volume?, sampleRate?, payloadLength?, dss?, channel?. Each encode and trial is its own job.
+app.post('/simulate', validate, async (req, res) => {
+  const body = req.body ?? {};
+  // modulation options shared by every protocol compared
+  const tx = withOptions(parseTxOptions, { ...body, protocol: null }, res);
+  if (!tx) return;
+  const protocols = withOptions((source) => parseProtocols(source.protocols, tx), body, res);
+  if (!protocols) return;
+  const channel = withOptions(parseChannel, body.channel, res);
+  if (!channel) return;
+  if (!engine.canEncode()) return sendError(res, 'BINARY_MISSING', engine.missingEncoder);
+  if (!engine.canDecode()) return sendError(res, 'BINARY_MISSING', engine.missingDecoder);
+
+  const message = body.message ?? 'hello ggwave';
+  try {
+    const results = await simulate(engine, { message, tx, protocols, channel, trials: body.trials ?? 5, run: (fn) => job(req, fn) });
+    res.json({ message, channel, results });
+  } catch (e) {
+    if (sendJobError(res, e)) return;
+    if (e instanceof OptionError) return sendError(res, 'INVALID_REQUEST', e.message, { field: e.field });
+    if (e instanceof AudioFormatError) return sendError(res, e.code, e.message, { format: e.format });
+    sendError(res, 'SIMULATION_FAILED', e.message, { details: e.details ?? e.stderr });
+  }
+});
+
+// Errors from body parsing and uploads as JSON: 413 for oversized requests
+app.use((err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  if (err instanceof multer.MulterError) {
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return sendError(res, 'PAYLOAD_TOO_LARGE', `File is larger than ${MAX_UPLOAD_BYTES} bytes`, { limit: MAX_UPLOAD_BYTES });
     }
-    execFile(FROM_FILE, [wavPath], (error, stdout, stderr) => {
-      try {
-        if (error) return safe(() => res.status(200).json({ message: '', raw: stdout }));
-        const m = stdout.match(/Decoded message[^:]*:\s*'([^']*)'/);
-        const message = m ? m[1] : '';
-        safe(() => res.json({ message, raw: stdout }));
-      } finally {
-        try { fs.rmSync(tmpDir, { recursive: true, force: true }); } catch {}
-      }
-    });
-  });
+    return sendError(res, 'INVALID_REQUEST', err.message, { field: err.field });
+  }
+  if (err.type === 'entity.too.large') return sendError(res, 'PAYLOAD_TOO_LARGE', 'Request body is too large', { limit: err.limit });
+  if (err.type === 'entity.parse.failed') return sendError(res, 'INVALID_JSON', 'Invalid JSON body');
+  log.error('unhandled error', { reqId: req.id, error: err.message, stack: err.stack });
+  sendError(res, 'INTERNAL_ERROR', err.message);
 });
 
+// PORT=0 picks a free port (the tests do); the one chosen is logged
 const PORT = process.env.PORT || 5055;
 const server = app.listen(PORT, () => {
-  console.log(`ggwave api listening on http://localhost:${PORT}`);
+  log.info(`ggwave api listening on http://localhost:${server.address().port}`, { port: server.address().port, engine: engine.name });
+});
+
+// WebSocket routes share the HTTP server, so upgrades are dispatched by path. Upgrades get a request id like
+// HTTP requests, answered in the X-Request-Id header and logged when the socket closes.
+const wsRoutes = new Map();
+const wsRoute = (pathname, wss) => {
+  wss.on('headers', (headers, req) => headers.push(`X-Request-Id: ${req.id}`));
+  wsRoutes.set(pathname, wss);
+};
+registry.gauge('ggwave_websocket_sessions', 'Open WebSocket connections, by route',
+  () => [...wsRoutes].map(([route, wss]) => ({ labels: { route }, value: wss.clients.size })));
+server.on('upgrade', (req, socket, head) => {
+  const url = new URL(req.url, 'http://localhost');
+  const wss = wsRoutes.get(url.pathname);
+  if (!wss) return socket.destroy();
+  req.id = requestId(req);
+  // upgrades skip Express, so the client address is worked out as req.ip would be
+  req.ip = proxyaddr(req, app.get('trust proxy fn'));
+  // Refused upgrades get the same JSON errors as REST routes; browsers only see the socket fail to open
+  const refuse = (status, body, retryAfter) => {
+    const text = JSON.stringify(body);
+    const retry = retryAfter ? `Retry-After: ${retryAfter}\r\n` : '';
+    log.info('websocket refused', { reqId: req.id, route: url.pathname, status, code: body.code });
+    socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nContent-Type: application/json\r\nX-Request-Id: ${req.id}\r\n${retry}Content-Length: ${Buffer.byteLength(text)}\r\nConnection: close\r\n\r\n${text}`);
+  };
+  const query = Object.fromEntries(url.searchParams);
+  // the key may also come as ?token=, since browsers cannot set headers on WebSockets
+  try {
+    req.apiClient = auth.identify(req, query);
+    auth.admit(req.apiClient);
+  } catch (e) {
+    if (!(e instanceof AuthError)) throw e;
+    return refuse(e.status, { error: e.message, code: e.code, ...(e.retryAfter ? { retryAfter: e.retryAfter } : {}) }, e.retryAfter);
+  }
+  try {
+    validateRequest('GET', url.pathname, { query });
+  } catch (e) {
+    if (!(e instanceof OptionError)) throw e;
+    return refuse(400, { error: e.message, code: 'INVALID_REQUEST', field: e.field });
+  }
+  wss.handleUpgrade(req, socket, head, (ws) => {
+    const began = process.hrtime.bigint();
+    ws.once('close', (code) => {
+      log.info('websocket closed', { reqId: req.id, route: url.pathname, code, seconds: Math.round(secondsSince(began)), client: req.apiClient?.name || undefined });
+    });
+    wss.emit('connection', ws, req);
+  });
 });
 
+// Query parameters as an options source; OptionError closes the socket with a policy violation
+function socketOptions(parse, req, ws) {
+  try {
+    return parse(Object.fromEntries(new URL(req.url, 'http://localhost').searchParams));
+  } catch (e) {
+    if (!(e instanceof OptionError)) throw e;
+    ws.close(1008, e.message);
+    return null;
+  }
+}
+
+// Robot for a WebSocket session, started by { type: 'responder', greeting?, goal?, model?, greet? }. Greets, then
+// answers every message passed to heard(). Each reply is sent out with transmit() when the server can
+// transmit itself and reported as a `reply` event either way (`transmitted: false` asks the client to send it).
+function sessionResponder(msg, { sendLine, transmit, maxLength }) {
+  let config;
+  try {
+    config = parseResponderConfig(msg);
+  } catch (e) {
+    if (!(e instanceof OptionError)) throw e;
+    sendLine({ type: 'responder_error', error: e.message, field: e.field });
+    return null;
+  }
+  const responder = createResponder(config, { maxLength });
+  const say = (text, extra = {}) => {
+    if (!text) return;
+    transmit?.(text);
+    sendLine({ type: 'reply', text, transmitted: !!transmit, ...extra });
+  };
+  sendLine({ type: 'responder', model: config.model, backend: responder.backend });
+  // greet: false when the client already greeted on an earlier connection of the same session
+  if (msg.greet !== false) say(responder.greeting(), { greeting: true });
+  // keep replies in the order the messages were decoded
+  let queue = Promise.resolve();
+  return {
+    heard(text) {
+      queue = queue
+        .then(() => responder.reply(text))
+        .then((reply) => say(reply))
+        .catch((e) => log.warn('responder failed', { error: e.message }));
+    },
+  };
+}
+
 // WebSocket: spawn ggwave-cli per connection
-const wss = new WebSocketServer({ server, path: '/ws/cli' });
-wss.on('connection', (ws) => {
+// Query: protocol?, payloadLength?, dss?, capture?, playback?, tones? (see parseCliOptions)
+// Client messages: { type: 'send', text, key? }, { type: 'key', key } to set the key used for received frames,
+// { type: 'config', ...settings } to change settings (the CLI restarts with them; the session and its
+// reassembly state are kept), { type: 'devices' } to list audio devices again and
+// { type: 'responder', greeting?, goal?, model?, key? } to have the robot answer through ggwave-cli
+// (key encrypts its transmissions; { type: 'responder', enabled: false } stops it).
+// Server events: config, devices, stdout, stderr, decoded, partial, duplicate (a frame of a message already
+// decoded), decode_error, send_error, config_error, responder, reply, responder_error.
+// At most CLI_SESSION_LIMIT sessions (each holds a ggwave-cli process and the audio devices) run at once;
+// further connections are closed with 1013 (try again later).
+const CLI_SESSION_LIMIT = Number.parseInt(process.env.CLI_SESSION_LIMIT ?? '', 10) || 4;
+let cliSessions = 0;
+const wss = new WebSocketServer({ noServer: true });
+wsRoute('/ws/cli', wss);
+wss.on('connection', (ws, req) => {
   if (!ensureBinaryExists(CLI_BIN)) {
     ws.close(1011, 'ggwave-cli not available');
     return;
   }
-  // default to protocol 1 (Fast)
-  const cli = spawn(CLI_BIN, ['-t1']);
+  if (cliSessions >= CLI_SESSION_LIMIT) {
+    ws.close(1013, 'Too many CLI sessions, try again later');
+    return;
+  }
+  const params = Object.fromEntries(new URL(req.url, 'http://localhost').searchParams);
+  let config = socketOptions(parseCliOptions, req, ws);
+  if (!config) return;
+  cliSessions++;
 
-  const sendLine = (line) => ws.readyState === ws.OPEN && ws.send(JSON.stringify(line));
+  let cli = null;
+  let devices = null;
+  let sessionKey = null;
+  let robot = null;
+  const assembler = createReassembler();
 
-  cli.stdout.on('data', (d) => {
-    const s = d.toString();
-    sendLine({ type: 'stdout', data: s });
-    // Parse decoded messages from cli output if present
-    const m = s.match(/Decoded message[^:]*:\s*'([^']*)'/);
-    if (m) sendLine({ type: 'decoded', message: m[1] });
-  });
-  cli.stderr.on('data', (d) => sendLine({ type: 'stderr', data: d.toString() }));
-  cli.on('close', (code) => ws.close(1000, `cli_exit_${code}`));
+  const sendLine = (line) => ws.readyState === ws.OPEN && ws.send(JSON.stringify(line));
+  const pushFrame = (frame) => {
+    const result = assembler.push(frame);
+    if (result.corrupt) {
+      return sendLine({ type: 'decode_error', error: `Chunk ${result.index + 1}/${result.total} failed its checksum`, code: 'BAD_CHECKSUM' });
+    }
+    if (result.duplicate) return sendLine({ type: 'duplicate', id: result.id });
+    if (!result.complete) return sendLine({ type: 'partial', ...result });
+    let message;
+    try {
+      message = sessionKey ? openMessage(result.message, sessionKey) : result.message;
+    } catch (e) {
+      return sendLine({ type: 'decode_error', error: e.message, code: e.code });
+    }
+    sendLine({ type: 'decoded', message, ...(result.id ? { id: result.id } : {}), ...(sessionKey ? { encrypted: true } : {}) });
+    robot?.heard(message);
+  };
+
+  const start = () => {
+    const proc = trackProcess(spawn(CLI_BIN, cliArgs(config)), CLI_BIN);
+    cli = proc;
+    sendLine({ type: 'config', config });
+    // device lists are printed once at startup, before the tx protocol is selected
+    let startup = '';
+    proc.stdout.on('data', (d) => {
+      const s = d.toString();
+      sendLine({ type: 'stdout', data: s });
+      if (startup !== null) {
+        startup += s;
+        if (/Selecting Tx protocol/.test(startup)) {
+          devices = parseDevices(startup);
+          startup = null;
+          sendLine({ type: 'devices', ...devices });
+        }
+      }
+      // Parse decoded messages from cli output if present
+      for (const { payload } of parseDecoded(s)) pushFrame(payload);
+    });
+    proc.stderr.on('data', (d) => {
+      const s = d.toString();
+      sendLine({ type: 'stderr', data: s });
+      // ggwave logs received frames to stderr
+      const m = s.match(/Received sound data successfully:\s*'([^']+)'/);
+      if (m) pushFrame(m[1]);
+    });
+    // a CLI replaced by a config change exits without ending the session
+    proc.on('close', (code) => {
+      if (proc === cli) ws.close(1000, `cli_exit_${code}`);
+    });
+  };
 
+  const reconfigure = (changes) => {
+    let next;
+    try {
+      next = parseCliOptions({ ...params, ...config, ...changes });
+    } catch (e) {
+      if (!(e instanceof OptionError)) throw e;
+      return sendLine({ type: 'config_error', error: e.message, field: e.field });
+    }
+    if (JSON.stringify(next) === JSON.stringify(config)) return sendLine({ type: 'config', config });
+    config = next;
+    const old = cli;
+    cli = null;
+    try { old.kill('SIGKILL'); } catch {}
+    start();
+  };
+
+  start();
+
+  // handled one at a time, so a send waiting for its key to be derived stays ahead of the next one
+  let handling = Promise.resolve();
   ws.on('message', (buf) => {
+    handling = handling.then(() => handleMessage(buf));
+  });
+  const handleMessage = async (buf) => {
     try {
       const msg = JSON.parse(buf.toString());
-      if (msg.type === 'send' && typeof msg.text === 'string') {
-        cli.stdin.write(msg.text + '\n');
+      if (msg.type === 'key') {
+        sessionKey = await normalizeKey(msg.key);
+      } else if (msg.type === 'config') {
+        const { type, ...changes } = msg;
+        reconfigure(changes);
+      } else if (msg.type === 'devices') {
+        if (devices) sendLine({ type: 'devices', ...devices });
+      } else if (msg.type === 'responder') {
+        const key = await normalizeKey(msg.key);
+        robot = msg.enabled === false ? null : sessionResponder(msg, {
+          sendLine,
+          transmit: (text) => cli?.stdin.write((key ? sealMessage(text, key) : text) + '\n'),
+          // ggwave-cli sends each line as one frame
+          maxLength: () => (key ? sealedCapacity(maxFrameLength(config)) : maxFrameLength(config)),
+        });
+      } else if (msg.type === 'send' && typeof msg.text === 'string') {
+        const key = await normalizeKey(msg.key);
+        const maxSealed = sealedCapacity(maxFrameLength(config));
+        if (key && Buffer.byteLength(msg.text, 'utf8') > maxSealed) {
+          return sendLine({ type: 'send_error', error: `Message too long to encrypt (max ${Math.max(0, maxSealed)} bytes)` });
+        }
+        cli.stdin.write((key ? sealMessage(msg.text, key) : msg.text) + '\n');
       }
     } catch {}
+  };
+  ws.on('close', () => {
+    cliSessions--;
+    try { cli?.kill('SIGKILL'); } catch {}
+  });
+});
+
+// WebSocket: streaming decode of raw microphone PCM with one persistent decoder per connection
+// Query: sampleRate (default 48000), format f32|s16 (default f32), payloadLength?, dss?. Binary messages carry mono little-endian
+// samples in any size; text messages may be { type: 'key', key } or { type: 'responder', ... } as on /ws/cli, whose
+// replies the client transmits. Events: ready, decoded, partial, duplicate,
+// decode_error, responder, reply, responder_error.
+// Decoding runs on the event loop, so at most STREAM_SESSION_LIMIT streams are decoded at once; further
+// connections are closed with 1013 (try again later).
+const STREAM_FORMATS = { f32: 4, s16: 2 };
+const STREAM_SESSION_LIMIT = Number.parseInt(process.env.STREAM_SESSION_LIMIT ?? '', 10) || 8;
+let streamSessions = 0;
+const decodeWss = new WebSocketServer({ noServer: true, maxPayload: 1 << 20 });
+wsRoute('/ws/decode', decodeWss);
+decodeWss.on('connection', async (ws, req) => {
+  const sendLine = (line) => ws.readyState === ws.OPEN && ws.send(JSON.stringify(line));
+  const params = new URL(req.url, 'http://localhost').searchParams;
+  const sampleRate = Number(params.get('sampleRate') ?? DEFAULT_SAMPLE_RATE);
+  const format = params.get('format') ?? 'f32';
+  if (!Number.isInteger(sampleRate) || sampleRate < 8000 || sampleRate > 96000) {
+    return ws.close(1008, 'sampleRate must be an integer between 8000 and 96000');
+  }
+  if (!STREAM_FORMATS[format]) return ws.close(1008, 'format must be f32 or s16');
+  const options = socketOptions(parseRxOptions, req, ws);
+  if (!options) return;
+  if (!engine.createStreamDecoder) return ws.close(1011, 'Streaming decode needs the wasm engine');
+  if (streamSessions >= STREAM_SESSION_LIMIT) return ws.close(1013, 'Too many decode streams, try again later');
+  streamSessions++;
+
+  let sessionKey = null;
+  let robot = null;
+  const assembler = createReassembler();
+  // samples can arrive before the decoder is ready; keep them in order
+  const queued = [];
+  let decoder = null;
+
+  const toFloat = (buf) => {
+    const count = Math.floor(buf.length / STREAM_FORMATS[format]);
+    const samples = new Float32Array(count);
+    for (let i = 0; i < count; i++) {
+      samples[i] = format === 'f32' ? buf.readFloatLE(i * 4) : buf.readInt16LE(i * 2) / 32768;
+    }
+    return samples;
+  };
+
+  const feed = (samples) => {
+    const found = decoder.push(samples);
+    if (!found.length) return;
+    const { messages, incomplete, duplicates } = reassemble(found, assembler);
+    for (const m of openMessages(messages, sessionKey)) {
+      if (m.error) sendLine({ type: 'decode_error', error: m.error, code: m.code });
+      else {
+        sendLine({ type: 'decoded', ...m });
+        robot?.heard(m.message);
+      }
+    }
+    if (messages.length < found.length) {
+      for (const p of incomplete) sendLine({ type: 'partial', ...p });
+    }
+    for (const id of duplicates) sendLine({ type: 'duplicate', id });
+  };
+
+  ws.on('message', (data, isBinary) => {
+    if (!isBinary) {
+      try {
+        const msg = JSON.parse(data.toString());
+        if (msg.type === 'key') normalizeKey(msg.key).then((key) => (sessionKey = key), () => {});
+        else if (msg.type === 'responder') robot = msg.enabled === false ? null : sessionResponder(msg, { sendLine });
+      } catch {}
+      return;
+    }
+    if (!auth.count(req.apiClient, data.length)) return ws.close(1008, 'Byte quota used up');
+    const samples = toFloat(data);
+    if (decoder) feed(samples);
+    else queued.push(samples);
   });
   ws.on('close', () => {
-    try { cli.kill('SIGKILL'); } catch {}
+    streamSessions--;
+    decoder?.close();
   });
+
+  try {
+    decoder = await engine.createStreamDecoder(sampleRate, options);
+  } catch (e) {
+    return ws.close(1011, e.message.slice(0, 120));
+  }
+  if (ws.readyState !== ws.OPEN) return decoder.close();
+  sendLine({ type: 'ready', sampleRate, format });
+  for (const samples of queued.splice(0)) feed(samples);
 });
 
+// WebSocket: a named room shared by several clients. Query: room, name? (shown to the other members).
+// Client messages: { type: 'message', direction: 'sent'|'received', text, encrypted?, protocol?, at?, source? }
+// for each message the client sends or decodes; it is relayed to the other members. `text` is plaintext that the
+// server and every member see, so the client does not share messages it encrypted or decrypted with a key.
+// Server events: joined { room, you, members }, presence { event: 'join'|'leave', member, members },
+// message { from, timestamp, ... }, error { error, field }. Full rooms close the connection with 1013.
+const rooms = createRooms({ maxMembers: Number.parseInt(process.env.ROOM_MEMBER_LIMIT ?? '', 10) || 16 });
+const roomWss = new WebSocketServer({ noServer: true, maxPayload: 64 * 1024 });
+wsRoute('/ws/room', roomWss);
+roomWss.on('connection', (ws, req) => {
+  const options = socketOptions(parseMember, req, ws);
+  if (!options) return;
+  let member;
+  try {
+    member = rooms.join(options.room, options.name, ws);
+  } catch (e) {
+    if (!(e instanceof RoomFullError)) throw e;
+    return ws.close(1013, e.message);
+  }
+  const sendLine = (line) => ws.readyState === ws.OPEN && ws.send(JSON.stringify(line));
+  ws.on('message', (data) => {
+    if (!auth.count(req.apiClient, data.length)) return ws.close(1008, 'Byte quota used up');
+    let msg;
+    try {
+      msg = JSON.parse(data.toString());
+    } catch {
+      return sendLine({ type: 'error', error: 'Messages must be JSON' });
+    }
+    if (msg?.type !== 'message') return;
+    try {
+      member.relay(parseRoomMessage(msg));
+    } catch (e) {
+      if (!(e instanceof OptionError)) throw e;
+      sendLine({ type: 'error', error: e.message, field: e.field });
+    }
+  });
+  ws.on('close', () => member.leave());
+});
@@ -0,0 +1,18 @@
+// Structured logs: one JSON object per line with `time`, `level` and `msg` plus the fields given, on stdout
+// (warn and error on stderr). LOG_LEVEL (debug, info, warn or error; default info) drops the levels below it.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const threshold = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < threshold) return;
+  const line = JSON.stringify({ time: new Date().toISOString(), level, msg, ...fields });
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+export const log = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
@@ -0,0 +1,106 @@
+import path from 'path';
+
+// In-process Prometheus metrics, rendered in the text exposition format (0.0.4) by GET /metrics. Counters and
+// histograms are updated as things happen; gauges are read from their `collect` function at scrape time.
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const labelText = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+const header = (name, help, type) => `# HELP ${name} ${help}\n# TYPE ${name} ${type}\n`;
+
+// Labelled series of one metric, created on first use
+function series(labelNames, create) {
+  const entries = new Map();
+  return {
+    get(labels = {}) {
+      const values = labelNames.map((n) => String(labels[n] ?? ''));
+      const key = JSON.stringify(values);
+      let entry = entries.get(key);
+      if (!entry) {
+        entry = { labels: Object.fromEntries(labelNames.map((n, i) => [n, values[i]])), ...create() };
+        entries.set(key, entry);
+      }
+      return entry;
+    },
+    all: () => [...entries.values()],
+  };
+}
+
+export function createRegistry() {
+  const metrics = [];
+
+  const counter = (name, help, labelNames = []) => {
+    const values = series(labelNames, () => ({ value: 0 }));
+    metrics.push(() => header(name, help, 'counter') + values.all().map((e) => `${name}${labelText(e.labels)} ${e.value}\n`).join(''));
+    return {
+      inc(labels, by = 1) {
+        values.get(labels).value += by;
+      },
+    };
+  };
+
+  // collect() returns a number, or [{ labels, value }] for labelled gauges
+  const gauge = (name, help, collect) => {
+    metrics.push(() => {
+      const value = collect();
+      const rows = typeof value === 'number' ? [{ labels: {}, value }] : value;
+      return header(name, help, 'gauge') + rows.map((r) => `${name}${labelText(r.labels)} ${r.value}\n`).join('');
+    });
+  };
+
+  // `buckets` are upper bounds in seconds, ascending; +Inf is implied
+  const histogram = (name, help, labelNames, buckets) => {
+    const values = series(labelNames, () => ({ counts: new Array(buckets.length).fill(0), sum: 0, count: 0 }));
+    metrics.push(() => header(name, help, 'histogram') + values.all().map((e) => {
+      const lines = buckets.map((le, i) => `${name}_bucket${labelText({ ...e.labels, le })} ${e.counts[i]}\n`);
+      lines.push(`${name}_bucket${labelText({ ...e.labels, le: '+Inf' })} ${e.count}\n`);
+      lines.push(`${name}_sum${labelText(e.labels)} ${e.sum}\n`, `${name}_count${labelText(e.labels)} ${e.count}\n`);
+      return lines.join('');
+    }).join(''));
+    return {
+      observe(labels, value) {
+        const entry = values.get(labels);
+        // counts are cumulative: each bucket holds every observation at or below its bound
+        buckets.forEach((le, i) => {
+          if (value <= le) entry.counts[i]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      },
+    };
+  };
+
+  return { counter, gauge, histogram, render: () => metrics.map((m) => m()).join('') };
+}
+
+export const registry = createRegistry();
+
+// Seconds since `began` (a process.hrtime.bigint() reading)
+export const secondsSince = (began) => Number(process.hrtime.bigint() - began) / 1e9;
+
+const processSpawns = registry.counter('ggwave_child_process_spawns_total', 'Child processes started, by binary', ['binary']);
+const processFailures = registry.counter('ggwave_child_process_failures_total',
+  'Child processes that could not start (error), exited non-zero (exit) or were killed by a signal (killed)', ['binary', 'reason']);
+const processSeconds = registry.histogram('ggwave_child_process_duration_seconds', 'Run time of child processes, by binary',
+  ['binary'], [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 120]);
+
+// Count a spawned child process (ggwave binaries, ffmpeg) and time it until it exits
+export function trackProcess(child, file) {
+  const binary = path.basename(file);
+  const began = process.hrtime.bigint();
+  processSpawns.inc({ binary });
+  let done = false;
+  const finish = (reason) => {
+    if (done) return;
+    done = true;
+    processSeconds.observe({ binary }, secondsSince(began));
+    if (reason) processFailures.inc({ binary, reason });
+  };
+  child.once('error', () => finish('error'));
+  child.once('close', (code) => finish(code === null ? 'killed' : code !== 0 ? 'exit' : null));
+  return child;
+}
@@ -0,0 +1,582 @@
+import { OUTPUT_FORMATS } from './audio.js';
+import { ERROR_CODES, sendError } from './errors.js';
+import { MAX_FIXED_LENGTH, MAX_VARIABLE_LENGTH, OptionError, PROTOCOLS } from './protocols.js';
+import { MAX_TRIALS } from './channel.js';
+
+// OpenAPI description of the REST API (served at /openapi.json) and validation of requests against it.
+// Routes run `validate` before their handler; it checks the path, query and body (JSON or multipart fields)
+// of the matching operation and answers 400 INVALID_REQUEST naming the field. Query strings and form fields
+// are strings, so numbers and booleans are accepted in string form too. The handlers' own parsing (defaults,
+// cross-field rules such as fixed-length protocols) still applies afterwards.
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+const json = (schema) => ({ content: { 'application/json': { schema } } });
+const error = (description) => ({ description, ...json(ref('Error')) });
+
+const txProperties = {
+  protocol: { type: 'integer', minimum: 0, maximum: PROTOCOLS.length - 1, default: 1, description: 'Protocol id (see /protocols)' },
+  volume: { type: 'integer', minimum: 1, maximum: 100, default: 50 },
+  sampleRate: { type: 'integer', minimum: 1000, maximum: 96000, default: 48000 },
+  payloadLength: nullable({ type: 'integer', minimum: 1, maximum: MAX_FIXED_LENGTH, description: 'Fixed payload length; required by [MT] protocols' }),
+  dss: { type: 'boolean', default: false, description: 'Direct-sequence spread spectrum' },
+};
+const rxProperties = { payloadLength: txProperties.payloadLength, dss: txProperties.dss };
+const key = { type: 'string', maxLength: 1024, description: 'Passphrase for end-to-end encryption' };
+const formatProperties = {
+  format: { type: 'string', enum: [...Object.keys(OUTPUT_FORMATS), 'json'], default: 'wav' },
+  audioFormat: { type: 'string', enum: Object.keys(OUTPUT_FORMATS), default: 'wav', description: 'Audio format inside a json response' },
+};
+const queryParams = (properties, required = []) =>
+  Object.entries(properties).map(([name, schema]) => ({ name, in: 'query', required: required.includes(name), schema }));
+const idParam = { name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^[\\w-]{1,64}$' } };
+
+const encodeBody = {
+  required: true,
+  ...json({
+    type: 'object',
+    required: ['message'],
+    properties: { message: { type: 'string', minLength: 1 }, key, ...txProperties, ...formatProperties },
+  }),
+};
+const audioResponse = {
+  description: 'Encoded audio in the requested format, or base64 audio with metadata for format=json',
+  headers: {
+    'X-Duration-Seconds': { schema: { type: 'number' } },
+    'X-Sample-Rate': { schema: { type: 'integer' } },
+  },
+  content: {
+    ...Object.fromEntries(Object.values(OUTPUT_FORMATS).map((f) => [f.type, { schema: { type: 'string', format: 'binary' } }])),
+    'application/json': { schema: ref('EncodedAudio') },
+  },
+};
+const busy = {
+  429: error('QUOTA_EXCEEDED or CLIENT_LIMIT; see Retry-After'),
+  503: error('QUEUE_FULL, BINARY_MISSING or FFMPEG_UNAVAILABLE'),
+  504: error('JOB_TIMEOUT'),
+};
+const decodeForm = (extra = {}) => ({
+  required: true,
+  content: {
+    'multipart/form-data': {
+      schema: {
+        type: 'object',
+        required: ['file'],
+        properties: { file: { type: 'string', format: 'binary' }, key, ...rxProperties, ...extra },
+      },
+    },
+  },
+});
+
+export const openapi = {
+  openapi: '3.1.0',
+  info: {
+    title: 'ggwave API',
+    version: '0.1.0',
+    description: 'Encode text into ggwave audio and decode recordings. Errors are { error, code } with a stable code. ' +
+      'Every response has an X-Request-Id header: the one sent with the request, or a new id; server logs carry it too.',
+  },
+  components: {
+    securitySchemes: {
+      bearer: { type: 'http', scheme: 'bearer' },
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['error', 'code'],
+        properties: {
+          error: { type: 'string' },
+          code: { type: 'string', enum: ERROR_CODES },
+          field: { type: 'string', description: 'Offending request field (INVALID_REQUEST)' },
+          retryAfter: { type: 'integer', description: 'Seconds to wait (429/503)' },
+          maxLength: { type: 'integer', description: 'MESSAGE_TOO_LONG' },
+          currentLength: { type: 'integer', description: 'MESSAGE_TOO_LONG' },
+          details: { type: 'string' },
+        },
+      },
+      Protocol: {
+        type: 'object',
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          family: { type: 'string' },
+          frequencyHz: { type: 'array', items: { type: 'number' } },
+          bytesPerSecond: { type: 'number' },
+          requiresFixedLength: { type: 'boolean' },
+        },
+      },
+      DecodedMessage: {
+        type: 'object',
+        properties: {
+          message: { type: 'string' },
+          encrypted: { type: 'boolean' },
+          protocol: nullable({ type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } }),
+          start: { type: 'number', description: 'Seconds from the start of the audio' },
+          end: { type: 'number' },
+          chunks: { type: 'integer' },
+          error: { type: 'string', description: 'Decryption failure of this message' },
+          code: { type: 'string' },
+        },
+      },
+      Decoded: {
+        type: 'object',
+        properties: {
+          message: { type: 'string', description: 'First decoded message' },
+          encrypted: { type: 'boolean' },
+          messages: { type: 'array', items: ref('DecodedMessage') },
+          incomplete: { type: 'array', items: { type: 'object' }, description: 'Long messages still missing chunks' },
+          diagnostics: ref('Diagnostics'),
+          raw: { type: 'string' },
+        },
+      },
+      Diagnostics: {
+        type: 'object',
+        description: 'Signal quality of the decoded audio; also returned with NO_SIGNAL and decryption errors',
+        properties: {
+          input: {
+            type: 'object',
+            properties: {
+              format: { type: 'string' },
+              sampleRate: { type: 'integer' },
+              channels: { type: 'integer' },
+              bitsPerSample: { type: 'integer' },
+              durationSeconds: { type: 'number' },
+            },
+          },
+          level: {
+            type: 'object',
+            properties: { peakDbfs: nullable({ type: 'number' }), rmsDbfs: nullable({ type: 'number' }), clippingRatio: { type: 'number' } },
+          },
+          bands: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { family: { type: 'string' }, frequencyHz: { type: 'array', items: { type: 'number' } }, snrDb: nullable({ type: 'number' }) },
+            },
+          },
+          snrDb: nullable({ type: 'number', description: 'Band of the detected protocol, else the best band' }),
+          startMarker: nullable({ type: 'boolean' }),
+          endMarker: nullable({ type: 'boolean' }),
+          failedDecodes: nullable({ type: 'integer', description: 'Transmissions that ended without a message' }),
+          protocol: nullable({ type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } }),
+          decoded: { type: 'integer' },
+          reason: nullable({ type: 'string', description: 'Why nothing decoded' }),
+        },
+      },
+      Channel: {
+        type: 'object',
+        description: 'Impairments applied in this order; each is off unless given',
+        properties: {
+          offsetSeconds: { type: 'number', minimum: -5, maximum: 5, description: 'Silence before the transmission; negative cuts its start' },
+          reverbSeconds: { type: 'number', minimum: 0, maximum: 2, description: 'RT60 of the room reverb' },
+          noise: { type: 'string', enum: ['white', 'pink'] },
+          snrDb: { type: 'number', minimum: -20, maximum: 60, description: 'Noise level against the encoded audio; required with noise' },
+          clipDb: { type: 'number', minimum: 0, maximum: 40, description: 'Gain before clipping at full scale' },
+          sampleRate: { type: 'integer', minimum: 8000, maximum: 96000, description: 'Capture rate the audio is resampled to' },
+          opus: { type: 'boolean', description: 'Opus round trip as /decode-webm receives (needs ffmpeg)' },
+          opusBitrate: { type: 'integer', minimum: 6, maximum: 256, default: 64, description: 'kbps' },
+          seed: { type: 'integer', minimum: 0, default: 1, description: 'Trial n uses seed + n' },
+        },
+      },
+      SimulationRow: {
+        type: 'object',
+        properties: {
+          protocol: { type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' } } },
+          trials: { type: 'integer' },
+          successes: { type: 'integer' },
+          successRate: { type: 'number' },
+          meanSnrDb: nullable({ type: 'number' }),
+          reasons: { type: 'object', description: 'Failed trials by diagnostics reason', additionalProperties: { type: 'integer' } },
+        },
+      },
+      EncodedAudio: {
+        type: 'object',
+        properties: {
+          audio: { type: 'string', contentEncoding: 'base64' },
+          format: { type: 'string' },
+          mimeType: { type: 'string' },
+          sampleRate: { type: 'integer' },
+          durationSeconds: { type: 'number' },
+          frames: { type: 'integer' },
+        },
+      },
+      Session: {
+        type: 'object',
+        required: ['id'],
+        properties: {
+          id: { type: 'string', pattern: '^[\\w-]{1,64}$' },
+          title: nullable({ type: 'string', maxLength: 200 }),
+          mode: nullable({ type: 'string', maxLength: 20 }),
+          createdAt: nullable({ type: 'number' }),
+        },
+      },
+      Message: {
+        type: 'object',
+        required: ['id', 'direction', 'text'],
+        properties: {
+          id: { type: 'string', pattern: '^[\\w-]{1,64}$' },
+          direction: { type: 'string', enum: ['sent', 'received'] },
+          text: { type: 'string', maxLength: 10000 },
+          encrypted: { type: 'boolean' },
+          protocol: nullable({ type: 'string', maxLength: 40 }),
+          at: nullable({ type: 'number' }),
+          timestamp: nullable({ type: 'number' }),
+          latencyMs: nullable({ type: 'number' }),
+          from: nullable({ type: 'string', maxLength: 40 }),
+        },
+      },
+    },
+  },
+  security: [{}, { bearer: [] }, { apiKey: [] }],
+  paths: {
+    '/openapi.json': {
+      get: { summary: 'This document', security: [], responses: { 200: { description: 'OpenAPI document' } } },
+    },
+    '/health': {
+      get: { summary: 'Engine, binaries, auth and load', security: [], responses: { 200: { description: 'Server status' } } },
+    },
+    '/ready': {
+      get: {
+        summary: 'Readiness self-test: encode/decode round trip, ffmpeg and codecs, temp space, versions',
+        description: 'Cached for READY_CACHE_SECONDS. `degraded` names the features that do not work; each entry of ' +
+          '`features` has { label, ok, reason? }.',
+        security: [],
+        responses: {
+          200: json({
+            type: 'object',
+            properties: {
+              ready: { type: 'boolean' },
+              status: { type: 'string', enum: ['ok', 'degraded', 'unavailable'] },
+              degraded: { type: 'array', items: { type: 'string' } },
+              features: { type: 'object' },
+              checks: { type: 'object' },
+              versions: { type: 'object' },
+              cached: { type: 'boolean' },
+            },
+          }),
+          503: error('NOT_READY, with the same report'),
+        },
+      },
+    },
+    '/metrics': {
+      get: {
+        summary: 'Prometheus metrics',
+        description: 'Needs the METRICS_TOKEN bearer token when the server sets one, with or without API keys',
+        security: [],
+        responses: {
+          200: { description: 'Text exposition format 0.0.4', content: { 'text/plain': { schema: { type: 'string' } } } },
+          401: error('UNAUTHORIZED'),
+        },
+      },
+    },
+    '/protocols': {
+      get: {
+        summary: 'Protocols, defaults and limits',
+        security: [],
+        responses: { 200: json({ type: 'object', properties: { protocols: { type: 'array', items: ref('Protocol') } } }) },
+      },
+    },
+    '/usage': {
+      get: { summary: "The caller's use of its current quota window", responses: { 200: { description: 'Usage' }, 401: error('UNAUTHORIZED') } },
+    },
+    '/encode': {
+      post: {
+        summary: 'Encode a message of one frame',
+        parameters: queryParams(formatProperties),
+        requestBody: encodeBody,
+        responses: {
+          200: audioResponse,
+          400: error('INVALID_REQUEST or MESSAGE_TOO_LONG'),
+          422: error('LOSSY_FORMAT_FAILED'),
+          500: error('ENCODE_FAILED or FFMPEG_FAILED'),
+          ...busy,
+        },
+      },
+    },
+    '/encode-long': {
+      post: {
+        summary: 'Encode a message of any length as consecutive frames (redirects to /encode when one frame is enough)',
+        parameters: queryParams(formatProperties),
+        requestBody: encodeBody,
+        responses: {
+          200: audioResponse,
+          307: { description: 'The message fits one frame; repeat the request at /encode' },
+          400: error('INVALID_REQUEST or MESSAGE_TOO_LONG'),
+          422: error('LOSSY_FORMAT_FAILED'),
+          500: error('ENCODE_FAILED or FFMPEG_FAILED'),
+          ...busy,
+        },
+      },
+    },
+    '/decode': {
+      post: {
+        summary: 'Decode a recording in any audio format',
+        requestBody: decodeForm(),
+        responses: {
+          200: json(ref('Decoded')),
+          400: error('INVALID_REQUEST or INVALID_AUDIO'),
+          413: error('PAYLOAD_TOO_LARGE or AUDIO_TOO_LONG'),
+          415: error('UNSUPPORTED_FORMAT'),
+          422: error('NO_SIGNAL, or NOT_ENCRYPTED / WRONG_KEY / TAMPERED when nothing could be decrypted'),
+          500: error('DECODE_FAILED'),
+          ...busy,
+        },
+      },
+    },
+    '/decode-webm': {
+      post: {
+        summary: 'Decode a WebM/Opus microphone chunk; long messages are collected across chunks of one session',
+        description: 'Chunks without a transmission are not an error: they answer 200 with an empty message.',
+        requestBody: decodeForm({ session: { type: 'string', maxLength: 64 } }),
+        responses: {
+          200: json(ref('Decoded')),
+          400: error('INVALID_REQUEST'),
+          413: error('PAYLOAD_TOO_LARGE or AUDIO_TOO_LONG'),
+          422: error('NOT_ENCRYPTED / WRONG_KEY / TAMPERED'),
+          500: error('DECODE_FAILED or FFMPEG_FAILED'),
+          ...busy,
+        },
+      },
+    },
+    '/simulate': {
+      post: {
+        summary: 'Encode a message, pass it through a simulated acoustic channel and report decode success per protocol',
+        requestBody: {
+          required: true,
+          ...json({
+            type: 'object',
+            properties: {
+              message: { type: 'string', minLength: 1, maxLength: MAX_VARIABLE_LENGTH, default: 'hello ggwave' },
+              protocols: { type: 'array', minItems: 1, maxItems: PROTOCOLS.length, items: txProperties.protocol, description: 'Default: every protocol usable with payloadLength' },
+              trials: { type: 'integer', minimum: 1, maximum: MAX_TRIALS, default: 5 },
+              volume: txProperties.volume,
+              sampleRate: txProperties.sampleRate,
+              payloadLength: txProperties.payloadLength,
+              dss: txProperties.dss,
+              channel: ref('Channel'),
+            },
+          }),
+        },
+        responses: {
+          200: json({
+            type: 'object',
+            properties: { message: { type: 'string' }, channel: ref('Channel'), results: { type: 'array', items: ref('SimulationRow') } },
+          }),
+          400: error('INVALID_REQUEST'),
+          500: error('SIMULATION_FAILED'),
+          ...busy,
+        },
+      },
+    },
+    '/history/sessions': {
+      get: {
+        summary: 'Sessions, newest first, optionally filtered by a search',
+        parameters: queryParams({ q: { type: 'string' } }),
+        responses: { 200: { description: 'Sessions' } },
+      },
+      post: {
+        summary: 'Create a session or update its title/mode',
+        requestBody: { required: true, ...json(ref('Session')) },
+        responses: { 200: json(ref('Session')), 400: error('INVALID_REQUEST') },
+      },
+    },
+    '/history/sessions/{id}': {
+      get: { summary: 'A session with its messages', parameters: [idParam], responses: { 200: { description: 'Session' }, 404: error('NOT_FOUND') } },
+      delete: { summary: 'Delete a session', parameters: [idParam], responses: { 200: { description: 'Deleted' }, 404: error('NOT_FOUND') } },
+    },
+    '/history/sessions/{id}/messages': {
+      post: {
+        summary: 'Append messages (ids already stored are ignored)',
+        parameters: [idParam],
+        requestBody: {
+          required: true,
+          ...json({ type: 'object', required: ['messages'], properties: { messages: { type: 'array', minItems: 1, maxItems: 500, items: ref('Message') } } }),
+        },
+        responses: { 200: { description: 'Session' }, 400: error('INVALID_REQUEST'), 404: error('NOT_FOUND') },
+      },
+    },
+    '/history/sessions/{id}/export': {
+      get: {
+        summary: 'Download a session',
+        parameters: [idParam, ...queryParams({ format: { type: 'string', enum: ['json', 'csv'], default: 'json' } })],
+        responses: { 200: { description: 'JSON or CSV attachment' }, 400: error('INVALID_REQUEST'), 404: error('NOT_FOUND') },
+      },
+    },
+    '/history/search': {
+      get: {
+        summary: 'Messages containing every word of q',
+        parameters: queryParams({ q: { type: 'string' }, limit: { type: 'integer', minimum: 1, maximum: 1000, default: 200 } }),
+        responses: { 200: { description: 'Results' } },
+      },
+    },
+    '/responder/models': {
+      get: { summary: 'Models of the robot responder', responses: { 200: { description: 'Models' } } },
+    },
+    '/ws/cli': {
+      get: {
+        summary: 'WebSocket: a ggwave-cli session on the server audio devices',
+        parameters: queryParams({
+          protocol: txProperties.protocol,
+          payloadLength: txProperties.payloadLength,
+          dss: txProperties.dss,
+          capture: { type: 'integer', minimum: 0, maximum: 255, default: 0 },
+          playback: { type: 'integer', minimum: 0, maximum: 255, default: 0 },
+          tones: { type: 'boolean', default: false },
+          token: { type: 'string', description: 'API key' },
+        }),
+        responses: { 101: { description: 'Switching protocols' }, 400: error('INVALID_REQUEST'), 401: error('UNAUTHORIZED') },
+      },
+    },
+    '/ws/decode': {
+      get: {
+        summary: 'WebSocket: streaming decode of raw microphone samples',
+        parameters: queryParams({
+          sampleRate: { type: 'integer', minimum: 8000, maximum: 96000, default: 48000 },
+          format: { type: 'string', enum: ['f32', 's16'], default: 'f32' },
+          ...rxProperties,
+          token: { type: 'string', description: 'API key' },
+        }),
+        responses: { 101: { description: 'Switching protocols' }, 400: error('INVALID_REQUEST'), 401: error('UNAUTHORIZED') },
+      },
+    },
+    '/ws/room': {
+      get: {
+        summary: 'WebSocket: a named room relaying messages and presence between clients',
+        parameters: queryParams({
+          room: { type: 'string', pattern: '^[\\w.-]{1,64}$' },
+          name: { type: 'string', maxLength: 40 },
+          token: { type: 'string', description: 'API key' },
+        }, ['room']),
+        responses: { 101: { description: 'Switching protocols' }, 400: error('INVALID_REQUEST'), 401: error('UNAUTHORIZED') },
+      },
+    },
+  },
+};
+
+const resolve = (schema) => (schema.$ref ? openapi.components.schemas[schema.$ref.split('/').pop()] : schema);
+const isObject = (v) => typeof v === 'object' && v !== null && !Array.isArray(v) && !Buffer.isBuffer(v);
+
+const TYPE_CHECKS = {
+  null: (v) => (v === null ? { ok: true, value: v } : null),
+  string: (v) => (typeof v === 'string' ? { ok: true, value: v } : null),
+  integer: (v, loose) => {
+    const n = loose && typeof v === 'string' && /^-?\d+$/.test(v.trim()) ? Number(v) : v;
+    return Number.isInteger(n) ? { ok: true, value: n } : null;
+  },
+  number: (v, loose) => {
+    const n = loose && typeof v === 'string' && v.trim() !== '' ? Number(v) : v;
+    return typeof n === 'number' && Number.isFinite(n) ? { ok: true, value: n } : null;
+  },
+  // same spellings as the option parsers accept
+  boolean: (v, loose) => {
+    if (typeof v === 'boolean') return { ok: true, value: v };
+    if (!loose) return null;
+    if (['true', '1', 'on', 1].includes(v)) return { ok: true, value: true };
+    if (['false', '0', 'off', 0].includes(v)) return { ok: true, value: false };
+    return null;
+  },
+  object: (v) => (isObject(v) ? { ok: true, value: v } : null),
+  array: (v) => (Array.isArray(v) ? { ok: true, value: v } : null),
+};
+
+const describe = (schema) => {
+  const types = [].concat(schema.type).filter((t) => t !== 'null');
+  if (schema.enum) return `one of ${schema.enum.join(', ')}`;
+  const type = types.join(' or ');
+  if (schema.minimum !== undefined && schema.maximum !== undefined) return `an ${type} between ${schema.minimum} and ${schema.maximum}`;
+  if (schema.maxLength !== undefined) return `a ${type} of at most ${schema.maxLength} characters`;
+  if (schema.pattern) return `a ${type} matching ${schema.pattern}`;
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+};
+
+// The value checked (and, when `loose`, converted from its string form) against a schema. Throws OptionError.
+export function check(schema, value, field, loose = false) {
+  schema = resolve(schema);
+  if (schema.format === 'binary') {
+    if (!value) throw new OptionError(field, `${field} is required`);
+    return value;
+  }
+  const fail = () => {
+    throw new OptionError(field, `${field} must be ${describe(schema)}`);
+  };
+  let result = null;
+  for (const type of [].concat(schema.type ?? [])) {
+    result = TYPE_CHECKS[type](value, loose);
+    if (result) break;
+  }
+  if (!result) fail();
+  const v = result.value;
+  if (v === null) return v;
+  if (schema.enum && !schema.enum.includes(v)) fail();
+  if (typeof v === 'number' && ((schema.minimum !== undefined && v < schema.minimum) || (schema.maximum !== undefined && v > schema.maximum))) fail();
+  if (typeof v === 'string') {
+    if ((schema.minLength !== undefined && v.length < schema.minLength) || (schema.maxLength !== undefined && v.length > schema.maxLength)) fail();
+    if (schema.pattern && !new RegExp(schema.pattern).test(v)) fail();
+  }
+  if (Array.isArray(v)) {
+    if ((schema.minItems !== undefined && v.length < schema.minItems) || (schema.maxItems !== undefined && v.length > schema.maxItems)) {
+      throw new OptionError(field, `${field} must have ${schema.minItems ?? 0}-${schema.maxItems ?? 'any'} entries`);
+    }
+    return schema.items ? v.map((item, i) => check(schema.items, item, `${field}[${i}]`, loose)) : v;
+  }
+  if (isObject(v) && schema.properties) return checkObject(schema, v, field, loose);
+  return v;
+}
+
+function checkObject(schema, source, prefix, loose) {
+  const out = { ...source };
+  for (const [name, property] of Object.entries(schema.properties ?? {})) {
+    const field = prefix ? `${prefix}.${name}` : name;
+    let value = source[name];
+    // an empty query/form field counts as absent, as in the option parsers
+    if (loose && value === '' && resolve(property).type !== 'string') value = undefined;
+    if (value === undefined) {
+      if (schema.required?.includes(name)) throw new OptionError(field, `${field} is required`);
+      continue;
+    }
+    out[name] = check(property, value, field, loose);
+  }
+  return out;
+}
+
+// Operations by Express method and route path (`/history/sessions/:id` for `/history/sessions/{id}`)
+const operations = new Map();
+for (const [path, methods] of Object.entries(openapi.paths)) {
+  for (const [method, operation] of Object.entries(methods)) {
+    operations.set(`${method.toUpperCase()} ${path.replace(/\{(\w+)\}/g, ':$1')}`, operation);
+  }
+}
+
+// Checks parameters and body of a request against its operation. Throws OptionError.
+export function validateRequest(method, routePath, { params = {}, query = {}, body, file } = {}) {
+  const operation = operations.get(`${method} ${routePath}`);
+  if (!operation) throw new Error(`No OpenAPI operation for ${method} ${routePath}`);
+  for (const p of operation.parameters ?? []) {
+    const source = p.in === 'path' ? params : query;
+    const value = source[p.name] === '' ? undefined : source[p.name];
+    if (value === undefined) {
+      if (p.required) throw new OptionError(p.name, `${p.name} is required`);
+      continue;
+    }
+    check(p.schema, value, p.name, true);
+  }
+  const content = operation.requestBody?.content;
+  if (content?.['application/json']) {
+    checkObject(resolve(content['application/json'].schema), isObject(body) ? body : {}, '', false);
+  } else if (content?.['multipart/form-data']) {
+    checkObject(content['multipart/form-data'].schema, { ...body, file }, '', true);
+  }
+}
+
+// Route middleware: 400 INVALID_REQUEST when the request does not match the spec. Multipart routes run it
+// after the upload middleware so form fields are available.
+export function validate(req, res, next) {
+  try {
+    validateRequest(req.method, req.route.path, req);
+  } catch (e) {
+    if (!(e instanceof OptionError)) return next(e);
+    return sendError(res, 'INVALID_REQUEST', e.message, { field: e.field });
+  }
+  next();
+}
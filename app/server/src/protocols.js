@@ -0,0 +1,114 @@
+// ggwave's built-in protocols (GGWave::Protocols::kDefault in ggwave.h) and validation of the
+// modulation options accepted by the encode/decode routes.
+
+const SAMPLES_PER_FRAME = 1024;
+const BASE_SAMPLE_RATE = 48000;
+const HZ_PER_BIN = BASE_SAMPLE_RATE / SAMPLES_PER_FRAME;
+
+export const MAX_VARIABLE_LENGTH = 140;
+export const MAX_FIXED_LENGTH = 64;
+
+// [id, name, family, freqStart (FFT bin), framesPerTx, bytesPerTx, extra (2 = mono-tone)]
+const TABLE = [
+  [0, 'Normal', 'audible', 40, 9, 3, 1],
+  [1, 'Fast', 'audible', 40, 6, 3, 1],
+  [2, 'Fastest', 'audible', 40, 3, 3, 1],
+  [3, '[U] Normal', 'ultrasound', 320, 9, 3, 1],
+  [4, '[U] Fast', 'ultrasound', 320, 6, 3, 1],
+  [5, '[U] Fastest', 'ultrasound', 320, 3, 3, 1],
+  [6, '[DT] Normal', 'dual-tone', 24, 9, 1, 1],
+  [7, '[DT] Fast', 'dual-tone', 24, 6, 1, 1],
+  [8, '[DT] Fastest', 'dual-tone', 24, 3, 1, 1],
+  [9, '[MT] Normal', 'mono-tone', 24, 9, 1, 2],
+  [10, '[MT] Fast', 'mono-tone', 24, 6, 1, 2],
+  [11, '[MT] Fastest', 'mono-tone', 24, 3, 1, 2],
+];
+
+export const PROTOCOLS = TABLE.map(([id, name, family, freqStart, framesPerTx, bytesPerTx, extra]) => {
+  const tones = (2 * bytesPerTx) / extra;
+  const txSeconds = (framesPerTx * extra * SAMPLES_PER_FRAME) / BASE_SAMPLE_RATE;
+  return {
+    id,
+    name,
+    family,
+    // each tone carries 4 bits on one of 16 bins
+    frequencyHz: [freqStart * HZ_PER_BIN, (freqStart + tones * 16) * HZ_PER_BIN],
+    // raw symbol rate; error correction roughly halves the usable rate for short payloads
+    bytesPerSecond: Math.round((bytesPerTx / txSeconds) * 10) / 10,
+    framesPerTx,
+    bytesPerTx,
+    // mono-tone protocols cannot signal their own length
+    requiresFixedLength: extra === 2,
+  };
+});
+
+export const protocolById = (id) => PROTOCOLS.find(p => p.id === id) ?? null;
+
+// Expected length in ggwave frames of a fixed-length transmission (those carry no start/end markers)
+export function fixedLengthFrames(protocolId, payloadLength) {
+  const [, , , , framesPerTx, bytesPerTx, extra] = TABLE[protocolId];
+  const bytes = payloadLength + (payloadLength < 4 ? 2 : Math.max(4, 2 * Math.floor(payloadLength / 5)));
+  return Math.ceil(bytes / bytesPerTx) * framesPerTx * extra;
+}
+
+export class OptionError extends Error {
+  constructor(field, message) {
+    super(message);
+    this.name = 'OptionError';
+    this.field = field;
+  }
+}
+
+const present = (v) => v !== undefined && v !== null && v !== '';
+
+function integer(source, field, min, max) {
+  const value = Number(source[field]);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new OptionError(field, `${field} must be an integer between ${min} and ${max}`);
+  }
+  return value;
+}
+
+function flag(source, field) {
+  const value = source[field];
+  if (!present(value)) return false;
+  if ([true, 'true', '1', 1, 'on'].includes(value)) return true;
+  if ([false, 'false', '0', 0, 'off'].includes(value)) return false;
+  throw new OptionError(field, `${field} must be a boolean`);
+}
+
+// Options shared by transmitter and receiver: both sides must agree on payloadLength and dss
+export function parseRxOptions(source = {}) {
+  return {
+    payloadLength: present(source.payloadLength) ? integer(source, 'payloadLength', 1, MAX_FIXED_LENGTH) : null,
+    dss: flag(source, 'dss'),
+  };
+}
+
+// Body/query fields { protocol?, volume?, sampleRate?, payloadLength?, dss? } with defaults applied
+export function parseTxOptions(source = {}) {
+  const options = {
+    protocol: present(source.protocol) ? integer(source, 'protocol', 0, PROTOCOLS.length - 1) : 1,
+    volume: present(source.volume) ? integer(source, 'volume', 1, 100) : 50,
+    sampleRate: present(source.sampleRate) ? integer(source, 'sampleRate', 1000, 96000) : BASE_SAMPLE_RATE,
+    ...parseRxOptions(source),
+  };
+  if (protocolById(options.protocol).requiresFixedLength && !options.payloadLength) {
+    throw new OptionError('payloadLength', `${protocolById(options.protocol).name} needs a fixed payloadLength`);
+  }
+  return options;
+}
+
+// /ws/cli settings: the transmit options plus ggwave-cli's capture/playback device ids and tone printing
+export function parseCliOptions(source = {}) {
+  const { volume, sampleRate, ...tx } = parseTxOptions(source);
+  return {
+    ...tx,
+    capture: present(source.capture) ? integer(source, 'capture', 0, 255) : 0,
+    playback: present(source.playback) ? integer(source, 'playback', 0, 255) : 0,
+    tones: flag(source, 'tones'),
+  };
+}
+
+// Largest payload one transmission can carry with these options
+export const maxFrameLength = (options) => options.payloadLength ?? MAX_VARIABLE_LENGTH;
@@ -0,0 +1,140 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { OUTPUT_FORMATS, outputEncoder, probeFfmpeg } from './audio.js';
+import { CLI_BIN, FROM_FILE, TO_FILE, ensureBinaryExists, parseDecoded } from './engine.js';
+import { writeWav } from './wav.js';
+
+// Self-test behind GET /ready. It encodes a short message and decodes it again with the engine. It also checks
+// ffmpeg and the codecs the routes use, and that temp files can be written with `minFreeBytes` to spare. From
+// that it lists which features work. The server is ready when encoding and decoding work; anything else that is
+// broken only degrades it. Reports are cached for `ttlMs`, and callers arriving during a run share it.
+
+const PROBE_MESSAGE = 'ready?';
+const CHECK_TIMEOUT_MS = 15000;
+// ffmpeg decoders of the Opus audio in browser WebM recordings
+const OPUS_DECODERS = ['opus', 'libopus'];
+
+const feature = (label, reason) => ({ label, ok: !reason, ...(reason ? { reason } : {}) });
+
+async function roundTrip(engine, signal) {
+  const began = Date.now();
+  let encoded = false;
+  try {
+    if (!engine.canEncode()) throw new Error(engine.missingEncoder);
+    const { pcm, sampleRate } = await engine.encode(PROBE_MESSAGE, { protocol: 1, volume: 50, sampleRate: 48000, payloadLength: null, dss: false, signal });
+    encoded = true;
+    if (!engine.canDecode()) throw new Error(engine.missingDecoder);
+    const { raw } = await engine.decode(writeWav(pcm, sampleRate), { signal });
+    const heard = parseDecoded(raw).map((d) => d.payload);
+    if (!heard.includes(PROBE_MESSAGE)) throw new Error(`Decoded ${JSON.stringify(heard)} instead of "${PROBE_MESSAGE}"`);
+    return { ok: true, encode: true, decode: true, ms: Date.now() - began };
+  } catch (e) {
+    return { ok: false, encode: encoded, decode: false, ms: Date.now() - began, error: e.message };
+  }
+}
+
+async function ffmpegCheck(signal) {
+  const wanted = {
+    encoders: Object.keys(OUTPUT_FORMATS).map(outputEncoder).filter(Boolean),
+    decoders: OPUS_DECODERS,
+  };
+  try {
+    const found = await probeFfmpeg({ signal });
+    const has = (kind) => Object.fromEntries(wanted[kind].map((name) => [name, found[kind].has(name)]));
+    return { ok: true, version: found.version, encoders: has('encoders'), decoders: has('decoders') };
+  } catch (e) {
+    return { ok: false, version: null, error: e.code === 'ENOENT' ? 'ffmpeg is not installed' : e.message };
+  }
+}
+
+async function tempDirCheck(minFreeBytes) {
+  const dir = os.tmpdir();
+  try {
+    const probe = await fs.promises.mkdtemp(path.join(dir, 'ggwave-ready-'));
+    try {
+      await fs.promises.writeFile(path.join(probe, 'probe'), PROBE_MESSAGE);
+    } finally {
+      await fs.promises.rm(probe, { recursive: true, force: true });
+    }
+    const { bavail, bsize } = await fs.promises.statfs(dir);
+    const freeBytes = bavail * bsize;
+    if (freeBytes < minFreeBytes) return { ok: false, dir, freeBytes, error: `Only ${Math.floor(freeBytes / 1048576)} MB free in ${dir}` };
+    return { ok: true, dir, freeBytes };
+  } catch (e) {
+    return { ok: false, dir, freeBytes: null, error: e.message };
+  }
+}
+
+// Features by name, each { label, ok, reason? }
+function features(engine, { roundTrip: rt, ffmpeg, tempDir }) {
+  // every ffmpeg feature converts through temp files
+  const ffmpegMissing = ffmpeg.ok ? (tempDir.ok ? null : `Temp files: ${tempDir.error}`) : ffmpeg.error;
+  const codec = (kind, names) => {
+    if (ffmpegMissing) return ffmpegMissing;
+    if (names.some((name) => ffmpeg[kind][name])) return null;
+    return `ffmpeg has no ${names.join(' or ')} ${kind === 'encoders' ? 'encoder' : 'decoder'}`;
+  };
+  const outputs = Object.keys(OUTPUT_FORMATS).filter(outputEncoder).map((format) => [
+    `${format}Output`,
+    feature(`${format.toUpperCase()} output`, codec('encoders', [outputEncoder(format)])),
+  ]);
+  return {
+    encode: feature('Encoding', rt.encode ? null : rt.error),
+    decode: feature('Decoding', rt.decode ? null : rt.error),
+    streaming: feature('Live mic decoding', !engine.createStreamDecoder ? 'Needs the wasm engine' : rt.decode ? null : rt.error),
+    uploads: feature('Non-WAV uploads', ffmpegMissing),
+    decodeWebm: feature('WebM mic chunks', codec('decoders', OPUS_DECODERS)),
+    ...Object.fromEntries(outputs),
+    simulateOpus: feature('Opus channel simulation', codec('encoders', ['libopus']) ?? codec('decoders', OPUS_DECODERS)),
+    cli: feature('Speaker and mic sessions (ggwave-cli)', ensureBinaryExists(CLI_BIN) ? null : 'ggwave-cli binary not found'),
+  };
+}
+
+export function createReadiness(engine, { ttlMs = 30000, minFreeBytes = 100 * 1024 * 1024, version = null } = {}) {
+  let last = null;
+  let running = null;
+
+  const run = async () => {
+    const began = Date.now();
+    const signal = AbortSignal.timeout(CHECK_TIMEOUT_MS);
+    const [rt, ffmpeg, tempDir] = await Promise.all([roundTrip(engine, signal), ffmpegCheck(signal), tempDirCheck(minFreeBytes)]);
+    const checks = {
+      roundTrip: rt,
+      ffmpeg,
+      tempDir,
+      binaries: Object.fromEntries([TO_FILE, FROM_FILE, CLI_BIN].map((bin) => [path.basename(bin), ensureBinaryExists(bin)])),
+    };
+    const list = features(engine, checks);
+    const degraded = Object.keys(list).filter((name) => !list[name].ok);
+    const ready = rt.ok;
+    return {
+      ready,
+      status: !ready ? 'unavailable' : degraded.length ? 'degraded' : 'ok',
+      degraded,
+      features: list,
+      checks,
+      versions: { app: version, node: process.version, engine: engine.name, ffmpeg: ffmpeg.version },
+      checkedAt: new Date(began).toISOString(),
+      durationMs: Date.now() - began,
+    };
+  };
+
+  return {
+    // Resolves to the report, with `cached` telling whether it came from an earlier run
+    check() {
+      if (last && Date.now() - last.at < ttlMs) return Promise.resolve({ ...last.report, cached: true });
+      running ??= run()
+        .then((report) => {
+          last = { report, at: Date.now() };
+          return { ...report, cached: false };
+        })
+        .finally(() => {
+          running = null;
+        });
+      return running;
+    },
+    // The last report, or null before the first check
+    last: () => last?.report ?? null,
+  };
+}
@@ -0,0 +1,159 @@
+import { splitByBytes } from './envelope.js';
+import { OptionError } from './protocols.js';
+import { log } from './log.js';
+
+// Automated responder ("robot"): transmits a greeting when a session starts and answers each decoded message
+// according to a goal. Replies come from a model backend, an object with
+//   { name, generate({ goal, history, message }) => Promise<string> }
+// where history is the conversation so far as [{ role: 'user' | 'assistant', text }]. Backends are registered
+// per model name; 'Local Small' is a deterministic rule/template backend that needs no network.
+
+export const MODELS = ['Llama 4 Maverick', 'Local Small', 'Cloud Powerful'];
+export const DEFAULT_MODEL = 'Local Small';
+const MAX_GREETING_LENGTH = 100;
+const MAX_GOAL_LENGTH = 400;
+// one variable-length ggwave transmission
+const MAX_REPLY_LENGTH = 140;
+const HISTORY_TURNS = 20;
+
+// Body/message fields { greeting?, goal?, model? } as collected by the client's robot settings
+export function parseResponderConfig(source = {}) {
+  const text = (field, max) => {
+    const value = source[field] ?? '';
+    if (typeof value !== 'string' || value.length > max) {
+      throw new OptionError(field, `${field} must be a string of at most ${max} characters`);
+    }
+    return value.trim();
+  };
+  const model = source.model ?? DEFAULT_MODEL;
+  if (!MODELS.includes(model)) throw new OptionError('model', `model must be one of ${MODELS.join(', ')}`);
+  return { greeting: text('greeting', MAX_GREETING_LENGTH), goal: text('goal', MAX_GOAL_LENGTH), model };
+}
+
+// FNV-1a, so the local backend picks the same template for the same conversation
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+}
+
+const RULES = [
+  [/^(hi+|hel+o+|hey+|hola|good (morning|afternoon|evening))\b/i, ['Hello! {goal}', 'Hi there! {goal}', 'Hey! {goal}']],
+  [/\b(thanks|thank you|thx|gracias)\b/i, ['You are welcome!', 'Any time.', 'Glad to help.']],
+  [/\b(bye|goodbye|see you|adios)\b/i, ['Goodbye!', 'See you next time.', 'Bye for now!']],
+  [/\b(who|what) are you\b/i, ['I am a robot talking over sound. {goal}', 'A ggwave robot. {goal}']],
+  [/\?\s*$/, ['Good question. {goal}', 'Let me think about "{message}". {goal}', 'Hard to say. {goal}']],
+];
+const FALLBACK = ['You said "{message}". {goal}', 'Got it: "{message}".', 'Interesting. {goal}', 'Tell me more.'];
+
+export function createLocalBackend() {
+  return {
+    name: 'local',
+    async generate({ goal, history, message }) {
+      const templates = RULES.find(([re]) => re.test(message))?.[1] ?? FALLBACK;
+      const template = templates[hash(`${history.length}:${message}`) % templates.length];
+      // the first sentence of the goal steers the conversation
+      const about = goal ? `My goal: ${goal.split(/[.!?\n]/)[0].trim()}.` : '';
+      const values = { message: message.length > 40 ? `${message.slice(0, 40)}...` : message, goal: about };
+      // one pass with a function, so $& or {goal} in the user's text is not expanded
+      return template.replace(/\{(message|goal)\}/g, (_, name) => values[name]).trim();
+    },
+  };
+}
+
+// Any OpenAI-compatible chat completions endpoint
+export function createHttpBackend({ url, apiKey, model, timeoutMs = 15000 }) {
+  return {
+    name: `http:${model}`,
+    async generate({ goal, history, message }) {
+      const system = [
+        'You are a robot chatting with another device over sound. Reply in one short sentence of plain text,',
+        `at most ${MAX_REPLY_LENGTH} characters.`,
+        goal ? `Your goal: ${goal}` : '',
+      ].join(' ');
+      const resp = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+        body: JSON.stringify({
+          model,
+          messages: [
+            { role: 'system', content: system },
+            ...history.map((h) => ({ role: h.role, content: h.text })),
+            { role: 'user', content: message },
+          ],
+        }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      if (!resp.ok) throw new Error(`Model backend returned ${resp.status}`);
+      const json = await resp.json();
+      return String(json.choices?.[0]?.message?.content ?? '');
+    },
+  };
+}
+
+const backends = new Map();
+export function registerBackend(model, backend) {
+  backends.set(model, backend);
+}
+
+registerBackend('Local Small', createLocalBackend());
+// Remote models go through RESPONDER_API_URL; without it they are answered by the local backend
+if (process.env.RESPONDER_API_URL) {
+  for (const model of ['Llama 4 Maverick', 'Cloud Powerful']) {
+    registerBackend(model, createHttpBackend({
+      url: process.env.RESPONDER_API_URL,
+      apiKey: process.env.RESPONDER_API_KEY,
+      model: process.env.RESPONDER_API_MODEL || model.toLowerCase().replace(/\s+/g, '-'),
+    }));
+  }
+}
+
+export const listModels = () => MODELS.map((name) => ({ name, backend: backends.get(name)?.name ?? 'local' }));
+
+// Conversation state for one session. reply() resolves to null when there is nothing to answer. Replies are
+// cut to maxLength bytes (a number or a function returning one) so sessions that can only send single frames
+// (ggwave-cli) can transmit them.
+export function createResponder(config, { maxLength = MAX_REPLY_LENGTH } = {}) {
+  const limit = () => Math.max(1, typeof maxLength === 'function' ? maxLength() : maxLength);
+  const local = backends.get('Local Small');
+  const backend = backends.get(config.model) ?? local;
+  const history = [];
+  const remember = (role, text) => {
+    history.push({ role, text });
+    history.splice(0, history.length - HISTORY_TURNS);
+  };
+
+  return {
+    backend: backend.name,
+
+    greeting() {
+      const greeting = splitByBytes(config.greeting, limit())[0];
+      if (!greeting) return null;
+      remember('assistant', greeting);
+      return greeting;
+    },
+
+    async reply(message) {
+      const text = message.trim();
+      if (!text) return null;
+      // our own transmission picked up by the microphone
+      if (history.some((h) => h.role === 'assistant' && h.text === text)) return null;
+      const context = { goal: config.goal, history: [...history], message: text };
+      let reply;
+      try {
+        reply = await backend.generate(context);
+      } catch (e) {
+        log.warn('responder: backend failed, using the local backend', { backend: backend.name, error: e.message });
+        reply = await local.generate(context);
+      }
+      reply = splitByBytes(reply.replace(/\s+/g, ' ').trim(), limit())[0] ?? '';
+      remember('user', text);
+      if (!reply) return null;
+      remember('assistant', reply);
+      return reply;
+    },
+  };
+}
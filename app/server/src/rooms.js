@@ -0,0 +1,84 @@
+import crypto from 'crypto';
+import { OptionError } from './protocols.js';
+
+// Named rooms of /ws/room connections. Members relay what they send and decode (mic, WAV upload, CLI), and the
+// room broadcasts it to every other member with the sender's name, along with join/leave presence events.
+// Rooms exist while they have members; a room holds at most `maxMembers`.
+
+const ROOM_NAME_RE = /^[\w.-]{1,64}$/;
+const MAX_MEMBER_NAME = 40;
+const MAX_TEXT_LENGTH = 10000;
+const DIRECTIONS = ['sent', 'received'];
+// where a message came from: typed or a file (sent), the robot, or decoded from the mic, an upload or ggwave-cli
+const SOURCES = ['composer', 'file', 'robot', 'mic', 'upload', 'cli'];
+
+export class RoomFullError extends Error {
+  constructor(room) {
+    super(`Room ${room} is full`);
+    this.name = 'RoomFullError';
+  }
+}
+
+// Query of /ws/room: room, name?
+export function parseMember(source = {}) {
+  const room = String(source.room ?? '');
+  if (!ROOM_NAME_RE.test(room)) throw new OptionError('room', 'room must be 1-64 letters, digits, _ . or -');
+  const name = String(source.name ?? '').trim().slice(0, MAX_MEMBER_NAME) || 'Guest';
+  return { room, name };
+}
+
+// A { type: 'message', ... } from a member: one sent or decoded message, as stored in history
+export function parseRoomMessage(source = {}) {
+  if (!DIRECTIONS.includes(source.direction)) throw new OptionError('direction', `direction must be one of ${DIRECTIONS.join(', ')}`);
+  if (typeof source.text !== 'string' || !source.text || source.text.length > MAX_TEXT_LENGTH) {
+    throw new OptionError('text', `text must be a string of 1-${MAX_TEXT_LENGTH} characters`);
+  }
+  if (source.source != null && !SOURCES.includes(source.source)) throw new OptionError('source', `source must be one of ${SOURCES.join(', ')}`);
+  const number = (key) => (typeof source[key] === 'number' && Number.isFinite(source[key]) ? source[key] : null);
+  return {
+    direction: source.direction,
+    text: source.text,
+    encrypted: source.encrypted === true,
+    protocol: typeof source.protocol === 'string' ? source.protocol.slice(0, 40) : null,
+    at: number('at'),
+    source: source.source ?? null,
+  };
+}
+
+export function createRooms({ maxMembers = 16 } = {}) {
+  const rooms = new Map();
+
+  const send = (member, event) => member.ws.readyState === member.ws.OPEN && member.ws.send(JSON.stringify(event));
+  const describe = (member) => ({ id: member.id, name: member.name });
+  const membersOf = (room) => [...(rooms.get(room) ?? [])].map(describe);
+  const broadcast = (room, event, except = null) => {
+    for (const member of rooms.get(room) ?? []) if (member !== except) send(member, event);
+  };
+
+  // Adds ws to the room and announces it; returns the member, whose leave() must be called on close
+  const join = (room, name, ws) => {
+    const members = rooms.get(room) ?? new Set();
+    if (members.size >= maxMembers) throw new RoomFullError(room);
+    rooms.set(room, members);
+    const member = { id: crypto.randomUUID().slice(0, 8), name, ws };
+    members.add(member);
+    send(member, { type: 'joined', room, you: describe(member), members: membersOf(room) });
+    broadcast(room, { type: 'presence', event: 'join', member: describe(member), members: membersOf(room) }, member);
+    return {
+      ...describe(member),
+      relay(message) {
+        broadcast(room, { type: 'message', from: describe(member), timestamp: Date.now(), ...message }, member);
+      },
+      leave() {
+        if (!members.delete(member)) return;
+        if (!members.size) rooms.delete(room);
+        broadcast(room, { type: 'presence', event: 'leave', member: describe(member), members: membersOf(room) });
+      },
+    };
+  };
+
+  return {
+    join,
+    stats: () => ({ rooms: rooms.size, members: [...rooms.values()].reduce((n, m) => n + m.size, 0), maxMembers }),
+  };
+}
@@ -0,0 +1,104 @@
+import os from 'os';
+
+// Shared scheduler for the work behind HTTP requests (ggwave-to-file, ggwave-from-file, ffmpeg, wasm
+// encode/decode). At most `concurrency` jobs run at once; the rest wait in a FIFO queue of at most `maxQueue`
+// jobs, of which one client (IP) may hold `maxPerClient`. Jobs get an AbortSignal that fires after `timeoutMs`,
+// which child processes are spawned with so a hung one is killed.
+
+export class BusyError extends Error {
+  constructor(code, message, retryAfter) {
+    super(message);
+    this.name = 'BusyError';
+    // QUEUE_FULL (the server is saturated) or CLIENT_LIMIT (this client has too many jobs)
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+export class JobTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`Job timed out after ${timeoutMs} ms`);
+    this.name = 'JobTimeoutError';
+    this.code = 'JOB_TIMEOUT';
+  }
+}
+
+const envInt = (name, fallback) => {
+  const value = Number.parseInt(process.env[name] ?? '', 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+export function createScheduler({
+  concurrency = Math.max(1, os.cpus().length),
+  maxQueue = 64,
+  maxPerClient = 8,
+  timeoutMs = 30000,
+} = {}) {
+  const queue = [];
+  const perClient = new Map();
+  let running = 0;
+  // moving average of job durations, for Retry-After
+  let averageMs = 500;
+
+  const retryAfter = (ahead) => Math.max(1, Math.ceil(((ahead / concurrency) * averageMs) / 1000));
+
+  const next = () => {
+    while (running < concurrency && queue.length) queue.shift()();
+  };
+
+  const run = (fn, { client = '', timeout = timeoutMs } = {}) => {
+    if ((perClient.get(client) ?? 0) >= maxPerClient) {
+      return Promise.reject(new BusyError('CLIENT_LIMIT', 'Too many requests in progress for this client', retryAfter(perClient.get(client))));
+    }
+    if (running >= concurrency && queue.length >= maxQueue) {
+      return Promise.reject(new BusyError('QUEUE_FULL', 'Server is busy, try again later', retryAfter(queue.length + running)));
+    }
+    perClient.set(client, (perClient.get(client) ?? 0) + 1);
+
+    return new Promise((resolve, reject) => {
+      const start = () => {
+        running++;
+        const began = Date.now();
+        const controller = new AbortController();
+        let finished = false;
+        const finish = () => {
+          if (finished) return false;
+          finished = true;
+          clearTimeout(timer);
+          running--;
+          const left = perClient.get(client) - 1;
+          if (left) perClient.set(client, left);
+          else perClient.delete(client);
+          averageMs = averageMs * 0.8 + (Date.now() - began) * 0.2;
+          next();
+          return true;
+        };
+        // the slot is freed on timeout; the aborted job settles on its own once its child is killed
+        const timer = setTimeout(() => {
+          controller.abort();
+          if (finish()) reject(new JobTimeoutError(timeout));
+        }, timeout);
+        Promise.resolve()
+          .then(() => fn(controller.signal))
+          .then(
+            (value) => finish() && resolve(value),
+            (error) => finish() && reject(error)
+          );
+      };
+      queue.push(start);
+      next();
+    });
+  };
+
+  return {
+    run,
+    stats: () => ({ running, queued: queue.length, concurrency, maxQueue, maxPerClient, timeoutMs }),
+  };
+}
+
+export const jobs = createScheduler({
+  concurrency: envInt('JOB_CONCURRENCY', Math.max(1, os.cpus().length)),
+  maxQueue: envInt('JOB_QUEUE_LIMIT', 64),
+  maxPerClient: envInt('JOB_CLIENT_LIMIT', 8),
+  timeoutMs: envInt('JOB_TIMEOUT_MS', 30000),
+});
@@ -0,0 +1,111 @@
+// Minimal RIFF/WAVE helpers: enough to read what browsers, ffmpeg and ggwave produce and to write 16-bit mono PCM.
+
+export class WavError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WavError';
+  }
+}
+
+// The fmt and data chunks of a WAV buffer
+function wavChunks(buf) {
+  if (buf.length < 12 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new WavError('Not a RIFF/WAVE file');
+  }
+  let fmt = null;
+  let data = null;
+  for (let off = 12; off + 8 <= buf.length;) {
+    const id = buf.toString('ascii', off, off + 4);
+    const size = buf.readUInt32LE(off + 4);
+    const body = buf.subarray(off + 8, Math.min(buf.length, off + 8 + size));
+    if (id === 'fmt ') {
+      fmt = {
+        format: body.readUInt16LE(0),
+        channels: body.readUInt16LE(2),
+        sampleRate: body.readUInt32LE(4),
+        bitsPerSample: body.readUInt16LE(14),
+      };
+      // WAVE_FORMAT_EXTENSIBLE stores the real format in the sub-format GUID
+      if (fmt.format === 0xfffe && body.length >= 26) fmt.format = body.readUInt16LE(24);
+    } else if (id === 'data') {
+      data = body;
+    }
+    off += 8 + size + (size & 1);
+  }
+  if (!fmt || !data) throw new WavError('WAV file is missing its fmt or data chunk');
+  return { fmt, data };
+}
+
+// Length in seconds, from the headers alone
+export function wavDuration(buf) {
+  const { fmt, data } = wavChunks(buf);
+  return data.length / ((fmt.bitsPerSample / 8) * fmt.channels * fmt.sampleRate);
+}
+
+// { sampleRate, channels, bitsPerSample, durationSeconds } from the headers alone
+export function wavInfo(buf) {
+  const { fmt } = wavChunks(buf);
+  return { sampleRate: fmt.sampleRate, channels: fmt.channels, bitsPerSample: fmt.bitsPerSample, durationSeconds: wavDuration(buf) };
+}
+
+// Parse a WAV buffer into mono float samples in [-1, 1] (multi-channel input is averaged)
+export function readWav(buf) {
+  const { fmt, data } = wavChunks(buf);
+  const { format, channels, sampleRate, bitsPerSample } = fmt;
+  const bytes = bitsPerSample / 8;
+  let read;
+  if (format === 1 && bitsPerSample === 8) read = (o) => (data[o] - 128) / 128;
+  else if (format === 1 && bitsPerSample === 16) read = (o) => data.readInt16LE(o) / 32768;
+  else if (format === 1 && bitsPerSample === 24) read = (o) => data.readIntLE(o, 3) / 8388608;
+  else if (format === 1 && bitsPerSample === 32) read = (o) => data.readInt32LE(o) / 2147483648;
+  else if (format === 3 && bitsPerSample === 32) read = (o) => data.readFloatLE(o);
+  else throw new WavError(`Unsupported WAV encoding (format ${format}, ${bitsPerSample} bits)`);
+
+  const frames = Math.floor(data.length / (bytes * channels));
+  const samples = new Float32Array(frames);
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) sum += read((i * channels + c) * bytes);
+    samples[i] = sum / channels;
+  }
+  return { sampleRate, channels, bitsPerSample, samples };
+}
+
+// Wrap 16-bit mono PCM samples in a WAV container
+export function writeWav(pcm, sampleRate) {
+  const header = Buffer.alloc(44);
+  const dataSize = pcm.length * 2;
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(dataSize, 40);
+  return Buffer.concat([header, Buffer.from(pcm.buffer, pcm.byteOffset, dataSize)]);
+}
+
+// Convert float samples back to 16-bit PCM
+export function toInt16(samples) {
+  const pcm = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    pcm[i] = Math.max(-32768, Math.min(32767, Math.round(samples[i] * 32768)));
+  }
+  return pcm;
+}
+
+export function concatPcm(parts) {
+  const out = new Int16Array(parts.reduce((n, p) => n + p.length, 0));
+  let off = 0;
+  for (const p of parts) {
+    out.set(p, off);
+    off += p.length;
+  }
+  return out;
+}
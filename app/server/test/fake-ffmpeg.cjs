@@ -0,0 +1,27 @@
+#!/usr/bin/env node
+// Stand-in for ffmpeg in the upload limit tests: whatever the input, writes as many seconds of silent 48 kHz
+// mono WAV as the -t output option allows, and fails when there is no -t (an unbounded decode).
+const fs = require('fs');
+
+const args = process.argv.slice(2);
+const t = args.indexOf('-t');
+if (t === -1) {
+  console.error('fake ffmpeg: refusing to decode without -t');
+  process.exit(1);
+}
+const sampleRate = 48000;
+const dataBytes = Math.round(Number(args[t + 1]) * sampleRate) * 2;
+const wav = Buffer.alloc(44 + dataBytes);
+wav.write('RIFF', 0, 'latin1');
+wav.writeUInt32LE(36 + dataBytes, 4);
+wav.write('WAVEfmt ', 8, 'latin1');
+wav.writeUInt32LE(16, 16);
+wav.writeUInt16LE(1, 20);
+wav.writeUInt16LE(1, 22);
+wav.writeUInt32LE(sampleRate, 24);
+wav.writeUInt32LE(sampleRate * 2, 28);
+wav.writeUInt16LE(2, 32);
+wav.writeUInt16LE(16, 34);
+wav.write('data', 36, 'latin1');
+wav.writeUInt32LE(dataBytes, 40);
+fs.writeFileSync(args[args.length - 1], wav);
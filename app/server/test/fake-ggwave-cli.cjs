@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+// Stand-in for ggwave-cli when the binary is not built: prints the device lists and protocol selection the
+// way the real one does, and hears every line it is asked to send (a perfect loopback), which ggwave logs on
+// stderr. A line "!exit N" makes it quit with code N, to test the session ending.
+const readline = require('readline');
+
+const protocol = /^-t(\d+)$/.exec(process.argv.find((a) => a.startsWith('-t')) ?? '')?.[1] ?? '1';
+
+console.log('Found 1 playback devices:');
+console.log("    - Playback device #0: 'Fake Speaker'");
+console.log('Found 1 capture devices:');
+console.log("    - Capture device #0: 'Fake Microphone'");
+console.log(`Selecting Tx protocol ${protocol}`);
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  const exit = /^!exit (\d+)$/.exec(line);
+  if (exit) process.exit(Number(exit[1]));
+  console.log('Sending ...');
+  console.error(`Received sound data successfully: '${line}'`);
+});
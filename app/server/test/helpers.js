@@ -0,0 +1,142 @@
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import path from 'path';
+import fs from 'fs';
+import os from 'os';
+import WebSocket from 'ws';
+import { BIN_DIR, CLI_BIN, FROM_FILE, TO_FILE, ensureBinaryExists } from '../src/engine.js';
+import { writeWav } from '../src/wav.js';
+
+// Shared by the integration tests: boots src/index.js on a free port with its own history file and no API
+// keys, and talks to it over HTTP and WebSocket.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SERVER_DIR = path.resolve(__dirname, '..');
+export const REPO_ROOT = path.resolve(SERVER_DIR, '../..');
+const START_TIMEOUT_MS = 20000;
+
+// True when the tests run against the stand-in ggwave-cli (fake-ggwave-cli.cjs), which hears every line it sends
+export const FAKE_CLI = !ensureBinaryExists(CLI_BIN);
+
+// BIN_DIR itself when it has ggwave-cli; otherwise a temporary directory with the stand-in and links to
+// whichever ggwave-to-file / ggwave-from-file BIN_DIR does have
+function binDir(tmpDir) {
+  if (!FAKE_CLI) return BIN_DIR;
+  const dir = path.join(tmpDir, 'bin');
+  fs.mkdirSync(dir);
+  fs.copyFileSync(path.join(__dirname, 'fake-ggwave-cli.cjs'), path.join(dir, 'ggwave-cli'));
+  fs.chmodSync(path.join(dir, 'ggwave-cli'), 0o755);
+  for (const bin of [TO_FILE, FROM_FILE]) {
+    if (ensureBinaryExists(bin)) fs.symlinkSync(bin, path.join(dir, path.basename(bin)));
+  }
+  return dir;
+}
+
+// Resolves to { url, tmpDir, ws(pathAndQuery), stop() } once the server listens; `env` overrides its environment
+export async function startServer(env = {}) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ggwave-test-'));
+  const child = spawn(process.execPath, ['src/index.js'], {
+    cwd: SERVER_DIR,
+    env: {
+      ...process.env,
+      PORT: '0',
+      NODE_ENV: 'test',
+      HISTORY_FILE: path.join(tmpDir, 'history.jsonl'),
+      API_KEYS_FILE: path.join(tmpDir, 'api-keys.json'),
+      GGWAVE_BIN_DIR: binDir(tmpDir),
+      ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let output = '';
+  const port = await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), START_TIMEOUT_MS);
+    const onData = (d) => {
+      output += d.toString();
+      const m = /listening on http:\/\/localhost:(\d+)/.exec(output);
+      if (!m) return;
+      clearTimeout(timer);
+      resolve(Number(m[1]));
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+  const url = `http://localhost:${port}`;
+  return {
+    url,
+    tmpDir,
+    ws: (pathAndQuery) => new WebSocket(`ws://localhost:${port}${pathAndQuery}`),
+    async stop() {
+      child.removeAllListeners('exit');
+      const exited = new Promise((resolve) => child.once('exit', resolve));
+      child.kill();
+      await exited;
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    },
+  };
+}
+
+// fetch() resolving to { status, headers, body } with JSON bodies parsed
+export async function request(url, { json, form, ...init } = {}) {
+  if (json !== undefined) {
+    init.method ??= 'POST';
+    init.headers = { 'Content-Type': 'application/json', ...init.headers };
+    init.body = JSON.stringify(json);
+  }
+  if (form) {
+    init.method ??= 'POST';
+    const data = new FormData();
+    for (const [name, value] of Object.entries(form)) {
+      if (value instanceof Buffer) data.append(name, new Blob([value]), `${name}.wav`);
+      else data.append(name, String(value));
+    }
+    init.body = data;
+  }
+  const res = await fetch(url, { redirect: 'manual', ...init });
+  const type = res.headers.get('content-type') ?? '';
+  const body = type.includes('json') ? await res.json() : Buffer.from(await res.arrayBuffer());
+  return { status: res.status, headers: res.headers, body };
+}
+
+// Collects the JSON events of a socket; next(predicate) resolves to the first matching event not taken yet
+export function events(socket, timeoutMs = 15000) {
+  const seen = [];
+  const waiting = [];
+  socket.on('message', (data) => {
+    const event = JSON.parse(data.toString());
+    const i = waiting.findIndex((w) => w.predicate(event));
+    if (i === -1) return seen.push(event);
+    clearTimeout(waiting[i].timer);
+    waiting.splice(i, 1)[0].resolve(event);
+  });
+  return {
+    seen,
+    next(predicate) {
+      const i = seen.findIndex(predicate);
+      if (i !== -1) return Promise.resolve(seen.splice(i, 1)[0]);
+      return new Promise((resolve, reject) => {
+        const entry = { predicate, resolve };
+        entry.timer = setTimeout(() => {
+          waiting.splice(waiting.indexOf(entry), 1);
+          reject(new Error(`No matching event within ${timeoutMs} ms; got ${JSON.stringify(seen)}`));
+        }, timeoutMs);
+        waiting.push(entry);
+      });
+    },
+  };
+}
+
+// Resolves to { code, reason } when the socket closes
+export const closed = (socket) => new Promise((resolve) => socket.once('close', (code, reason) => resolve({ code, reason: reason.toString() })));
+
+export const opened = (socket) => new Promise((resolve, reject) => {
+  socket.once('open', resolve);
+  socket.once('error', reject);
+});
+
+// Mono 16-bit WAV of `seconds` of silence
+export const silentWav = (seconds, sampleRate = 48000) => writeWav(new Int16Array(Math.round(seconds * sampleRate)), sampleRate);
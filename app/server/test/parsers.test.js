@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDecoded, parseDevices, parseMarkers } from '../src/engine.js';
+import { FRAME_HEADER_LENGTH, createReassembler, frameMessage } from '../src/framing.js';
+import { MAX_VARIABLE_LENGTH, OptionError, maxFrameLength, parseRxOptions, parseTxOptions } from '../src/protocols.js';
+import { normalizeKey, openMessage, sealMessage } from '../src/envelope.js';
+import { parseMessages, toCsv } from '../src/history.js';
+import { createLocalBackend } from '../src/responder.js';
+
+// ggwave-from-file output, as printed by this repo's build
+const STDOUT = `Usage: ggwave-from-file audio.wav [-lN] [-d]
+
+[+] Decoded message with length 8: 'hiiiiiii'
+[+]     protocol: 1 (Fast), samples: 4096-51200, time: 0.085-1.067 s
+[+] Decoded message with length 11: 'it's "fine"'
+[+]     protocol: 5 ([U] Fastest), samples: 60000-70000, time: 1.250-1.458 s
+[+] Markers: start 3, end 2
+
+[+] Done
+`;
+
+test('parseDecoded reads every payload with its protocol and position', () => {
+  assert.deepEqual(parseDecoded(STDOUT), [
+    { payload: 'hiiiiiii', protocol: { id: 1, name: 'Fast' }, sampleStart: 4096, sampleEnd: 51200, start: 0.085, end: 1.067 },
+    { payload: `it's "fine"`, protocol: { id: 5, name: '[U] Fastest' }, sampleStart: 60000, sampleEnd: 70000, start: 1.25, end: 1.458 },
+  ]);
+});
+
+test('parseDecoded accepts builds that print no protocol line', () => {
+  assert.deepEqual(parseDecoded("[+] Decoded message with length 5: 'hello'\n[+] Done\n"), [
+    { payload: 'hello', protocol: null, sampleStart: null, sampleEnd: null, start: null, end: null },
+  ]);
+  assert.deepEqual(parseDecoded('[+] Done\n'), []);
+});
+
+test('parseMarkers reads the marker counts, or null for older builds', () => {
+  assert.deepEqual(parseMarkers(STDOUT), { start: 3, end: 2 });
+  assert.equal(parseMarkers('[+] Done\n'), null);
+});
+
+test('parseDevices reads the SDL device lists of ggwave-cli', () => {
+  const stdout = "Found 2 playback devices:\n    - Playback device #0: 'Speakers'\n    - Playback device #1: 'HDMI'\n" +
+    "Found 1 capture devices:\n    - Capture device #0: 'Built-in Mic'\nSelecting Tx protocol 1\n";
+  assert.deepEqual(parseDevices(stdout), {
+    playback: [{ id: 0, name: 'Speakers' }, { id: 1, name: 'HDMI' }],
+    capture: [{ id: 0, name: 'Built-in Mic' }],
+  });
+});
+
+test('transmit options apply defaults and reject bad values with the field name', () => {
+  assert.deepEqual(parseTxOptions({}), { protocol: 1, volume: 50, sampleRate: 48000, payloadLength: null, dss: false });
+  assert.deepEqual(parseRxOptions({ payloadLength: '8', dss: 'true' }), { payloadLength: 8, dss: true });
+  assert.throws(() => parseTxOptions({ protocol: 12 }), (e) => e instanceof OptionError && e.field === 'protocol');
+  assert.throws(() => parseTxOptions({ volume: 0 }), (e) => e instanceof OptionError && e.field === 'volume');
+  // mono-tone protocols cannot signal their own length
+  assert.throws(() => parseTxOptions({ protocol: 9 }), (e) => e instanceof OptionError && e.field === 'payloadLength');
+  assert.equal(parseTxOptions({ protocol: 9, payloadLength: 4 }).payloadLength, 4);
+});
+
+test('one transmission holds 140 characters, or payloadLength bytes', () => {
+  assert.equal(MAX_VARIABLE_LENGTH, 140);
+  assert.equal(maxFrameLength(parseTxOptions({})), 140);
+  assert.equal(maxFrameLength(parseTxOptions({ payloadLength: 16 })), 16);
+});
+
+test('framed messages reassemble out of order and report gaps, duplicates and corruption', () => {
+  const text = 'x'.repeat(300);
+  const frames = frameMessage(text, 140, 'ABCD');
+  assert.equal(frames.length, 3);
+  for (const frame of frames) assert.ok(frame.length <= 140 && frame.startsWith('~ABCD'));
+
+  const assembler = createReassembler();
+  const first = assembler.push(frames[2]);
+  assert.deepEqual([first.complete, first.received, first.missing], [false, [2], [0, 1]]);
+  assert.equal(assembler.push(frames[0]).complete, false);
+  assert.deepEqual(assembler.incomplete(), [{ complete: false, id: 'ABCD', total: 3, received: [0, 2], missing: [1] }]);
+  const done = assembler.push(frames[1]);
+  assert.deepEqual([done.complete, done.message, done.id], [true, text, 'ABCD']);
+  assert.deepEqual(assembler.push(frames[1]), { complete: false, duplicate: true, id: 'ABCD', index: 1, total: 3 });
+
+  const tampered = frames[0].slice(0, FRAME_HEADER_LENGTH) + 'y' + frames[0].slice(FRAME_HEADER_LENGTH + 1);
+  assert.equal(createReassembler().push(tampered).corrupt, true);
+  // text that is not a frame is a whole message on its own
+  assert.deepEqual(createReassembler().push('plain'), { complete: true, message: 'plain' });
+});
+
+test('sealed messages open with the same passphrase only', async () => {
+  const key = await normalizeKey('correct horse');
+  const sealed = sealMessage('secret', key);
+  assert.notEqual(sealed, 'secret');
+  assert.equal(openMessage(sealed, await normalizeKey(' correct horse ')), 'secret');
+  const wrong = await normalizeKey('wrong horse');
+  assert.throws(() => openMessage(sealed, wrong), (e) => e.code === 'WRONG_KEY');
+  assert.throws(() => openMessage('secret', key), (e) => e.code === 'NOT_ENCRYPTED');
+  assert.equal(await normalizeKey('  '), null);
+
+  // keys stay derivable after the cache has evicted them
+  for (let i = 0; i < 40; i++) await normalizeKey(`passphrase ${i}`);
+  assert.equal(openMessage(sealed, await normalizeKey('correct horse')), 'secret');
+});
+
+test('history messages need times Date can hold and export without formulas', () => {
+  const message = (fields) => ({ id: 'm1', direction: 'sent', text: 'hi', ...fields });
+  assert.throws(() => parseMessages({ messages: [message({ timestamp: 1e300 })] }), (e) => e instanceof OptionError && e.field === 'timestamp');
+  const [stored] = parseMessages({ messages: [message({ text: '=HYPERLINK("http://evil")', from: '@bob', timestamp: 0 })] });
+  const row = toCsv([stored]).split('\r\n')[1];
+  assert.equal(row, `1970-01-01T00:00:00.000Z,sent,'@bob,"'=HYPERLINK(""http://evil"")",false,,,`);
+});
+
+test('the local robot quotes the message as sent', async () => {
+  const robot = createLocalBackend();
+  const message = "was $& or $' {goal}";
+  const replies = [];
+  for (let turns = 0; turns < 8; turns++) {
+    replies.push(await robot.generate({ goal: 'Sell a car.', history: new Array(turns).fill({ role: 'user', text: 'hi' }), message }));
+  }
+  const quoting = replies.filter((r) => r.includes('"'));
+  assert.ok(quoting.length > 0);
+  for (const reply of quoting) assert.ok(reply.includes(`"${message}"`), reply);
+});
@@ -0,0 +1,282 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { request, silentWav, startServer } from './helpers.js';
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server?.stop());
+
+const encode = (body) => request(`${server.url}/encode`, { json: body });
+const decode = (file, fields = {}) => request(`${server.url}/decode`, { form: { ...fields, file } });
+
+test('GET /health reports the engine and limits', async () => {
+  const { status, body } = await request(`${server.url}/health`);
+  assert.equal(status, 200);
+  assert.equal(body.ok, true);
+  assert.ok(['wasm', 'binary'].includes(body.engine));
+  assert.equal(body.auth, false);
+  assert.equal(typeof body.jobs.concurrency, 'number');
+  assert.deepEqual(body.rooms, { rooms: 0, members: 0, maxMembers: 16 });
+});
+
+test('GET /protocols lists every protocol with defaults and limits', async () => {
+  const { body } = await request(`${server.url}/protocols`);
+  assert.equal(body.protocols.length, 12);
+  assert.deepEqual(body.protocols[1].frequencyHz, [1875, 6375]);
+  assert.equal(body.protocols[9].requiresFixedLength, true);
+  assert.deepEqual(body.limits, { maxVariableLength: 140, maxFixedLength: 64 });
+});
+
+test('GET /openapi.json describes the routes', async () => {
+  const { body } = await request(`${server.url}/openapi.json`);
+  assert.equal(body.openapi, '3.1.0');
+  for (const route of ['/encode', '/encode-long', '/decode', '/decode-webm', '/simulate', '/history/sessions', '/ws/cli', '/ws/room']) {
+    assert.ok(body.paths[route], route);
+  }
+});
+
+test('GET /usage answers without API keys', async () => {
+  const { status } = await request(`${server.url}/usage`);
+  assert.equal(status, 200);
+});
+
+test('POST /encode returns a WAV with its duration', async () => {
+  const { status, headers, body } = await encode({ message: 'hello', protocol: 2 });
+  assert.equal(status, 200);
+  assert.equal(headers.get('content-type'), 'audio/wav');
+  assert.equal(body.toString('latin1', 0, 4), 'RIFF');
+  assert.ok(Number(headers.get('x-duration-seconds')) > 0);
+  assert.equal(headers.get('x-sample-rate'), '48000');
+});
+
+test('POST /encode with format=json returns base64 audio and metadata', async () => {
+  const { body } = await encode({ message: 'hello', format: 'json', volume: 20 });
+  assert.equal(Buffer.from(body.audio, 'base64').toString('latin1', 0, 4), 'RIFF');
+  assert.deepEqual([body.format, body.protocol.id, body.volume, body.frames], ['wav', 1, 20, 1]);
+});
+
+test('POST /encode accepts 140 characters and refuses 141', async () => {
+  assert.equal((await encode({ message: 'a'.repeat(140), protocol: 2 })).status, 200);
+  const { status, body } = await encode({ message: 'a'.repeat(141) });
+  assert.equal(status, 400);
+  assert.deepEqual([body.code, body.maxLength, body.currentLength], ['MESSAGE_TOO_LONG', 140, 141]);
+  const fixed = await encode({ message: 'a'.repeat(9), protocol: 9, payloadLength: 8 });
+  assert.deepEqual([fixed.status, fixed.body.maxLength, fixed.body.unit], [400, 8, 'bytes']);
+});
+
+test('invalid options answer 400 naming the field', async () => {
+  for (const [body, field] of [
+    [{ message: 'hi', protocol: 12 }, 'protocol'],
+    [{ message: 'hi', volume: 'loud' }, 'volume'],
+    [{ message: 'hi', protocol: 9 }, 'payloadLength'],
+    [{}, 'message'],
+  ]) {
+    const res = await encode(body);
+    assert.equal(res.status, 400, JSON.stringify(body));
+    assert.deepEqual([res.body.code, res.body.field], ['INVALID_REQUEST', field]);
+  }
+  const broken = await request(`${server.url}/encode`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{' });
+  assert.deepEqual([broken.status, broken.body.code], [400, 'INVALID_JSON']);
+});
+
+test('POST /encode-long redirects short messages and frames long ones', async () => {
+  const short = await request(`${server.url}/encode-long`, { json: { message: 'hi' } });
+  assert.equal(short.status, 307);
+  assert.equal(short.headers.get('location'), '/encode');
+
+  const text = 'The quick brown fox jumps over the lazy dog. '.repeat(7);
+  const long = await request(`${server.url}/encode-long`, { json: { message: text, protocol: 2 } });
+  assert.equal(long.status, 200);
+  const { body } = await decode(long.body);
+  assert.equal(body.messages.length, 1);
+  assert.equal(body.messages[0].message, text);
+  assert.equal(body.messages[0].chunks, 3);
+  assert.deepEqual(body.incomplete, []);
+});
+
+test('POST /decode reports NO_SIGNAL with diagnostics for silence', async () => {
+  const { status, body } = await decode(silentWav(1));
+  assert.equal(status, 422);
+  assert.equal(body.code, 'NO_SIGNAL');
+  assert.equal(body.diagnostics.input.sampleRate, 48000);
+  assert.equal(body.diagnostics.decoded, 0);
+  assert.match(body.diagnostics.reason, /silent/);
+});
+
+test('POST /decode resamples WAVs to 48 kHz and refuses rates it cannot', async () => {
+  for (const sampleRate of [44100, 22050]) {
+    const { body: audio } = await encode({ message: `at ${sampleRate}`, protocol: 2, sampleRate });
+    const { status, body } = await decode(audio);
+    assert.deepEqual([status, body.message, body.diagnostics.input.sampleRate], [200, `at ${sampleRate}`, sampleRate]);
+  }
+  // beyond what the wasm module takes, so it must be resampled before decoding
+  assert.equal((await decode(silentWav(0.5, 192000))).body.code, 'NO_SIGNAL');
+  const { status, body } = await decode(silentWav(0.5, 4000));
+  assert.deepEqual([status, body.code], [400, 'INVALID_AUDIO']);
+  assert.match(body.error, /4000 Hz/);
+});
+
+test('POST /decode rejects missing and unreadable files', async () => {
+  const missing = await request(`${server.url}/decode`, { form: { dss: 'false' } });
+  assert.deepEqual([missing.status, missing.body.field], [400, 'file']);
+  const garbage = await decode(Buffer.from('definitely not audio, just some text'));
+  // without ffmpeg, formats other than WAV cannot be tried at all
+  assert.ok(['UNSUPPORTED_FORMAT', 'FFMPEG_UNAVAILABLE'].includes(garbage.body.code), garbage.body.code);
+});
+
+test('encrypted messages decode with the key only', async () => {
+  const { body: audio } = await encode({ message: 'top secret', key: 'hunter2', protocol: 2 });
+  const opened = await decode(audio, { key: 'hunter2' });
+  assert.deepEqual([opened.status, opened.body.message, opened.body.encrypted], [200, 'top secret', true]);
+  const wrong = await decode(audio, { key: 'hunter3' });
+  assert.deepEqual([wrong.status, wrong.body.code], [422, 'WRONG_KEY']);
+  const plain = await decode(audio);
+  assert.notEqual(plain.body.message, 'top secret');
+});
+
+test('uploads longer than MAX_AUDIO_SECONDS are refused without decoding them in full', async () => {
+  // the stand-in ffmpeg writes as much audio as its -t option allows, and fails without one
+  const ffmpeg = fileURLToPath(new URL('./fake-ffmpeg.cjs', import.meta.url));
+  const capped = await startServer({ MAX_AUDIO_SECONDS: '1', FFMPEG_PATH: ffmpeg });
+  try {
+    const notWav = Buffer.from('ID3 pretending to be a long mp3');
+    for (const [route, file] of [['/decode', silentWav(2)], ['/decode', notWav], ['/decode-webm', notWav]]) {
+      const { status, body } = await request(`${capped.url}${route}`, { form: { file } });
+      assert.deepEqual([status, body.code, body.limit], [413, 'AUDIO_TOO_LONG', 1], route);
+    }
+    assert.equal((await request(`${capped.url}/decode`, { form: { file: silentWav(0.5) } })).body.code, 'NO_SIGNAL');
+  } finally {
+    await capped.stop();
+  }
+});
+
+test('POST /decode-webm decodes through ffmpeg, or says it is missing', async () => {
+  const { body: audio } = await encode({ message: 'webm', protocol: 2 });
+  const { status, body } = await request(`${server.url}/decode-webm`, { form: { file: audio, session: 'test' } });
+  if (status === 503) return assert.equal(body.code, 'FFMPEG_UNAVAILABLE');
+  assert.equal(status, 200);
+  assert.equal(body.message, 'webm');
+});
+
+test('history sessions can be created, filled, searched, exported and deleted', async () => {
+  const base = `${server.url}/history/sessions`;
+  assert.equal((await request(base, { json: { id: 'test-1', title: 'Test', mode: 'server' } })).status, 200);
+  const messages = [
+    { id: 'm1', direction: 'sent', text: 'hello there', protocol: 'Fast', at: 1 },
+    { id: 'm2', direction: 'received', text: 'general kenobi', from: 'Obi', at: 2 },
+  ];
+  const added = await request(`${base}/test-1/messages`, { json: { messages } });
+  assert.equal(added.body.messageCount, 2);
+  // ids already stored are ignored
+  assert.equal((await request(`${base}/test-1/messages`, { json: { messages } })).body.messageCount, 2);
+  const session = await request(`${base}/test-1`);
+  assert.deepEqual(session.body.messages.map((m) => [m.text, m.from ?? null]), [['hello there', null], ['general kenobi', 'Obi']]);
+
+  assert.deepEqual((await request(base)).body.sessions.map((s) => s.id), ['test-1']);
+  const found = await request(`${server.url}/history/search?q=kenobi`);
+  assert.deepEqual(found.body.results.map((r) => r.text), ['general kenobi']);
+  const csv = await request(`${base}/test-1/export?format=csv`);
+  assert.match(csv.headers.get('content-type'), /text\/csv/);
+  assert.match(csv.body.toString(), /general kenobi/);
+
+  assert.equal((await request(`${base}/test-1`, { method: 'DELETE' })).status, 200);
+  const gone = await request(`${base}/test-1`);
+  assert.deepEqual([gone.status, gone.body.code], [404, 'NOT_FOUND']);
+  const bad = await request(`${base}/test-1/messages`, { json: { messages: [{ id: 'x', direction: 'sideways', text: 'hi' }] } });
+  assert.deepEqual([bad.status, bad.body.code], [400, 'INVALID_REQUEST']);
+});
+
+test('GET /responder/models lists the robot models', async () => {
+  const { body } = await request(`${server.url}/responder/models`);
+  assert.ok(body.models.length > 0);
+});
+
+test('POST /simulate reports success rates over a clean channel', async () => {
+  const { status, body } = await request(`${server.url}/simulate`, { json: { protocols: [2], trials: 1, channel: { offsetSeconds: 0.5 } } });
+  assert.equal(status, 200);
+  assert.deepEqual(body.results.map((r) => [r.protocol.id, r.successRate]), [[2, 1]]);
+  const bad = await request(`${server.url}/simulate`, { json: { channel: { noise: 'brown', snrDb: 3 } } });
+  assert.deepEqual([bad.status, bad.body.field], [400, 'channel.noise']);
+});
+
+test('GET /ready round-trips a message and lists degraded features', async () => {
+  const { status, body } = await request(`${server.url}/ready`);
+  assert.equal(status, 200);
+  assert.equal(body.ready, true);
+  assert.equal(body.checks.roundTrip.ok, true);
+  assert.deepEqual([body.features.encode.ok, body.features.decode.ok], [true, true]);
+  assert.deepEqual(body.degraded, Object.keys(body.features).filter((name) => !body.features[name].ok));
+  assert.equal(body.status, body.degraded.length ? 'degraded' : 'ok');
+  for (const name of body.degraded) assert.ok(body.features[name].reason, name);
+  // ffmpeg features stand or fall with ffmpeg
+  if (!body.checks.ffmpeg.ok) assert.ok(body.degraded.includes('decodeWebm'));
+  assert.equal(body.versions.node, process.version);
+  assert.equal((await request(`${server.url}/ready`)).body.cached, true);
+});
+
+test('requests carry an X-Request-Id and are counted in /metrics', async () => {
+  const mine = await request(`${server.url}/protocols`, { headers: { 'X-Request-Id': 'trace-42' } });
+  assert.equal(mine.headers.get('x-request-id'), 'trace-42');
+  const fresh = await request(`${server.url}/protocols`, { headers: { 'X-Request-Id': 'no spaces allowed' } });
+  assert.match(fresh.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  await request(`${server.url}/history/sessions/nope`);
+
+  const { status, headers, body } = await request(`${server.url}/metrics`);
+  assert.equal(status, 200);
+  assert.match(headers.get('content-type'), /^text\/plain/);
+  const text = body.toString();
+  assert.match(text, /^# TYPE ggwave_http_requests_total counter$/m);
+  assert.match(text, /^ggwave_http_requests_total\{method="GET",route="\/protocols",status="200"\} [1-9]/m);
+  assert.match(text, /^ggwave_http_requests_total\{method="GET",route="\/history\/sessions\/:id",status="404"\} [1-9]/m);
+  assert.match(text, /^ggwave_http_request_duration_seconds_bucket\{method="GET",route="\/protocols",le="\+Inf"\} [1-9]/m);
+  assert.match(text, /^ggwave_decodes_total\{route="\/decode",outcome="empty"\} [1-9]/m);
+  assert.match(text, /^ggwave_websocket_sessions\{route="\/ws\/room"\} 0$/m);
+  assert.match(text, /^ggwave_jobs_queued 0$/m);
+});
+
+test('anonymous quotas follow X-Forwarded-For only with TRUST_PROXY', async () => {
+  const from = (ip) => ({ headers: { 'X-Forwarded-For': ip } });
+  const proxied = await startServer({ TRUST_PROXY: 'loopback', RATE_LIMIT_REQUESTS: '1' });
+  try {
+    assert.equal((await request(`${proxied.url}/usage`, from('203.0.113.1'))).status, 200);
+    const spent = await request(`${proxied.url}/usage`, from('203.0.113.1'));
+    assert.deepEqual([spent.status, spent.body.code], [429, 'QUOTA_EXCEEDED']);
+    assert.equal((await request(`${proxied.url}/usage`, from('203.0.113.2'))).status, 200);
+  } finally {
+    await proxied.stop();
+  }
+  // without it every forwarded client is the proxy
+  const direct = await startServer({ RATE_LIMIT_REQUESTS: '1' });
+  try {
+    assert.equal((await request(`${direct.url}/usage`, from('203.0.113.1'))).status, 200);
+    assert.equal((await request(`${direct.url}/usage`, from('203.0.113.2'))).status, 429);
+  } finally {
+    await direct.stop();
+  }
+});
+
+test('API keys are required once a keys file exists', async () => {
+  const dir = fs.mkdtempSync(path.join(server.tmpDir, 'keys-'));
+  const keysFile = path.join(dir, 'api-keys.json');
+  fs.writeFileSync(keysFile, JSON.stringify({ keys: [{ name: 'tests', key: 'test-key-0123456789' }] }));
+  const guarded = await startServer({ API_KEYS_FILE: keysFile });
+  try {
+    const denied = await request(`${guarded.url}/usage`);
+    assert.deepEqual([denied.status, denied.body.code], [401, 'UNAUTHORIZED']);
+    const allowed = await request(`${guarded.url}/usage`, { headers: { Authorization: 'Bearer test-key-0123456789' } });
+    assert.deepEqual([allowed.status, allowed.body.name], [200, 'tests']);
+    // simulations run many encode and decode passes, so they need a key too
+    const simulate = await request(`${guarded.url}/simulate`, { json: { protocols: [2], trials: 1 } });
+    assert.deepEqual([simulate.status, simulate.body.code], [401, 'UNAUTHORIZED']);
+    // discovery routes stay open
+    assert.equal((await request(`${guarded.url}/health`)).status, 200);
+    assert.equal((await request(`${guarded.url}/protocols`)).status, 200);
+  } finally {
+    await guarded.stop();
+  }
+});
@@ -0,0 +1,126 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FAKE_CLI, closed, events, opened, request, startServer } from './helpers.js';
+
+// /ws/cli against ggwave-cli (or its stand-in), /ws/decode with streamed PCM and /ws/room between two members
+
+let server;
+before(async () => {
+  server = await startServer();
+});
+after(() => server?.stop());
+
+test('/ws/cli starts ggwave-cli with the requested settings and lists devices', async () => {
+  const socket = server.ws('/ws/cli?protocol=2');
+  const cli = events(socket);
+  await opened(socket);
+  const { config } = await cli.next((e) => e.type === 'config');
+  assert.deepEqual([config.protocol, config.payloadLength, config.dss], [2, null, false]);
+  const devices = await cli.next((e) => e.type === 'devices');
+  assert.ok(Array.isArray(devices.playback) && Array.isArray(devices.capture));
+  if (FAKE_CLI) assert.deepEqual(devices.capture, [{ id: 0, name: 'Fake Microphone' }]);
+
+  socket.send(JSON.stringify({ type: 'config', protocol: 5 }));
+  assert.equal((await cli.next((e) => e.type === 'config')).config.protocol, 5);
+  socket.send(JSON.stringify({ type: 'config', protocol: 9 }));
+  assert.equal((await cli.next((e) => e.type === 'config_error')).field, 'payloadLength');
+  socket.close();
+  await closed(socket);
+});
+
+test('/ws/cli reports what ggwave-cli hears, decrypted with the session key', { skip: !FAKE_CLI && 'needs the loopback stand-in' }, async () => {
+  const socket = server.ws('/ws/cli');
+  const cli = events(socket);
+  await opened(socket);
+  await cli.next((e) => e.type === 'devices');
+
+  socket.send(JSON.stringify({ type: 'send', text: 'over the air' }));
+  assert.equal((await cli.next((e) => e.type === 'decoded')).message, 'over the air');
+
+  socket.send(JSON.stringify({ type: 'key', key: 'hunter2' }));
+  socket.send(JSON.stringify({ type: 'send', text: 'sealed', key: 'hunter2' }));
+  const sealed = await cli.next((e) => e.type === 'decoded');
+  assert.deepEqual([sealed.message, sealed.encrypted], ['sealed', true]);
+
+  socket.send(JSON.stringify({ type: 'send', text: '!exit 3' }));
+  assert.deepEqual(await closed(socket), { code: 1000, reason: 'cli_exit_3' });
+});
+
+test('/ws/cli refuses invalid settings before upgrading', async () => {
+  const socket = server.ws('/ws/cli?protocol=99');
+  await assert.rejects(opened(socket), /400/);
+});
+
+test('/ws/decode decodes streamed PCM at 48 and 44.1 kHz', async (t) => {
+  if (!(await request(`${server.url}/health`)).body.streaming) return t.skip('streaming decode needs the wasm engine');
+  for (const sampleRate of [48000, 44100]) {
+    const encoded = await request(`${server.url}/encode`, { json: { message: `streamed at ${sampleRate}`, protocol: 2, sampleRate, format: 'pcm-f32' } });
+    assert.equal(encoded.status, 200);
+    const socket = server.ws(`/ws/decode?sampleRate=${sampleRate}&format=f32`);
+    const stream = events(socket);
+    await opened(socket);
+    const pcm = Buffer.concat([encoded.body, Buffer.alloc(sampleRate * 4)]);
+    // in the 4096-sample blocks a browser worklet would send
+    for (let offset = 0; offset < pcm.length; offset += 4096 * 4) socket.send(pcm.subarray(offset, offset + 4096 * 4));
+    const decoded = await stream.next((e) => e.type === 'decoded');
+    assert.equal(decoded.message, `streamed at ${sampleRate}`);
+    assert.equal(decoded.protocol.id, 2);
+    socket.close();
+    await closed(socket);
+  }
+});
+
+test('/ws/decode accepts STREAM_SESSION_LIMIT streams at once', async (t) => {
+  if (!(await request(`${server.url}/health`)).body.streaming) return t.skip('streaming decode needs the wasm engine');
+  const limited = await startServer({ STREAM_SESSION_LIMIT: '1' });
+  try {
+    const first = limited.ws('/ws/decode?sampleRate=44100');
+    const firstEvents = events(first);
+    await opened(first);
+    await firstEvents.next((e) => e.type === 'ready');
+    const second = limited.ws('/ws/decode');
+    assert.equal((await closed(second)).code, 1013);
+    assert.equal((await request(`${limited.url}/health`)).body.jobs.streamSessions, 1);
+
+    // the slot (and the stream's decoder) is given back on close
+    first.close();
+    await closed(first);
+    const third = limited.ws('/ws/decode');
+    const thirdEvents = events(third);
+    await opened(third);
+    await thirdEvents.next((e) => e.type === 'ready');
+    third.close();
+    await closed(third);
+  } finally {
+    await limited.stop();
+  }
+});
+
+test('/ws/room relays messages and presence between members', async () => {
+  const alice = server.ws('/ws/room?room=lab&name=Alice');
+  const aliceEvents = events(alice);
+  await opened(alice);
+  const joined = await aliceEvents.next((e) => e.type === 'joined');
+  assert.deepEqual(joined.members.map((m) => m.name), ['Alice']);
+
+  const bob = server.ws('/ws/room?room=lab&name=Bob');
+  const bobEvents = events(bob);
+  await opened(bob);
+  await bobEvents.next((e) => e.type === 'joined');
+  const presence = await aliceEvents.next((e) => e.type === 'presence');
+  assert.deepEqual([presence.event, presence.member.name, presence.members.length], ['join', 'Bob', 2]);
+
+  bob.send(JSON.stringify({ type: 'message', direction: 'received', text: 'heard it', source: 'mic' }));
+  const relayed = await aliceEvents.next((e) => e.type === 'message');
+  assert.deepEqual([relayed.from.name, relayed.text, relayed.source], ['Bob', 'heard it', 'mic']);
+  bob.send(JSON.stringify({ type: 'message', direction: 'upwards', text: 'x' }));
+  assert.equal((await bobEvents.next((e) => e.type === 'error')).field, 'direction');
+
+  bob.close();
+  const left = await aliceEvents.next((e) => e.type === 'presence' && e.event === 'leave');
+  assert.deepEqual(left.members.map((m) => m.name), ['Alice']);
+  alice.close();
+  await closed(alice);
+
+  await assert.rejects(opened(server.ws('/ws/room?room=no%20spaces')), /400/);
+});
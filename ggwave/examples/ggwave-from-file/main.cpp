@@ -8,6 +8,8 @@
 #include <cstdio>
 #include <cstring>
 #include <iostream>
+#include <algorithm>
+#include <string>
 
 int main(int argc, char** argv) {
     fprintf(stderr, "Usage: %s audio.wav [-lN] [-d]\n", argv[0]);
@@ -104,6 +106,15 @@ int main(int argc, char** argv) {
 
     GGWave::TxRxData data;
     auto ptr = samples.data();
+    size_t samplesDone = 0;
+
+    // with a fixed payload length the same transmission is decoded on several consecutive frames
+    std::string lastPayload;
+    size_t lastSamplesDone = 0;
+    // start/end markers seen, for diagnostics: a transmission that ended without a message failed to decode
+    int startMarkers = 0;
+    int endMarkers = 0;
+    bool receiving = false;
     while ((int) samplesTotal >= parameters.samplesPerFrame) {
         if (ggWave.decode(ptr, parameters.samplesPerFrame*samplesSize*wav.channels) == false) {
             fprintf(stderr, "Failed to decode the waveform in the WAV file\n");
@@ -112,18 +123,50 @@ int main(int argc, char** argv) {
 
         ptr += parameters.samplesPerFrame*samplesSize*wav.channels;
         samplesTotal -= parameters.samplesPerFrame;
+        samplesDone += parameters.samplesPerFrame;
 
-        const int n = ggWave.rxTakeData(data);
+        if (ggWave.rxReceiving() != receiving) {
+            receiving = !receiving;
+            if (receiving) ++startMarkers; else ++endMarkers;
+        }
+
+        int n = ggWave.rxTakeData(data);
+        if (n > 0 && payloadLength > 0) {
+            // fixed-length payloads are zero-padded
+            while (n > 0 && data[n - 1] == 0) --n;
+
+            const std::string payload((const char *) &data[0], n);
+            const bool repeat = payload == lastPayload && samplesDone - lastSamplesDone <= (size_t) 2*parameters.samplesPerFrame;
+            lastPayload = payload;
+            lastSamplesDone = samplesDone;
+            if (repeat) continue;
+        }
         if (n > 0) {
             printf("[+] Decoded message with length %d: '", n);
             for (auto i = 0; i < n; ++i) {
                 printf("%c", data[i]);
             }
             printf("'\n");
+
+            // approximate position of the transmission in the input, in input samples
+            int framesRx = ggWave.rxDurationFrames();
+            if (payloadLength > 0) {
+                // fixed-length transmissions have no markers, so their length follows from the protocol
+                const auto & protocol = ggWave.rxProtocol();
+                const int nBytes = payloadLength + (payloadLength < 4 ? 2 : std::max(4, 2*(payloadLength/5)));
+                framesRx = ((nBytes + protocol.bytesPerTx - 1)/protocol.bytesPerTx)*protocol.framesPerTx*protocol.extra;
+            }
+            const size_t samplesRx = (size_t) framesRx*parameters.samplesPerFrame*wav.sampleRate/parameters.sampleRate;
+            const size_t sampleEnd = std::min(samplesDone, (size_t) samplesCount);
+            const size_t sampleBeg = samplesRx < sampleEnd ? sampleEnd - samplesRx : 0;
+            printf("[+]     protocol: %d (%s), samples: %zu-%zu, time: %.3f-%.3f s\n",
+                   (int) ggWave.rxProtocolId(), ggWave.rxProtocol().name,
+                   sampleBeg, sampleEnd, (float) sampleBeg/wav.sampleRate, (float) sampleEnd/wav.sampleRate);
         }
 
     }
 
+    printf("[+] Markers: start %d, end %d\n", startMarkers, endMarkers);
     printf("\n[+] Done\n");
 
     return 0;